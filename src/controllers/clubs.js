@@ -3,6 +3,7 @@ const { ObjectID } = require('mongodb');
 const logger = require('../services/logger');
 const logReq = require('./logReq');
 const { dbRecordActivity } = require('../services/activityServices');
+const { dbRecordTrash } = require('../services/trashServices');
 const { validateUserId } = require('../services/validateIds');
 const {
   dbCreateClub,
@@ -11,6 +12,8 @@ const {
   dbGetClubs,
   dbUpdateClub,
 } = require('../services/clubServices');
+const { dbGetUsers } = require('../services/userServices');
+const { dbGetEvents } = require('../services/eventServices');
 const { getOrisClubData } = require('../services/orisAPI');
 
 // *** /clubs routes ***  [Club model]
@@ -215,14 +218,32 @@ const deleteClub = (req, res) => {
     const allowedToDelete = ((requestorRole === 'admin')
     || (requestorRole === 'standard' && requestorId === clubToDelete.owner.toString()));
     if (allowedToDelete) {
-      return dbDeleteClub(id).then((deletedClub) => {
-        logger('success')(`Successfully deleted club ${deletedClub._id} (${deletedClub.shortName})`);
-        dbRecordActivity({
-          actionType: 'CLUB_DELETED',
-          actionBy: req.user._id,
-          club: id,
+      // note the members and events first since deletion removes the references to the club
+      return Promise.all([
+        dbGetUsers({ memberOf: id }),
+        dbGetEvents({ organisedBy: id }),
+      ]).then(([members, organisedEvents]) => {
+        return dbDeleteClub(id).then((deletedClub) => {
+          logger('success')(`Successfully deleted club ${deletedClub._id} (${deletedClub.shortName})`);
+          dbRecordActivity({
+            actionType: 'CLUB_DELETED',
+            actionBy: req.user._id,
+            club: id,
+          });
+          dbRecordTrash({
+            itemType: 'club',
+            description: clubToDelete.shortName,
+            owner: clubToDelete.owner,
+            deletedBy: req.user._id,
+            club: id,
+            data: {
+              shortName: clubToDelete.shortName,
+              members: members.map(member => member._id),
+              organisedEvents: organisedEvents.map(organisedEvent => organisedEvent._id),
+            },
+          });
+          return res.status(200).send(deletedClub);
         });
-        return res.status(200).send(deletedClub);
       }).catch((err) => {
         logger('error')('Error deleting club:', err.message);
         return res.status(400).send({ error: err.message });
@@ -28,8 +28,37 @@ const {
 const {
   deleteMap,
   postMap,
+  postMapTrack,
+  postMapCalibration,
   validateMapUploadPermission,
 } = require('./eventsMap');
+const {
+  getMapKMZ,
+  getMapTiles,
+  getMapTrackGPX,
+  getMapWorldFile,
+} = require('./eventsMapExport');
+const { getMapAnalysis } = require('./eventsMapAnalysis');
+const {
+  getMapVersionFile,
+  getMapVersions,
+  postMapVersionRestore,
+} = require('./eventsMapVersion');
+const {
+  postMapOverlay,
+  regenerateOverlays,
+} = require('./eventsMapOverlay');
+const { postMapTrackImage } = require('./eventsMapTrackImage');
+const { getSplitAnalysis } = require('./eventsSplitTimes');
+const { getEventIOFXML, postEventResults } = require('./eventsResults');
+const { postEventCourses } = require('./eventsCourses');
+const { getTrackLegs } = require('./eventsTrackLegs');
+const {
+  createShareLink,
+  deleteShareLink,
+  getShareLinks,
+  getSharedMaps,
+} = require('./eventsShareLink');
 
 module.exports = {
   createEvent,
@@ -37,13 +66,34 @@ module.exports = {
   addEventRunner,
   orisAddEventRunner,
   postComment,
+  postEventResults,
+  postEventCourses,
   validateMapUploadPermission,
   postMap,
+  postMapTrack,
+  postMapCalibration,
+  postMapOverlay,
+  postMapTrackImage,
+  postMapVersionRestore,
+  regenerateOverlays,
+  createShareLink,
   orisCreateEvent,
   orisGetUserEvents,
   getEventList,
   getEventLinks,
   getEvent,
+  getEventIOFXML,
+  getMapAnalysis,
+  getMapKMZ,
+  getMapTiles,
+  getMapTrackGPX,
+  getMapVersionFile,
+  getMapVersions,
+  getMapWorldFile,
+  getShareLinks,
+  getSharedMaps,
+  getSplitAnalysis,
+  getTrackLegs,
   updateEvent,
   updateEventLink,
   updateEventRunner,
@@ -53,4 +103,5 @@ module.exports = {
   deleteEventRunner,
   deleteMap,
   deleteComment,
+  deleteShareLink,
 };
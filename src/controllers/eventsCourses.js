@@ -0,0 +1,94 @@
+const { ObjectID } = require('mongodb');
+
+const logger = require('../services/logger');
+const logReq = require('./logReq');
+const { dbRecordActivity } = require('../services/activityServices');
+const { getRunnerCourseFields } = require('../services/courses');
+const { parseCourseData } = require('../services/parseCourseData');
+const { prefixEventImagePaths } = require('../services/prefixImagePaths');
+const { canSeeRunner } = require('../services/runnerVisibility');
+const { dbGetEventById, dbUpdateEvent, dbUpdateRunner } = require('../services/eventServices');
+const { updateLegRanks } = require('./eventsSplitTimes');
+const { updateTrackLegs } = require('./eventsTrackLegs');
+
+// replace the event's courses with those in an IOF XML 3.0 CourseData file (see
+// services/parseCourseData), then link each runner to the course matching their courseTitle
+// and split their GPS tracks at its controls (see services/splitTrack)
+// available to the event owner, runners at the event and admin users, as for updateEvent
+// app.post('/events/:eventid/courses'
+const postEventCourses = (req, res) => {
+  logReq(req);
+  const { eventid } = req.params;
+  const requestorRole = req.user.role;
+  const requestorId = req.user._id.toString();
+  if (!req.file) {
+    logger('error')('Error: postEventCourses request without course data file attached.');
+    return res.status(400).send({ error: 'No course data file attached.' });
+  }
+  if (requestorRole === 'guest') {
+    logger('error')('Error: Guest accounts are not allowed to edit events.');
+    return res.status(401).send({ error: 'Guest accounts are not allowed to edit events.' });
+  }
+  if (!ObjectID.isValid(eventid)) {
+    logger('error')('Error importing courses: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) {
+      logger('error')('Error importing courses: no matching event found.');
+      return res.status(404).send({ error: 'Event could not be found.' });
+    }
+    const runnerIds = foundEvent.runners.map(runner => runner.user._id.toString());
+    const allowedToImport = ((requestorRole === 'admin')
+    || (requestorRole === 'standard' && requestorId === foundEvent.owner._id.toString())
+    || (requestorRole === 'standard' && runnerIds.includes(requestorId)));
+    if (!allowedToImport) {
+      logger('error')(`Error: ${req.user.email} not allowed to import courses for ${eventid}.`);
+      return res.status(401).send({ error: 'Not allowed to import courses for this event.' });
+    }
+    return parseCourseData(req.file.buffer).then(({ courses }) => {
+      return dbUpdateEvent(eventid, { courses });
+    }).then((coursesEvent) => {
+      // the courses have new _ids, so every runner linked to the old ones needs updating
+      const runnerUpdates = coursesEvent.runners.map((runner) => {
+        const fields = getRunnerCourseFields(coursesEvent.courses, {
+          courseTitle: runner.courseTitle,
+        });
+        return { runner, fields };
+      }).filter(({ runner, fields }) => fields.course || runner.course);
+      return runnerUpdates.reduce((previousUpdate, { runner, fields }) => {
+        return previousUpdate.then(() => dbUpdateRunner(eventid, runner.user._id, fields));
+      }, Promise.resolve(coursesEvent)).then((updatedEvent) => {
+        return updateLegRanks(eventid).then(rankedEvent => rankedEvent || updatedEvent);
+      }).then((rankedEvent) => {
+        return updateTrackLegs(eventid).then(legsEvent => legsEvent || rankedEvent);
+      }).then((updatedEvent) => {
+        const linked = runnerUpdates.filter(({ fields }) => fields.course);
+        logger('success')(`Imported ${updatedEvent.courses.length} course(s) for ${updatedEvent.name} (${linked.length} runner(s) linked) by ${req.user.email}.`);
+        dbRecordActivity({
+          actionType: 'EVENT_COURSES_IMPORTED',
+          actionBy: req.user._id,
+          event: eventid,
+        });
+        const eventToReturn = prefixEventImagePaths({
+          ...updatedEvent,
+          runners: updatedEvent.runners.filter(runner => canSeeRunner(req.user, runner)),
+        });
+        return res.status(200).send({
+          ...eventToReturn,
+          imported: {
+            courses: updatedEvent.courses.length,
+            linked: linked.length,
+          },
+        });
+      });
+    });
+  }).catch((err) => {
+    logger('error')('Error importing courses:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  postEventCourses,
+};
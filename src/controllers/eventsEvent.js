@@ -3,6 +3,7 @@ const { ObjectID } = require('mongodb');
 const logger = require('../services/logger');
 const logReq = require('./logReq');
 const { dbRecordActivity } = require('../services/activityServices');
+const { dbRecordTrash } = require('../services/trashServices');
 const {
   prefixImagePath,
   prefixEventImagePaths,
@@ -640,6 +641,14 @@ const deleteEvent = (req, res) => {
           actionBy: req.user._id,
           event: eventid,
         });
+        dbRecordTrash({
+          itemType: 'event',
+          description: `${eventToDelete.name} (${eventToDelete.date})`,
+          owner: eventToDelete.owner._id,
+          deletedBy: req.user._id,
+          event: eventid,
+          data: { name: eventToDelete.name, orisId: eventToDelete.orisId || null },
+        });
         return res.status(200).send(deletedEvent);
       }).catch((err) => {
         logger('error')('Error deleting event:', err.message);
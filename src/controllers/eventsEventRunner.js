@@ -3,7 +3,13 @@ const { ObjectID } = require('mongodb');
 const logger = require('../services/logger');
 const logReq = require('./logReq');
 const { dbRecordActivity } = require('../services/activityServices');
+const { dbRecordTrash } = require('../services/trashServices');
+const { getChosenExtractArea } = require('../services/findRouteExtract');
+const { getRunnerCourseFields } = require('../services/courses');
+const { enqueueJob } = require('../services/jobQueue');
 const { prefixEventImagePaths } = require('../services/prefixImagePaths');
+const { canSeeRunner } = require('../services/runnerVisibility');
+const { normaliseSplitTimes } = require('../services/splitTimes');
 const {
   getOrisEventData,
   getOrisEventEntryData,
@@ -15,7 +21,51 @@ const {
   dbUpdateRunner,
   dbDeleteRunner,
 } = require('../services/eventServices');
+const { updateLegRanks } = require('./eventsSplitTimes');
+const { updateTrackLegs } = require('./eventsTrackLegs');
 
+// check split times in the request body (see services/splitTimes), recording that they were
+// entered by the user so that they aren't replaced by QuickRoute laps
+// returns the fields to store, or null if they are not valid
+const getSplitTimesFields = (splitTimes) => {
+  const normalised = normaliseSplitTimes(splitTimes);
+  if (!normalised) return null;
+  return {
+    splitTimes: normalised,
+    splitTimesSource: (normalised.length > 0) ? 'manual' : null,
+  };
+};
+
+// leg ranks of everyone at the event depend on each runner's split times and course
+const affectsLegRanks = fields => ('splitTimes' in fields || 'courseTitle' in fields);
+// a runner's track legs depend on the course they are linked to and their maps' tracks
+const affectsTrackLegs = fields => ('course' in fields || 'maps' in fields);
+
+// fields of each map set only by the server, which are kept as stored for the map with the
+// same title when a request replaces the maps: responses give the images as signed URLs and
+// leave out versions (see services/mapVersions), and the files they name must not come from
+// requests
+const storedMapFields = [
+  'course',
+  'route',
+  'overlay',
+  'trackImage',
+  'versions',
+  'courseVersion',
+  'routeVersion',
+];
+const keepStoredMapFields = (newMaps, currentMaps) => {
+  return newMaps.map((map) => {
+    if (!map || typeof map !== 'object') return map;
+    const currentMap = currentMaps.find(eachMap => eachMap.title === map.title);
+    return storedMapFields.reduce((keptMap, field) => {
+      const { [field]: requested, ...otherFields } = keptMap;
+      return (currentMap && currentMap[field] !== undefined)
+        ? { ...otherFields, [field]: currentMap[field] }
+        : otherFields;
+    }, map);
+  });
+};
 
 // add current user as a runner at the specified event
 const addEventRunner = (req, res) => {
@@ -48,6 +98,7 @@ const addEventRunner = (req, res) => {
     const fieldsToCreateRunner = { user: requestorId };
     const validFields = [ // all except maps and comments which have their own POST routes
       'visibility',
+      'course', // _id of one of the event's courses, filling in the course details below
       // course details from ORIS getEvent Data.Classes.Class_nnnn.
       'courseTitle', // ORIS Name
       'courseLength', // ORIS Distance (km)
@@ -55,7 +106,7 @@ const addEventRunner = (req, res) => {
       'courseControls', // ORIS Controls
       'fullResults', // [] allowed to submit manually, front end might not support initially though
       // following can be obtained if ORIS hosts results via getEventResults&eventid&classid
-      'splitTimes', // placeholder for future use
+      'splitTimes', // [{ controlCode?, legTime or cumulativeTime }] in course order
       'time', // hhh:mm Data.Result_nnnnn.Time [UserID=orisId]
       'place', // Data.Result_nnnn.Place
       'timeBehind', // Data.Result_nnnn.Loss
@@ -68,7 +119,27 @@ const addEventRunner = (req, res) => {
         fieldsToCreateRunner[key] = req.body[key];
       }
     });
+    if ('splitTimes' in fieldsToCreateRunner) {
+      const splitTimesFields = getSplitTimesFields(fieldsToCreateRunner.splitTimes);
+      if (!splitTimesFields) {
+        logger('error')('Error adding runner to event: invalid split times.');
+        return res.status(400).send({ error: 'Split times must be in order, in seconds.' });
+      }
+      Object.assign(fieldsToCreateRunner, splitTimesFields);
+    }
+    // link to the course chosen or named, if the event has course definitions
+    const courseFields = getRunnerCourseFields(eventToAddRunnerTo.courses || [],
+      fieldsToCreateRunner);
+    if (!courseFields) {
+      logger('error')('Error adding runner to event: course not found.');
+      return res.status(400).send({ error: 'Course not found in event.' });
+    }
+    Object.assign(fieldsToCreateRunner, courseFields);
     return dbAddRunner(eventid, fieldsToCreateRunner)
+      .then((addedEvent) => {
+        if (!affectsLegRanks(fieldsToCreateRunner)) return addedEvent;
+        return updateLegRanks(eventid).then(rankedEvent => rankedEvent || addedEvent);
+      })
       .then((updatedEvent) => {
         const filteredEvent = updatedEvent;
         if (updatedEvent.runners.length > 0) {
@@ -248,12 +319,13 @@ const updateEventRunner = (req, res) => {
       const fieldsToUpdateRunner = {};
       const validFields = [ // all except comments which have their own PATCH route
         'visibility',
+        'course', // _id of one of the event's courses, or null to unlink
         'courseTitle', // ORIS Name
         'courseLength', // ORIS Distance (km)
         'courseClimb', // ORIS Climbing (m)
         'courseControls', // ORIS Controls
         'fullResults', // [] will replace entire set of results recorded
-        'splitTimes', // placeholder for future use, will replace entire object
+        'splitTimes', // [] will replace entire set of split times
         'time', // hhh:mm Data.Result_nnnnn.Time [UserID=orisId]
         'place', // Data.Result_nnnn.Place
         'timeBehind', // Data.Result_nnnn.Loss
@@ -272,7 +344,54 @@ const updateEventRunner = (req, res) => {
         logger('error')('Update runner at event error: no valid fields to update.');
         return res.status(400).send({ error: 'No valid fields to update.' });
       }
-      return dbUpdateRunner(eventid, userid, fieldsToUpdateRunner).then((updatedEvent) => {
+      if ('splitTimes' in fieldsToUpdateRunner) {
+        const splitTimesFields = getSplitTimesFields(fieldsToUpdateRunner.splitTimes);
+        if (!splitTimesFields) {
+          logger('error')('Update runner at event error: invalid split times.');
+          return res.status(400).send({ error: 'Split times must be in order, in seconds.' });
+        }
+        Object.assign(fieldsToUpdateRunner, splitTimesFields);
+      }
+      const courseFields = getRunnerCourseFields(eventToUpdateRunnerAt.courses || [],
+        fieldsToUpdateRunner);
+      if (!courseFields) {
+        logger('error')('Update runner at event error: course not found.');
+        return res.status(400).send({ error: 'Course not found in event.' });
+      }
+      Object.assign(fieldsToUpdateRunner, courseFields);
+      const newMaps = (Array.isArray(fieldsToUpdateRunner.maps)) ? fieldsToUpdateRunner.maps : [];
+      const hasInvalidExtractArea = newMaps
+        .some(map => map && map.extractArea && !getChosenExtractArea(map));
+      if (hasInvalidExtractArea) {
+        logger('error')('Update runner at event error: invalid extract area.');
+        return res.status(400).send({
+          error: 'Extract area must have numeric left, top, width and height (pixels).',
+        });
+      }
+      const currentMaps = eventToUpdateRunnerAt.runners
+        .find(runner => runner.user._id.toString() === userid).maps;
+      if (Array.isArray(fieldsToUpdateRunner.maps)) {
+        fieldsToUpdateRunner.maps = keepStoredMapFields(fieldsToUpdateRunner.maps, currentMaps);
+      }
+      // maps whose extract area has been changed need new extracts
+      const extractsToCreate = [];
+      newMaps.forEach((map) => {
+        const currentMap = currentMaps.find(eachMap => eachMap.title === map.title);
+        if (!currentMap || (!currentMap.course && !currentMap.route)) return;
+        const extractArea = getChosenExtractArea(map);
+        if (JSON.stringify(extractArea) !== JSON.stringify(getChosenExtractArea(currentMap))) {
+          const fileLocation = currentMap.course || currentMap.route;
+          extractsToCreate.push({ fileLocation, extractArea });
+        }
+      });
+      return dbUpdateRunner(eventid, userid, fieldsToUpdateRunner).then((runnerEvent) => {
+        const ranked = (affectsLegRanks(fieldsToUpdateRunner))
+          ? updateLegRanks(eventid).then(rankedEvent => rankedEvent || runnerEvent)
+          : Promise.resolve(runnerEvent);
+        if (!affectsTrackLegs(fieldsToUpdateRunner)) return ranked;
+        return ranked.then(rankedEvent => updateTrackLegs(eventid, userid)
+          .then(legsEvent => legsEvent || rankedEvent));
+      }).then((updatedEvent) => {
         logger('success')(`Updated ${req.user.email} in ${updatedEvent.name} (${updatedEvent.date}) (${numberOfFieldsToUpdate} field(s)).`);
         dbRecordActivity({
           actionType: 'EVENT_RUNNER_UPDATED',
@@ -280,8 +399,20 @@ const updateEventRunner = (req, res) => {
           event: eventid,
           eventRunner: userid,
         });
-        const eventToReturn = prefixEventImagePaths(updatedEvent);
-        return res.status(200).send(eventToReturn);
+        return Promise.all(extractsToCreate.map(payload => enqueueJob({
+          type: 'createExtracts',
+          payload,
+          createdBy: req.user._id,
+          event: eventid,
+          eventRunner: userid,
+        }))).then((newJobs) => {
+          const eventToReturn = prefixEventImagePaths({
+            ...updatedEvent,
+            runners: updatedEvent.runners.filter(runner => canSeeRunner(req.user, runner)),
+          });
+          const jobDetails = (newJobs.length > 0) ? { jobs: newJobs.map(job => job._id) } : {};
+          return res.status(200).send({ ...eventToReturn, ...jobDetails });
+        });
       }).catch((err) => {
         logger('error')('Error updating runner at event:', err.message);
         return res.status(400).send({ error: err.message });
@@ -336,13 +467,37 @@ const deleteEventRunner = (req, res) => {
     // all checks done, can now delete
     return dbDeleteRunner(eventid, userid).then((updatedEvent) => {
       logger('success')(`Deleted runner from ${updatedEvent.name} (${updatedEvent.date}).`);
+      updateLegRanks(eventid).catch((rankErr) => {
+        logger('error')(`Error updating leg ranks after deleting runner: ${rankErr.message}`);
+      });
       dbRecordActivity({
         actionType: 'EVENT_RUNNER_DELETED',
         actionBy: req.user._id,
         event: eventid,
         eventRunner: userid,
       });
-      const eventToReturn = prefixEventImagePaths(updatedEvent);
+      // keep the record as stored (i.e. without populated users) so that it can be put back
+      dbRecordTrash({
+        itemType: 'runner',
+        description: `${updatedEvent.name} (${updatedEvent.date}), ${selectedRunner.user.displayName}`,
+        owner: userid,
+        deletedBy: req.user._id,
+        event: eventid,
+        eventRunner: userid,
+        data: {
+          runner: {
+            ...selectedRunner,
+            user: selectedRunner.user._id,
+            comments: selectedRunner.comments.map((comment) => {
+              return { ...comment, author: comment.author._id };
+            }),
+          },
+        },
+      });
+      const eventToReturn = prefixEventImagePaths({
+        ...updatedEvent,
+        runners: updatedEvent.runners.filter(runner => canSeeRunner(req.user, runner)),
+      });
       return res.status(200).send(eventToReturn);
     });
   }).catch((err) => {
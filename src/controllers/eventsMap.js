@@ -1,15 +1,31 @@
 const { ObjectID } = require('mongodb');
-const fs = require('fs');
 const path = require('path');
+const sharp = require('sharp');
 
 const logger = require('../services/logger');
 const logReq = require('./logReq');
 const { dbRecordActivity } = require('../services/activityServices');
-const { getQRData, calculateDistance } = require('../services/parseQR');
-const { createRouteOverlay } = require('../services/createRouteOverlay');
-const { createThumbnailAndExtract } = require('../services/createThumbnailAndExtract');
+const { calculateTrackDistance } = require('../services/parseQR');
+const { parseTrackFile } = require('../services/parseTrackFile');
+const { calibrateMap } = require('../services/calibrateMap');
+const { deleteTilePyramid } = require('../services/createTilePyramid');
+const { getTrackImageLocation } = require('../services/createTrackImage');
+const { getChosenExtractArea } = require('../services/findRouteExtract');
+const { enqueueJob, onJobCompleted } = require('../services/jobQueue');
+const { createMapVersion } = require('../services/mapVersions');
 const { prefixEventImagePaths } = require('../services/prefixImagePaths');
-const { dbGetEventById, dbUpdateEvent } = require('../services/eventServices');
+const { canSeeRunner } = require('../services/runnerVisibility');
+const { getSplitTimesFromLaps } = require('../services/splitTimes');
+const storage = require('../services/storage');
+const { dbRecordTrash } = require('../services/trashServices');
+const {
+  dbGetEventById,
+  dbUpdateEvent,
+  dbUpdateRunner,
+} = require('../services/eventServices');
+const { dbGetUserById } = require('../services/userServices');
+const { updateLegRanks } = require('./eventsSplitTimes');
+const { updateTrackLegs } = require('./eventsTrackLegs');
 
 // confirm that the user has permission to upload a map (do not process image if rejected)
 const validateMapUploadPermission = (req, res, next) => {
@@ -22,9 +38,196 @@ const validateMapUploadPermission = (req, res, next) => {
   return next();
 };
 
+// fill in any event location fields that are still empty using a georeferenced map
+const getEventLocationUpdates = (eventToUpdate, mapCorners, mapCentre) => {
+  const locationUpdates = {};
+  const isEmpty = corner => (!corner || corner.length === 0 || !corner[0] || !corner[1]);
+  if (isEmpty(eventToUpdate.locCornerSW)) {
+    locationUpdates.locCornerSW = [mapCorners.sw.lat, mapCorners.sw.long];
+  }
+  if (isEmpty(eventToUpdate.locCornerNW)) {
+    locationUpdates.locCornerNW = [mapCorners.nw.lat, mapCorners.nw.long];
+  }
+  if (isEmpty(eventToUpdate.locCornerNE)) {
+    locationUpdates.locCornerNE = [mapCorners.ne.lat, mapCorners.ne.long];
+  }
+  if (isEmpty(eventToUpdate.locCornerSE)) {
+    locationUpdates.locCornerSE = [mapCorners.se.lat, mapCorners.se.long];
+  }
+  if (!eventToUpdate.locLat || eventToUpdate.locLat === '') {
+    locationUpdates.locLat = mapCentre.lat;
+  }
+  if (!eventToUpdate.locLong || eventToUpdate.locLong === '') {
+    locationUpdates.locLong = mapCentre.long;
+  }
+  return locationUpdates;
+};
+
+// store one uploaded image as the course or route of the map with the specified title,
+// then queue a job to process it, resolving to { updatedEvent, newJob }
+// if the image has been normalised, the upload as it was (originalPath) is stored as a
+// version first, so that it can be restored if the normalisation didn't work out
+const addMapImage = (req, {
+  title,
+  uploadPath,
+  originalPath,
+  normalisation,
+}) => {
+  const { eventid, userid, maptype } = req.params;
+  const newFileLocation = path.join('images', 'maps', eventid, uploadPath.split('/').pop());
+  const maptypeUpdated = maptype.concat('Updated');
+  const maptypeVersion = maptype.concat('Version');
+  return Promise.all([
+    dbGetEventById(eventid),
+    dbGetUserById(userid),
+  ]).then(([eventToUpdate, runnerUser]) => {
+    if (!eventToUpdate) throw new Error('Event could not be found.');
+    const existingRunner = eventToUpdate.runners
+      .find(runner => runner.user._id.toString() === userid);
+    const existingMap = (existingRunner)
+      ? existingRunner.maps.find(map => map.title === title)
+      : null;
+    const isReplacement = Boolean(existingMap && existingMap[maptype] === newFileLocation);
+    const existingVersions = (existingMap && existingMap.versions)
+      ? existingMap.versions.filter(version => version.maptype === maptype)
+      : [];
+    return storage.fileExists(newFileLocation).then((fileExists) => {
+      // check that there isn't already a file with the same name from another map (i.e.
+      // maptitle has been used before in the context of this map, even if it is not it's
+      // current 'title')
+      if (fileExists && !isReplacement) {
+        throw new Error('An uploaded file with this title already exists.');
+      }
+      // keep the image being replaced if it was uploaded before versions were recorded
+      if (!isReplacement || existingVersions.length > 0) return existingVersions;
+      const previousUpload = parseInt(existingMap[maptypeUpdated], 10);
+      return createMapVersion(newFileLocation, {
+        maptype,
+        version: 1,
+        uploadedAt: (previousUpload) ? new Date(previousUpload) : undefined,
+      }).then(legacyVersion => [legacyVersion]);
+    }).then((previousVersions) => {
+      const storeFile = (localPath) => {
+        return storage.putFile(newFileLocation, localPath).catch((putErr) => {
+          logger('error')(`Error storing ${localPath} as ${newFileLocation}: ${putErr.message}`);
+          throw new Error('Filesystem error.');
+        });
+      };
+      const firstVersion = previousVersions
+        .reduce((max, { version }) => Math.max(max, version), 0) + 1;
+      const originalUploadedAt = new Date();
+      const storeOriginal = (originalPath)
+        ? storeFile(originalPath).then(() => createMapVersion(newFileLocation, {
+          maptype,
+          version: firstVersion,
+          uploadedBy: req.user._id,
+          uploadedAt: originalUploadedAt,
+        })).then(originalVersion => [originalVersion])
+        : Promise.resolve([]);
+      return storeOriginal.then((originalVersions) => {
+        return storeFile(uploadPath).then(() => createMapVersion(newFileLocation, {
+          maptype,
+          version: firstVersion + originalVersions.length,
+          uploadedBy: req.user._id,
+          // versions are named by time, so they mustn't share one
+          uploadedAt: new Date(Math.max(Date.now(), originalUploadedAt.getTime() + 1)),
+          normalisation: (originalPath) ? normalisation : undefined,
+        })).then(newVersion => [...originalVersions, newVersion]);
+      }).then((newVersions) => {
+        const newVersion = newVersions[newVersions.length - 1];
+        // versions of the other maptype are kept as they are
+        const otherVersions = (existingMap && existingMap.versions)
+          ? existingMap.versions.filter(version => version.maptype !== maptype)
+          : [];
+        const versions = [...otherVersions, ...previousVersions, ...newVersions];
+        return {
+          runnerUser,
+          eventToUpdate,
+          newVersion,
+          versions,
+        };
+      });
+    });
+  }).then(({
+    runnerUser,
+    eventToUpdate,
+    newVersion,
+    versions,
+  }) => {
+    // users created before routeColour was added have the default
+    const routeColour = (runnerUser && runnerUser.routeColour) || 'red';
+    let overlaySettings; // keep any chosen for this map previously
+    let extractArea;
+    let trackImageSettings;
+    const fieldsToUpdate = {};
+    const timeUpdated = new Date().getTime().toString();
+    const newMapFields = {
+      [maptype]: newFileLocation,
+      [maptypeUpdated]: timeUpdated,
+      [maptypeVersion]: newVersion.version,
+      versions,
+    };
+    let runnerExists = false;
+    const newRunners = eventToUpdate.runners.map((runner) => {
+      if (runner.user._id.toString() === userid) {
+        runnerExists = true;
+        let mapExists = false;
+        runner.maps.map((map) => {
+          const newMap = map;
+          if (newMap.title === title) {
+            mapExists = true;
+            ({ overlaySettings } = newMap);
+            extractArea = getChosenExtractArea(newMap);
+            ({ trackImageSettings } = newMap);
+            Object.assign(newMap, newMapFields);
+          }
+          return newMap;
+        });
+        if (!mapExists) {
+          runner.maps.push({ title, ...newMapFields });
+        }
+      }
+      return runner;
+    });
+    if (!runnerExists) {
+      newRunners.push({
+        user: userid,
+        maps: { title, ...newMapFields },
+      });
+    }
+    fieldsToUpdate.runners = newRunners;
+    return dbUpdateEvent(eventid, fieldsToUpdate).then((updatedEvent) => {
+      logger('success')(`Map added to ${updatedEvent.name} by ${req.user.email}.`);
+      dbRecordActivity({
+        actionType: 'EVENT_MAP_UPLOADED',
+        actionBy: req.user._id,
+        event: eventid,
+        eventRunner: userid,
+      });
+      // thumbnail, extract, tiles, overlay and QuickRoute data are added by the job
+      return enqueueJob({
+        type: 'processMap',
+        payload: {
+          fileLocation: newFileLocation,
+          maptype,
+          title,
+          routeColour,
+          overlaySettings,
+          extractArea,
+          trackImageSettings,
+        },
+        createdBy: req.user._id,
+        event: eventid,
+        eventRunner: userid,
+      }).then(newJob => ({ updatedEvent, newJob }));
+    });
+  });
+};
+
 // upload a scanned map to the specified event for user :userid
 // :maptype is either course or route
 // :maptitle is the label to use for each part of multi-part maps (default: '')
+// (files with several pages have been split into parts by Images.convertMapImage)
 // app.post('/events/:eventid/maps/:userid/:maptype(course|route)/:maptitle'
 const postMap = (req, res) => {
   logReq(req);
@@ -32,233 +235,282 @@ const postMap = (req, res) => {
     logger('error')('Error: postMap request without image attached.');
     return res.status(400).send({ error: 'No map image file attached.' });
   }
-  const {
-    eventid,
-    userid,
-    maptype,
-    maptitle,
-  } = req.params;
-  // maptitle parameter should be URIComponent encoded but Express decodes it for you
-  const title = maptitle || '';
+  const { eventid, userid, maptitle } = req.params;
   // check that event and user ids are appropriate format
   if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)) {
     logger('error')('Error uploading map: invalid ObjectID.');
     return res.status(400).send({ error: 'Invalid ID.' });
   }
-  const newFileLocation = path.join('images', 'maps', eventid, req.file.path.split('/').pop());
-  // first make sure that the eventid folder exists
-  return fs.mkdir(path.join('images', 'maps', eventid), (mkdirErr) => {
-    if (mkdirErr && mkdirErr.code !== 'EEXIST') {
-      logger('error')(`Error creating directory images/maps/${eventid}: ${mkdirErr.message}`);
-      return res.status(400).send({ error: 'Filesystem error.' });
+  // maptitle parameter should be URIComponent encoded but Express decodes it for you
+  const pages = req.mapPages || [{ title: maptitle || '', uploadPath: req.file.path }];
+  // one at a time, since each updates the same runner record
+  return pages.reduce((previous, page) => {
+    return previous.then((added) => {
+      return addMapImage(req, page).then(result => [...added, result]);
+    });
+  }, Promise.resolve([])).then((added) => {
+    const { updatedEvent } = added[added.length - 1];
+    const jobs = added.map(({ newJob }) => newJob._id);
+    // filter out runners that the user isn't allowed to see
+    const selectedRunners = updatedEvent.runners
+      .filter(runner => canSeeRunner(req.user, runner));
+    const eventRunnersFiltered = { ...updatedEvent, runners: selectedRunners };
+    const eventToReturn = prefixEventImagePaths(eventRunnersFiltered);
+    const jobDetails = (jobs.length > 1) ? { job: jobs[0], jobs } : { job: jobs[0] };
+    // what Images.normaliseMapImage did to each part, if requested
+    const normalisationDetails = (req.query.normalise === 'true')
+      ? { normalisation: pages.map(({ title, normalisation }) => ({ title, ...normalisation })) }
+      : {};
+    return res.status(202).send({ ...eventToReturn, ...jobDetails, ...normalisationDetails });
+  }).catch((updateEventErr) => {
+    logger('error')('Error recording updated map references:', updateEventErr.message);
+    return res.status(400).send({ error: updateEventErr.message });
+  });
+};
+
+// record the outcome of a processMap job (see services/jobTasks) against the map,
+// unless the image has been replaced or deleted since the job was queued
+const applyProcessedMap = (job, result) => {
+  const { event, eventRunner, payload } = job;
+  const { fileLocation, maptype, title } = payload;
+  const summary = {
+    thumbnail: result.thumbnail,
+    extract: result.extract,
+    extractArea: result.extractArea,
+    tiles: result.tiles,
+    overlay: result.overlay,
+    trackImage: result.trackImage,
+    isGeocoded: result.isGeocoded,
+  };
+  return dbGetEventById(event).then((eventToUpdate) => {
+    const foundRunner = (eventToUpdate)
+      ? eventToUpdate.runners.find(runner => runner.user._id.toString() === eventRunner.toString())
+      : null;
+    const foundMap = (foundRunner)
+      ? foundRunner.maps.find(map => map.title === title && map[maptype] === fileLocation)
+      : null;
+    if (!foundMap) {
+      logger('warning')(`Map ${fileLocation} no longer exists, processing results not recorded.`);
+      return { ...summary, recorded: false };
     }
-    // check that there isn't already a file with the same name (i.e. maptitle has been used
-    // before in the context of this map, even if it is not it's current 'title')
-    return fs.access(newFileLocation, (accessFileErr) => {
-      if (accessFileErr && accessFileErr.code === 'ENOENT') {
-        // i.e. if we get an error that the file doesn't exist, go ahead and rename
-        return fs.rename(req.file.path, newFileLocation, (renameErr) => {
-          if (renameErr) {
-            logger('error')(`Error renaming ${req.file.path} to ${newFileLocation}: ${renameErr.message}`);
-            return res.status(400).send({ error: 'Filesystem error.' });
-          }
-          return fs.readFile(newFileLocation, (readFileErr, data) => {
-            if (readFileErr) {
-              logger('error')(`Error reading ${newFileLocation}: ${readFileErr.message}`);
-              return res.status(400).send({ error: 'Filesystem error.' });
-            }
-            // Try to create overlay:
-            // will return null if files don't exist, are different sizes, etc.
-            // for now, don't worry about confirming through API that overlay has been created
-            const filenameBase = newFileLocation.slice(0, newFileLocation.lastIndexOf('-'));
-            const routeFilename = filenameBase.concat('-route.jpg');
-            const courseFilename = filenameBase.concat('-course.jpg');
-            const overlayThreshold = 63;
-            // returns a Promise resolving to an overlay (new PNG object) or null if unsuccessful
-            return createRouteOverlay(routeFilename, courseFilename, overlayThreshold)
-              .then((newOverlay) => {
-                const overlayFilename = (newOverlay) ? filenameBase.concat('-overlay.png') : null;
-                if (newOverlay) {
-                  newOverlay
-                    .pack()
-                    .pipe(fs.createWriteStream(overlayFilename));
-                }
-                // create thumbnail and extract
-                createThumbnailAndExtract(newFileLocation);
-                // const parsedQR = quickRouteParser.parse(data);
-                // console.log(JSON.stringify(parsedQR, null, 2));
-                const qRData = getQRData(data);
-                let trackCoords = [];
-                let trackDistance = 0;
-                if (qRData.sessions) { // assume first session, first route for now
-                  trackCoords = qRData.sessions.sessionData[0].route[0].waypoints;
-                  trackDistance = calculateDistance(trackCoords[0], trackCoords[1]);
-                  for (let i = 0; i < trackCoords.length - 2; i += 1) {
-                    trackDistance += calculateDistance(trackCoords[i], trackCoords[i + 1]);
-                  }
-                }
-                const trackDistanceK = Math.floor(trackDistance) / 1000;
-                // console.log(JSON.stringify(qRData, null, 2));
-                return dbGetEventById(eventid).then((eventToUpdate) => {
-                  const fieldsToUpdate = {};
-                  const maptypeUpdated = maptype.concat('Updated');
-                  const timeUpdated = new Date().getTime().toString();
-                  let runnerExists = false;
-                  const newRunners = eventToUpdate.runners.map((runner) => {
-                    if (runner.user._id.toString() === userid) {
-                      runnerExists = true;
-                      let mapExists = false;
-                      runner.maps.map((map) => {
-                        const newMap = map;
-                        if (newMap.title === title) {
-                          mapExists = true;
-                          newMap[maptype] = newFileLocation;
-                          newMap[maptypeUpdated] = timeUpdated;
-                          if (newOverlay) {
-                            newMap.overlay = overlayFilename;
-                            newMap.overlayUpdated = timeUpdated;
-                          }
-                          if (qRData.isGeocoded) {
-                            newMap.isGeocoded = true;
-                            newMap.geo = {
-                              mapCentre: qRData.mapCentre,
-                              mapCorners: qRData.mapCorners,
-                              imageCorners: qRData.imageCorners,
-                              locationSizePixels: qRData.locationSizePixels,
-                              track: trackCoords,
-                              distanceRun: trackDistanceK,
-                            };
-                          }
-                        }
-                        return newMap;
-                      });
-                      if (!mapExists) {
-                        const mapToAdd = {
-                          title,
-                          [maptype]: newFileLocation,
-                          [maptypeUpdated]: timeUpdated,
-                        };
-                        if (qRData.isGeocoded) {
-                          mapToAdd.isGeocoded = true;
-                          mapToAdd.geo = {
-                            mapCentre: qRData.mapCentre,
-                            mapCorners: qRData.mapCorners,
-                            imageCorners: qRData.imageCorners,
-                            locationSizePixels: qRData.locationSizePixels,
-                            track: trackCoords,
-                            distanceRun: trackDistanceK,
-                          };
-                        }
-                        runner.maps.push(mapToAdd);
-                      }
-                    }
-                    return runner;
-                  });
-                  if (!runnerExists) {
-                    const runnerToAdd = {
-                      user: userid,
-                      maps: {
-                        title,
-                        [maptype]: newFileLocation,
-                        [maptypeUpdated]: timeUpdated,
-                      },
-                    };
-                    if (qRData.isGeocoded) {
-                      runnerToAdd.maps.isGeocoded = true;
-                      runnerToAdd.maps.geo = {
-                        mapCentre: qRData.mapCentre,
-                        mapCorners: qRData.mapCorners,
-                        imageCorners: qRData.imageCorners,
-                        locationSizePixels: qRData.locationSizePixels,
-                        track: trackCoords,
-                        distanceRun: trackDistanceK,
-                      };
-                    }
-                    newRunners.push(runnerToAdd);
-                  }
-                  // console.log('runners:', foundEvent.runners);
-                  // console.log('newRunners:', newRunners);
-                  fieldsToUpdate.runners = newRunners;
-                  if (qRData.isGeocoded) {
-                    if (!eventToUpdate.locCornerSW || eventToUpdate.locCornerSW.length === 0
-                    || !eventToUpdate.locCornerSW[0] || !eventToUpdate.locCornerSW[1]) {
-                      fieldsToUpdate.locCornerSW = [qRData.mapCorners.sw.lat,
-                        qRData.mapCorners.sw.long];
-                    }
-                    if (!eventToUpdate.locCornerNW || eventToUpdate.locCornerNW.length === 0
-                      || !eventToUpdate.locCornerNW[0] || !eventToUpdate.locCornerNW[1]) {
-                      fieldsToUpdate.locCornerNW = [qRData.mapCorners.nw.lat,
-                        qRData.mapCorners.nw.long];
-                    }
-                    if (!eventToUpdate.locCornerNE || eventToUpdate.locCornerNE.length === 0
-                      || !eventToUpdate.locCornerNE[0] || !eventToUpdate.locCornerNE[1]) {
-                      fieldsToUpdate.locCornerNE = [qRData.mapCorners.ne.lat,
-                        qRData.mapCorners.ne.long];
-                    }
-                    if (!eventToUpdate.locCornerSE || eventToUpdate.locCornerSE.length === 0
-                      || !eventToUpdate.locCornerSE[0] || !eventToUpdate.locCornerSE[1]) {
-                      fieldsToUpdate.locCornerSE = [qRData.mapCorners.se.lat,
-                        qRData.mapCorners.se.long];
-                    }
-                    if (!eventToUpdate.locLat || eventToUpdate.locLat === '') {
-                      fieldsToUpdate.locLat = qRData.mapCentre.lat;
-                    }
-                    if (!eventToUpdate.locLong || eventToUpdate.locLong === '') {
-                      fieldsToUpdate.locLong = qRData.mapCentre.long;
-                    }
-                  }
-                  return dbUpdateEvent(eventid, fieldsToUpdate).then((updatedEvent) => {
-                    // console.log('updatedEvent:', updatedEvent);
-                    logger('success')(`Map added to ${updatedEvent.name} by ${req.user.email}.`);
-                    dbRecordActivity({
-                      actionType: 'EVENT_MAP_UPLOADED',
-                      actionBy: req.user._id,
-                      event: eventid,
-                      eventRunner: userid,
-                    });
-                    // filter out runners that the user isn't allowed to see
-                    const requestorRole = req.user.role;
-                    // console.log('requestorRole', requestorRole);
-                    const requestorId = (requestorRole === 'anonymous')
-                      ? null
-                      : req.user._id.toString();
-                    // console.log('requestorId', requestorId);
-                    const requestorClubs = (requestorRole === 'anonymous')
-                      ? null
-                      : req.user.memberOf.map(club => club._id.toString());
-                    const selectedRunners = updatedEvent.runners.filter((runner) => {
-                      // console.log('runner.user', runner.user);
-                      let canSee = false;
-                      if (requestorRole === 'admin' && runner.user.active) canSee = true;
-                      if (runner.visibility === 'public') canSee = true;
-                      if ((requestorRole === 'standard') || (requestorRole === 'guest')) {
-                        if (runner.visibility === 'all') canSee = true;
-                        if (requestorId === runner.user._id.toString()) canSee = true;
-                        if (runner.visibility === 'club') {
-                          const commonClubs = runner.user.memberOf.filter((clubId) => {
-                            return requestorClubs.includes(clubId.toString());
-                          });
-                          if (commonClubs.length > 0) canSee = true;
-                        }
-                      }
-                      return canSee;
-                    });
-                    const eventRunnersFiltered = { ...updatedEvent, runners: selectedRunners };
-                    const eventToReturn = prefixEventImagePaths(eventRunnersFiltered);
-                    return res.status(200).send(eventToReturn);
-                  }).catch((updateEventErr) => {
-                    logger('error')('Error recording updated map references:', updateEventErr.message);
-                    return res.status(400).send({ error: updateEventErr.message });
-                  });
-                });
-              });
-          });
+    // a track drawn on the image that has been replaced is out of date if there isn't a new one
+    const isTrackImageOutdated = (!result.trackImage
+      && foundMap.trackImage === getTrackImageLocation(fileLocation));
+    if (!result.overlay && !result.isGeocoded && !isTrackImageOutdated) {
+      return { ...summary, recorded: true };
+    }
+    const timeUpdated = new Date().getTime().toString();
+    const newMaps = foundRunner.maps.map((map) => {
+      if (map !== foundMap) return map;
+      const newMap = { ...map };
+      if (result.overlay) {
+        newMap.overlay = result.overlay;
+        newMap.overlayUpdated = timeUpdated;
+        newMap.overlaySettings = result.overlaySettings;
+      }
+      if (result.trackImage) {
+        newMap.trackImage = result.trackImage;
+        newMap.trackImageUpdated = timeUpdated;
+        newMap.trackImageSettings = result.trackImageSettings;
+      } else if (isTrackImageOutdated) {
+        newMap.trackImage = '';
+        storage.deleteFile(foundMap.trackImage).catch((delTrackErr) => {
+          logger('error')(`Error deleting track image at ${foundMap.trackImage}: ${delTrackErr.message}`);
         });
       }
-      // otherwise return an API error
-      logger('error')('Error uploading map: file already exists.');
-      return res.status(400).send({ error: 'An uploaded file with this title already exists.' });
+      if (result.isGeocoded) {
+        newMap.isGeocoded = true;
+        newMap.geo = { ...result.geo, maptype };
+      }
+      return newMap;
+    });
+    // split times from the QuickRoute laps, unless the runner has provided their own
+    const lapSplitTimes = (result.isGeocoded) ? getSplitTimesFromLaps(result.geo.laps) : [];
+    const hasOwnSplitTimes = foundRunner.splitTimesSource !== 'quickroute'
+      && Array.isArray(foundRunner.splitTimes) && foundRunner.splitTimes.length > 0;
+    const splitTimesFields = (lapSplitTimes.length > 0 && !hasOwnSplitTimes)
+      ? { splitTimes: lapSplitTimes, splitTimesSource: 'quickroute' }
+      : {};
+    return dbUpdateRunner(event, eventRunner, {
+      maps: newMaps,
+      ...splitTimesFields,
+    }).then((updatedRunnerEvent) => {
+      if (!splitTimesFields.splitTimes) return updatedRunnerEvent;
+      return updateLegRanks(event).then(rankedEvent => rankedEvent || updatedRunnerEvent);
+    }).then((updatedRunnerEvent) => {
+      if (!result.isGeocoded) return updatedRunnerEvent;
+      // the new track is split at the controls of the runner's course, if they have one
+      return updateTrackLegs(event, eventRunner).then(() => {
+        const locationUpdates = getEventLocationUpdates(eventToUpdate,
+          result.geo.mapCorners, result.geo.mapCentre);
+        if (Object.keys(locationUpdates).length === 0) return updatedRunnerEvent;
+        return dbUpdateEvent(event, locationUpdates);
+      });
+    }).then(() => {
+      logger('success')(`Processing results recorded for ${fileLocation}.`);
+      return { ...summary, recorded: true };
+    });
+  });
+};
+onJobCompleted('processMap', applyProcessedMap);
+
+// attach a GPS track from a GPX, TCX or FIT file to an existing map
+// the map is georeferenced using its existing corners or, failing that, the event's corners
+// app.post('/events/:eventid/maps/:userid/track/:maptitle?'
+const postMapTrack = (req, res) => {
+  logReq(req);
+  if (!req.file) {
+    logger('error')('Error: postMapTrack request without track file attached.');
+    return res.status(400).send({ error: 'No track file attached.' });
+  }
+  const { eventid, userid, maptitle } = req.params;
+  const title = maptitle || '';
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)) {
+    logger('error')('Error uploading track: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  return Promise.all([
+    dbGetEventById(eventid),
+    parseTrackFile(req.file.buffer, req.file.originalname),
+  ]).then(([foundEvent, { track, trackDetails, laps }]) => {
+    if (!foundEvent) throw new Error('Event could not be found.');
+    const foundRunner = foundEvent.runners.find(runner => runner.user._id.toString() === userid);
+    if (!foundRunner) throw new Error('Runner does not exist.');
+    const foundMap = foundRunner.maps.find(map => map.title === title);
+    if (!foundMap) throw new Error('Map does not exist.');
+    if (track.length < 2) throw new Error('No GPS track found in file.');
+    const trackDistanceK = Math.floor(calculateTrackDistance(track)) / 1000;
+    const existingGeo = foundMap.geo || {};
+    const newGeo = {
+      ...existingGeo,
+      track,
+      trackDetails,
+      laps,
+      distanceRun: trackDistanceK,
+    };
+    const hasMapCorners = existingGeo.mapCorners && existingGeo.mapCorners.sw
+      && existingGeo.mapCorners.sw.lat;
+    const {
+      locCornerSW,
+      locCornerNW,
+      locCornerNE,
+      locCornerSE,
+    } = foundEvent;
+    const hasEventCorners = [locCornerSW, locCornerNW, locCornerNE, locCornerSE]
+      .every(corner => corner && corner.length === 2 && corner[0] && corner[1]);
+    if (!hasMapCorners && hasEventCorners) {
+      newGeo.mapCorners = {
+        sw: { lat: locCornerSW[0], long: locCornerSW[1] },
+        nw: { lat: locCornerNW[0], long: locCornerNW[1] },
+        ne: { lat: locCornerNE[0], long: locCornerNE[1] },
+        se: { lat: locCornerSE[0], long: locCornerSE[1] },
+      };
+      newGeo.mapCentre = {
+        lat: (locCornerSW[0] + locCornerNW[0] + locCornerNE[0] + locCornerSE[0]) / 4,
+        long: (locCornerSW[1] + locCornerNW[1] + locCornerNE[1] + locCornerSE[1]) / 4,
+      };
+    }
+    // a track alone doesn't place the map, so it is only geocoded once it has corners
+    const isGeocoded = Boolean(foundMap.isGeocoded || hasMapCorners || newGeo.mapCorners);
+    const newMaps = foundRunner.maps.map((map) => {
+      if (map.title === title) return { ...map, isGeocoded, geo: newGeo };
+      return map;
+    });
+    return dbUpdateRunner(eventid, userid, { maps: newMaps }).then((runnerEvent) => {
+      return updateTrackLegs(eventid, userid).then(legsEvent => legsEvent || runnerEvent);
+    }).then((updatedEvent) => {
+      logger('success')(`Track added to map in ${updatedEvent.name} by ${req.user.email}.`);
+      dbRecordActivity({
+        actionType: 'EVENT_MAP_UPLOADED',
+        actionBy: req.user._id,
+        event: eventid,
+        eventRunner: userid,
+      });
+      const selectedRunners = updatedEvent.runners
+        .filter(runner => canSeeRunner(req.user, runner));
+      const eventRunnersFiltered = { ...updatedEvent, runners: selectedRunners };
+      const eventToReturn = prefixEventImagePaths(eventRunnersFiltered);
+      return res.status(200).send(eventToReturn);
+    });
+  }).catch((err) => {
+    logger('error')('Error uploading track:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// georeference a map from three or more control points { x, y, lat, long } where x, y
+// are pixel positions on the course or route image (maptype, default course)
+// app.post('/events/:eventid/maps/:userid/calibration/:maptitle?'
+const postMapCalibration = (req, res) => {
+  logReq(req);
+  const { eventid, userid, maptitle } = req.params;
+  const title = maptitle || '';
+  const { points, method } = req.body;
+  const maptype = req.body.maptype || 'course';
+  const allowedToCalibrateMap = ((req.user.role === 'admin')
+  || (req.user.role === 'standard' && req.user._id.toString() === userid));
+  if (!allowedToCalibrateMap) {
+    logger('error')(`Error: ${req.user.email} not allowed to calibrate map for ${userid}.`);
+    return res.status(401).send({ error: 'Not allowed to calibrate map for this user.' });
+  }
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)) {
+    logger('error')('Error calibrating map: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  if (!['course', 'route'].includes(maptype)) {
+    logger('error')('Error calibrating map: invalid map type.');
+    return res.status(400).send({ error: 'Map type must be course or route.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) throw new Error('Event could not be found.');
+    const foundRunner = foundEvent.runners.find(runner => runner.user._id.toString() === userid);
+    if (!foundRunner) throw new Error('Runner does not exist.');
+    const foundMap = foundRunner.maps.find(map => map.title === title);
+    if (!foundMap) throw new Error('Map does not exist.');
+    if (!foundMap[maptype]) throw new Error(`Map does not have a ${maptype} image.`);
+    return storage.readFile(foundMap[maptype]).then((image) => {
+      return sharp(image).metadata();
+    }).then(({ width, height }) => {
+      const calibrated = calibrateMap({
+        points,
+        method,
+        width,
+        height,
+      });
+      const { calibration, ...georeference } = calibrated;
+      const newGeo = {
+        ...(foundMap.geo || {}),
+        ...georeference,
+        maptype,
+        calibration: { ...calibration, maptype },
+      };
+      const newMaps = foundRunner.maps.map((map) => {
+        if (map.title === title) return { ...map, isGeocoded: true, geo: newGeo };
+        return map;
+      });
+      return dbUpdateRunner(eventid, userid, { maps: newMaps }).then((updatedRunnerEvent) => {
+        const locationUpdates = getEventLocationUpdates(foundEvent,
+          georeference.mapCorners, georeference.mapCentre);
+        if (Object.keys(locationUpdates).length === 0) return updatedRunnerEvent;
+        return dbUpdateEvent(eventid, locationUpdates);
+      });
+    }).then((updatedEvent) => {
+      logger('success')(`Map in ${updatedEvent.name} calibrated by ${req.user.email}.`);
+      dbRecordActivity({
+        actionType: 'EVENT_MAP_CALIBRATED',
+        actionBy: req.user._id,
+        event: eventid,
+        eventRunner: userid,
+      });
+      const selectedRunners = updatedEvent.runners
+        .filter(runner => canSeeRunner(req.user, runner));
+      const eventRunnersFiltered = { ...updatedEvent, runners: selectedRunners };
+      const eventToReturn = prefixEventImagePaths(eventRunnersFiltered);
+      return res.status(200).send(eventToReturn);
     });
+  }).catch((err) => {
+    logger('error')('Error calibrating map:', err.message);
+    return res.status(400).send({ error: err.message });
   });
 };
 
@@ -292,54 +544,40 @@ const deleteMap = (req, res) => {
       if (!foundMap) throw new Error('Map does not exist.');
       const newMapsArray = [];
       const otherMapType = (maptype === 'course') ? 'route' : 'course';
+      let trashedMap; // what is needed to restore the image from the trash
       foundRunner.maps.forEach((map) => {
         // console.log('map:', map);
         if (map.title === title) {
           //  1. extract filename
           const fileLocationElements = map[maptype].split('/').slice(-4);
           const fileLocation = path.join(...fileLocationElements);
-          //  2. delete thumbnail and extract
+          //  2. delete thumbnail, extract and tiles
+          // log errors but continue with deletion from the database,
+          // issues with file storage will need to be reviewed separately
           const thumbnailLocation = fileLocation.slice(0, -4)
             .concat('-thumb').concat(fileLocation.slice(-4));
-          fs.unlink(thumbnailLocation, (delThumbErr) => {
-            if (delThumbErr) {
-              if (delThumbErr.code === 'ENOENT') {
-                logger('warning')(`Can not delete thumbnail at ${thumbnailLocation} as it doesn't exist`);
-              // It didn't exist so can't be deleted
-              } else {
-                logger('error')(`Error deleting thumbnail at ${thumbnailLocation}: ${delThumbErr.message}`);
-                // log error but continue with deletion from the database,
-                // issues with local filesystem will need to be reviewed separately
-              }
-            }
+          storage.deleteFile(thumbnailLocation).catch((delThumbErr) => {
+            logger('error')(`Error deleting thumbnail at ${thumbnailLocation}: ${delThumbErr.message}`);
           });
           const extractLocation = fileLocation.slice(0, -4)
             .concat('-extract').concat(fileLocation.slice(-4));
-          fs.unlink(extractLocation, (delExtractErr) => {
-            if (delExtractErr) {
-              if (delExtractErr.code === 'ENOENT') {
-                logger('warning')(`Can not delete extract at ${extractLocation} as it doesn't exist`);
-              // It didn't exist so can't be deleted
-              } else {
-                logger('error')(`Error deleting extract at ${extractLocation}: ${delExtractErr.message}`);
-                // log error but continue with deletion from the database,
-                // issues with local filesystem will need to be reviewed separately
-              }
-            }
+          storage.deleteFile(extractLocation).catch((delExtractErr) => {
+            logger('error')(`Error deleting extract at ${extractLocation}: ${delExtractErr.message}`);
+          });
+          deleteTilePyramid(fileLocation).catch((delTilesErr) => {
+            logger('error')(`Error deleting tiles for ${fileLocation}: ${delTilesErr.message}`);
           });
           //  3. delete overlay if it exists
           if (map.overlay) {
-            fs.unlink(map.overlay, (delOverlayErr) => {
-              if (delOverlayErr) {
-                if (delOverlayErr.code === 'ENOENT') {
-                  logger('warning')(`Can not delete overlay at ${map.overlay} as it doesn't exist`);
-                // It didn't exist so can't be deleted
-                } else {
-                  logger('error')(`Error deleting overlay at ${map.overlay}: ${delOverlayErr.message}`);
-                  // log error but continue with deletion from the database,
-                  // issues with local filesystem will need to be reviewed separately
-                }
-              }
+            storage.deleteFile(map.overlay).catch((delOverlayErr) => {
+              logger('error')(`Error deleting overlay at ${map.overlay}: ${delOverlayErr.message}`);
+            });
+          }
+          //  3b. delete the GPS track drawn on this image if there is one
+          const isTrackImageDeleted = (map.trackImage === getTrackImageLocation(fileLocation));
+          if (isTrackImageDeleted) {
+            storage.deleteFile(map.trackImage).catch((delTrackErr) => {
+              logger('error')(`Error deleting track image at ${map.trackImage}: ${delTrackErr.message}`);
             });
           }
           //  4. rename main with -deletedAt- extension
@@ -352,17 +590,26 @@ const deleteMap = (req, res) => {
             .concat((`0${now.getMinutes()}`).slice(-2));
           const newFileLocation = fileLocation.slice(0, -4)
             .concat(deletedAt).concat(fileLocation.slice(-4));
-          fs.rename(fileLocation, newFileLocation, (renameErr) => {
-            if (renameErr) {
-              logger('error')(`Error renaming ${fileLocation} to ${newFileLocation}: ${renameErr.message}`);
-              // log error but continue with deletion from the database,
-              // issues with local filesystem will need to be reviewed separately
-            }
+          storage.moveFile(fileLocation, newFileLocation).catch((renameErr) => {
+            logger('error')(`Error renaming ${fileLocation} to ${newFileLocation}: ${renameErr.message}`);
           });
+          trashedMap = {
+            title,
+            maptype,
+            fileLocation,
+            trashedFile: newFileLocation,
+            map,
+          };
 
           // 5. delete the associated database record
           if (foundMap[otherMapType] && foundMap[otherMapType] !== '') {
-            newMapsArray.push({ ...map, [maptype]: null, overlay: '' });
+            const trackImage = (isTrackImageDeleted) ? '' : map.trackImage;
+            newMapsArray.push({
+              ...map,
+              [maptype]: null,
+              overlay: '',
+              trackImage,
+            });
           } else {
             // do nothing, need to delete whole map from array
           }
@@ -377,7 +624,9 @@ const deleteMap = (req, res) => {
         return runner;
       });
       const fieldsToUpdate = { runners: newRunners };
-      return dbUpdateEvent(eventid, fieldsToUpdate).then((updatedEvent) => {
+      return dbUpdateEvent(eventid, fieldsToUpdate).then((mapsEvent) => {
+        return updateTrackLegs(eventid, userid).then(legsEvent => legsEvent || mapsEvent);
+      }).then((updatedEvent) => {
         logger('success')(`Map deleted from ${updatedEvent.name} by ${req.user.email}.`);
         dbRecordActivity({
           actionType: 'EVENT_MAP_DELETED',
@@ -385,6 +634,15 @@ const deleteMap = (req, res) => {
           event: eventid,
           eventRunner: userid,
         });
+        dbRecordTrash({
+          itemType: 'map',
+          description: `${updatedEvent.name} (${updatedEvent.date}), ${title || 'map'}: ${maptype}`,
+          owner: userid,
+          deletedBy: req.user._id,
+          event: eventid,
+          eventRunner: userid,
+          data: trashedMap,
+        });
         // filter out runners that the user isn't allowed to see
         const requestorRole = req.user.role;
         const requestorId = (requestorRole === 'anonymous')
@@ -423,5 +681,7 @@ const deleteMap = (req, res) => {
 module.exports = {
   validateMapUploadPermission,
   postMap,
+  postMapTrack,
+  postMapCalibration,
   deleteMap,
 };
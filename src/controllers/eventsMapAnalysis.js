@@ -0,0 +1,44 @@
+const logger = require('../services/logger');
+const logReq = require('./logReq');
+const { analyseTrack } = require('../services/analyseTrack');
+const { findVisibleMap } = require('./eventsMapExport');
+
+// analyse the GPS track of the specified map: pace per km, heart rate zones (as fractions
+// of ?maxHeartRate= if provided, otherwise of the highest heart rate recorded), total
+// ascent and splits between laps (see services/analyseTrack)
+// app.get('/events/:eventid/maps/:userid/:maptitle?/analysis'
+const getMapAnalysis = (req, res) => {
+  logReq(req);
+  const { maxHeartRate } = req.query;
+  const chosenMaxHeartRate = (maxHeartRate) ? parseInt(maxHeartRate, 10) : null;
+  if (maxHeartRate && !(chosenMaxHeartRate > 0 && String(chosenMaxHeartRate) === maxHeartRate)) {
+    logger('error')(`Error analysing track: invalid maxHeartRate ${maxHeartRate}.`);
+    return res.status(400).send({ error: 'maxHeartRate must be a positive whole number.' });
+  }
+  return findVisibleMap(req).then(({
+    foundEvent,
+    foundRunner,
+    foundMap,
+    status,
+    error,
+  }) => {
+    if (error) {
+      logger('error')(`Error analysing track: ${error}`);
+      return res.status(status).send({ error });
+    }
+    const analysis = analyseTrack(foundMap.geo || {}, chosenMaxHeartRate);
+    if (!analysis) {
+      logger('error')('Error analysing track: map has no track.');
+      return res.status(404).send({ error: 'No GPS track found for this map.' });
+    }
+    logger('success')(`Returned track analysis for ${foundRunner.user.displayName} at ${foundEvent.name}.`);
+    return res.status(200).send(analysis);
+  }).catch((err) => {
+    logger('error')('Error analysing track:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  getMapAnalysis,
+};
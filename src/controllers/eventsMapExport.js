@@ -0,0 +1,267 @@
+const { ObjectID } = require('mongodb');
+const sharp = require('sharp');
+
+const logger = require('../services/logger');
+const logReq = require('./logReq');
+const { createGPX } = require('../services/createGPX');
+const { createKMZ } = require('../services/createKMZ');
+const { createWorldFileZip } = require('../services/createWorldFile');
+const { createTilePyramid, getTileManifest } = require('../services/createTilePyramid');
+const { prefixImagePath } = require('../services/prefixImagePaths');
+const { canSeeRunner } = require('../services/runnerVisibility');
+const storage = require('../services/storage');
+const { dbGetEventById } = require('../services/eventServices');
+
+// filter out special characters to avoid creating broken filenames
+const safeFilename = text => text.replace(/[`~!@#$%^&*()|+=?;:'",.<>{}\]\\/\s]/gi, '');
+
+// find the specified runner and map if the requestor is allowed to see them
+// resolves to { foundEvent, foundRunner, foundMap } or { status, error } if not
+const findVisibleMap = (req) => {
+  const { eventid, userid, maptitle } = req.params;
+  const title = maptitle || '';
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)) {
+    return Promise.resolve({ status: 400, error: 'Invalid ID.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) return { status: 404, error: 'No event found.' };
+    const foundRunner = foundEvent.runners
+      .find(runner => runner.user._id.toString() === userid);
+    if (!foundRunner) return { status: 404, error: 'Runner not found in event.' };
+    if (!canSeeRunner(req.user, foundRunner)) {
+      return { status: 401, error: 'Not allowed to see maps for this runner.' };
+    }
+    const foundMap = foundRunner.maps.find(map => map.title === title);
+    if (!foundMap) return { status: 404, error: 'Map not found.' };
+    return { foundEvent, foundRunner, foundMap };
+  });
+};
+
+// export the GPS track associated with the specified map as a GPX file
+// app.get('/events/:eventid/maps/:userid/:maptitle?/track.gpx'
+const getMapTrackGPX = (req, res) => {
+  logReq(req);
+  return findVisibleMap(req).then(({
+    foundEvent,
+    foundRunner,
+    foundMap,
+    status,
+    error,
+  }) => {
+    if (error) {
+      logger('error')(`Error exporting GPX track: ${error}`);
+      return res.status(status).send({ error });
+    }
+    if (!foundMap.geo || !foundMap.geo.track || foundMap.geo.track.length === 0) {
+      logger('error')('Error exporting GPX track: map has no track.');
+      return res.status(404).send({ error: 'No GPS track found for this map.' });
+    }
+    const { displayName } = foundRunner.user;
+    const mapTitle = (foundMap.title === '') ? '' : ` (${foundMap.title})`;
+    const gpx = createGPX({
+      name: `${foundEvent.name}${mapTitle}`,
+      description: `${displayName}, ${foundEvent.date}`,
+      track: foundMap.geo.track,
+      trackDetails: foundMap.geo.trackDetails,
+    });
+    const filename = safeFilename(`${foundEvent.date}-${foundEvent.name}-${displayName}${mapTitle}`)
+      .concat('.gpx');
+    logger('success')(`Exported GPX track for ${displayName} at ${foundEvent.name} to ${req.user.email || 'an anonymous user'}.`);
+    res.set('Content-Type', 'application/gpx+xml');
+    res.attachment(filename);
+    return res.status(200).send(gpx);
+  }).catch((err) => {
+    logger('error')('Error exporting GPX track:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// choose which image to export (?maptype=course|route), defaulting to course if it exists
+const selectMapImage = (req, foundMap) => {
+  const { maptype } = req.query;
+  if (maptype === 'course' || maptype === 'route') return foundMap[maptype] || null;
+  return foundMap.course || foundMap.route || null;
+};
+
+// choose which image to export with the georeference (?maptype=course|route), which has to
+// be the one its corners were measured on, if known (maps georeferenced before that was
+// recorded default to course if it exists)
+// returns { mapImage } or { status, error } if the other image was asked for
+const selectGeoreferencedImage = (req, foundMap) => {
+  const { maptype } = req.query;
+  const { geo } = foundMap;
+  const geoMaptype = geo.maptype || (geo.calibration && geo.calibration.maptype);
+  if (geoMaptype && (maptype === 'course' || maptype === 'route') && maptype !== geoMaptype) {
+    return { status: 400, error: `Map is georeferenced on the ${geoMaptype} image.` };
+  }
+  if (!geoMaptype) return { mapImage: selectMapImage(req, foundMap) };
+  return { mapImage: foundMap[geoMaptype] || null };
+};
+
+// export a georeferenced map image (and track if available) as a KMZ file for Google Earth
+// app.get('/events/:eventid/maps/:userid/:maptitle?/map.kmz'
+const getMapKMZ = (req, res) => {
+  logReq(req);
+  return findVisibleMap(req).then(({
+    foundEvent,
+    foundRunner,
+    foundMap,
+    status,
+    error,
+  }) => {
+    if (error) {
+      logger('error')(`Error exporting KMZ: ${error}`);
+      return res.status(status).send({ error });
+    }
+    const { geo } = foundMap;
+    const hasImageCorners = geo && geo.imageCorners && geo.imageCorners.sw
+      && geo.imageCorners.sw.lat;
+    if (!foundMap.isGeocoded || !hasImageCorners) {
+      logger('error')('Error exporting KMZ: map is not georeferenced.');
+      return res.status(404).send({ error: 'Map is not georeferenced.' });
+    }
+    const { mapImage, status: imageStatus, error: imageError } = selectGeoreferencedImage(req,
+      foundMap);
+    if (imageError) {
+      logger('error')(`Error exporting KMZ: ${imageError}`);
+      return res.status(imageStatus).send({ error: imageError });
+    }
+    if (!mapImage) {
+      logger('error')('Error exporting KMZ: no map image found.');
+      return res.status(404).send({ error: 'No map image found.' });
+    }
+    return storage.readFile(mapImage).then((imageBuffer) => {
+      const { displayName } = foundRunner.user;
+      const mapTitle = (foundMap.title === '') ? '' : ` (${foundMap.title})`;
+      return createKMZ({
+        name: `${foundEvent.name}${mapTitle}`,
+        description: `${displayName}, ${foundEvent.date}`,
+        imageBuffer,
+        imageCorners: geo.imageCorners,
+        track: geo.track,
+        trackDetails: geo.trackDetails,
+      }).then((kmz) => {
+        const filename = safeFilename(`${foundEvent.date}-${foundEvent.name}-${displayName}${mapTitle}`)
+          .concat('.kmz');
+        logger('success')(`Exported KMZ for ${displayName} at ${foundEvent.name} to ${req.user.email || 'an anonymous user'}.`);
+        res.set('Content-Type', 'application/vnd.google-earth.kmz');
+        res.attachment(filename);
+        return res.status(200).send(kmz);
+      }).catch((kmzErr) => {
+        logger('error')('Error creating KMZ:', kmzErr.message);
+        return res.status(400).send({ error: kmzErr.message });
+      });
+    }, (readFileErr) => {
+      logger('error')(`Error reading ${mapImage}: ${readFileErr.message}`);
+      return res.status(400).send({ error: 'Filesystem error.' });
+    });
+  }).catch((err) => {
+    logger('error')('Error exporting KMZ:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// export a georeferenced map image with a world file and projection for GIS software
+// app.get('/events/:eventid/maps/:userid/:maptitle?/worldfile.zip'
+const getMapWorldFile = (req, res) => {
+  logReq(req);
+  return findVisibleMap(req).then(({
+    foundEvent,
+    foundRunner,
+    foundMap,
+    status,
+    error,
+  }) => {
+    if (error) {
+      logger('error')(`Error exporting world file: ${error}`);
+      return res.status(status).send({ error });
+    }
+    const { geo } = foundMap;
+    const hasImageCorners = geo && geo.imageCorners && geo.imageCorners.sw
+      && geo.imageCorners.sw.lat;
+    if (!foundMap.isGeocoded || !hasImageCorners) {
+      logger('error')('Error exporting world file: map is not georeferenced.');
+      return res.status(404).send({ error: 'Map is not georeferenced.' });
+    }
+    const { mapImage, status: imageStatus, error: imageError } = selectGeoreferencedImage(req,
+      foundMap);
+    if (imageError) {
+      logger('error')(`Error exporting world file: ${imageError}`);
+      return res.status(imageStatus).send({ error: imageError });
+    }
+    if (!mapImage) {
+      logger('error')('Error exporting world file: no map image found.');
+      return res.status(404).send({ error: 'No map image found.' });
+    }
+    const { displayName } = foundRunner.user;
+    const mapTitle = (foundMap.title === '') ? '' : ` (${foundMap.title})`;
+    const basename = safeFilename(`${foundEvent.date}-${foundEvent.name}-${displayName}${mapTitle}`);
+    return storage.readFile(mapImage).then((imageBuffer) => {
+      return sharp(imageBuffer).metadata().then(metadata => [metadata, imageBuffer]);
+    }).then(([{ width, height }, imageBuffer]) => {
+      return createWorldFileZip({
+        basename,
+        imageBuffer,
+        imageCorners: geo.imageCorners,
+        width,
+        height,
+      });
+    }).then((zip) => {
+      logger('success')(`Exported world file for ${displayName} at ${foundEvent.name} to ${req.user.email || 'an anonymous user'}.`);
+      res.set('Content-Type', 'application/zip');
+      res.attachment(`${basename}.zip`);
+      return res.status(200).send(zip);
+    });
+  }).catch((err) => {
+    logger('error')('Error exporting world file:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// return the manifest of the Deep Zoom tile pyramid for the specified map image
+// (tiles are created now if they do not exist, e.g. for maps uploaded previously)
+// app.get('/events/:eventid/maps/:userid/:maptitle?/tiles'
+const getMapTiles = (req, res) => {
+  logReq(req);
+  return findVisibleMap(req).then(({
+    foundMap,
+    status,
+    error,
+  }) => {
+    if (error) {
+      logger('error')(`Error getting map tiles: ${error}`);
+      return res.status(status).send({ error });
+    }
+    const mapImage = selectMapImage(req, foundMap);
+    if (!mapImage) {
+      logger('error')('Error getting map tiles: no map image found.');
+      return res.status(404).send({ error: 'No map image found.' });
+    }
+    return getTileManifest(mapImage).catch((manifestErr) => {
+      if (manifestErr.code !== 'ENOENT') throw manifestErr;
+      logger('info')(`Creating missing tiles for ${mapImage}.`);
+      return createTilePyramid(mapImage).then(() => getTileManifest(mapImage));
+    }).then((manifest) => {
+      const { descriptor, tileDirectory, ...details } = manifest;
+      logger('success')(`Returned tile manifest for ${mapImage}.`);
+      return res.status(200).send({
+        ...details,
+        maptype: (mapImage === foundMap.course) ? 'course' : 'route',
+        descriptor: prefixImagePath(descriptor),
+        tiles: prefixImagePath(tileDirectory), // {tiles}/{level}/{column}_{row}.{format}
+      });
+    });
+  }).catch((err) => {
+    logger('error')('Error getting map tiles:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  findVisibleMap,
+  safeFilename,
+  getMapTrackGPX,
+  getMapKMZ,
+  getMapWorldFile,
+  getMapTiles,
+};
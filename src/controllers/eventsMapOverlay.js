@@ -0,0 +1,179 @@
+const { ObjectID } = require('mongodb');
+
+const logger = require('../services/logger');
+const logReq = require('./logReq');
+const { enqueueJob, onJobCompleted } = require('../services/jobQueue');
+const { dbGetUserById } = require('../services/userServices');
+const {
+  dbGetEventById,
+  dbGetEvents,
+  dbUpdateRunner,
+} = require('../services/eventServices');
+
+// combine settings { threshold?, colourWeights?: { red?, green?, blue? } } from the request
+// with those already stored for the map, throwing an error if any are invalid
+const getRequestedOverlaySettings = (body, currentSettings) => {
+  const isValidNumber = value => (value !== '' && !Number.isNaN(Number(value)) && Number(value) >= 0);
+  const settings = {};
+  const current = currentSettings || {};
+  const threshold = (body.threshold === undefined) ? current.threshold : body.threshold;
+  if (threshold !== undefined && threshold !== null) {
+    if (!isValidNumber(threshold)) throw new Error('Threshold must be a number, 0 or more.');
+    settings.threshold = Number(threshold);
+  }
+  const colourWeights = { ...current.colourWeights, ...body.colourWeights };
+  ['red', 'green', 'blue'].forEach((colour) => {
+    const weight = colourWeights[colour];
+    if (weight !== undefined && weight !== null) {
+      if (!isValidNumber(weight)) throw new Error('Colour weights must be numbers, 0 or more.');
+      if (!settings.colourWeights) settings.colourWeights = {};
+      settings.colourWeights[colour] = Number(weight);
+    }
+  });
+  return settings;
+};
+
+// record the outcome of a createOverlay job (see services/jobTasks) against the map,
+// unless the route image has been replaced or deleted since the job was queued
+// the settings are always stored, the overlay is only replaced if a new one was created
+const applyCreatedOverlay = (job, result) => {
+  const { event, eventRunner, payload } = job;
+  const { fileLocation, title } = payload;
+  return dbGetEventById(event).then((eventToUpdate) => {
+    const foundRunner = (eventToUpdate)
+      ? eventToUpdate.runners.find(runner => runner.user._id.toString() === eventRunner.toString())
+      : null;
+    const foundMap = (foundRunner)
+      ? foundRunner.maps.find(map => map.title === title && map.route === fileLocation)
+      : null;
+    if (!foundMap) {
+      logger('warning')(`Map ${fileLocation} no longer exists, overlay not recorded.`);
+      return { ...result, recorded: false };
+    }
+    const timeUpdated = new Date().getTime().toString();
+    const newMaps = foundRunner.maps.map((map) => {
+      if (map !== foundMap) return map;
+      const newMap = { ...map, overlaySettings: result.overlaySettings };
+      if (result.overlay) {
+        newMap.overlay = result.overlay;
+        newMap.overlayUpdated = timeUpdated;
+      }
+      return newMap;
+    });
+    return dbUpdateRunner(event, eventRunner, { maps: newMaps }).then(() => {
+      logger('success')(`Overlay recorded for ${fileLocation}.`);
+      return { ...result, recorded: true };
+    });
+  });
+};
+onJobCompleted('createOverlay', applyCreatedOverlay);
+
+// queue a job to create the overlay for the specified map again
+// settings are { threshold?, colourWeights?: { red?, green?, blue? } } (see overlaySettings
+// in oevent model), any not provided are kept from last time or take the default values
+// app.post('/events/:eventid/maps/:userid/:maptitle?/overlay'
+const postMapOverlay = (req, res) => {
+  logReq(req);
+  const { eventid, userid, maptitle } = req.params;
+  const title = maptitle || '';
+  const allowedToCreateOverlay = ((req.user.role === 'admin')
+  || (req.user.role === 'standard' && req.user._id.toString() === userid));
+  if (!allowedToCreateOverlay) {
+    logger('error')(`Error: ${req.user.email} not allowed to create overlay for ${userid}.`);
+    return res.status(401).send({ error: 'Not allowed to create overlay for this user.' });
+  }
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)) {
+    logger('error')('Error creating overlay: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  return Promise.all([
+    dbGetEventById(eventid),
+    dbGetUserById(userid),
+  ]).then(([foundEvent, runnerUser]) => {
+    if (!foundEvent) throw new Error('Event could not be found.');
+    const foundRunner = foundEvent.runners.find(runner => runner.user._id.toString() === userid);
+    if (!foundRunner) throw new Error('Runner does not exist.');
+    const foundMap = foundRunner.maps.find(map => map.title === title);
+    if (!foundMap) throw new Error('Map does not exist.');
+    if (!foundMap.route) throw new Error('Map does not have a route image.');
+    const overlaySettings = getRequestedOverlaySettings(req.body, foundMap.overlaySettings);
+    return enqueueJob({
+      type: 'createOverlay',
+      payload: {
+        fileLocation: foundMap.route,
+        title,
+        routeColour: (runnerUser && runnerUser.routeColour) || 'red',
+        overlaySettings,
+      },
+      createdBy: req.user._id,
+      event: eventid,
+      eventRunner: userid,
+    });
+  }).then((newJob) => {
+    logger('success')(`Overlay requested for ${userid} in ${eventid} by ${req.user.email}.`);
+    return res.status(202).send(newJob);
+  }).catch((err) => {
+    logger('error')('Error creating overlay:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// queue jobs to create the overlays for all maps with a route image in the specified event,
+// or in all events if none is specified, using each map's stored settings (admin only)
+// app.post('/events/:eventid/overlays' and app.post('/events/overlays'
+const regenerateOverlays = (req, res) => {
+  logReq(req);
+  const { eventid } = req.params;
+  if (req.user.role !== 'admin') {
+    logger('error')(`Error: ${req.user.email} not allowed to regenerate overlays.`);
+    return res.status(401).send({ error: 'Only administrators can regenerate overlays.' });
+  }
+  if (eventid && !ObjectID.isValid(eventid)) {
+    logger('error')('Error regenerating overlays: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  const searchCriteria = (eventid) ? { _id: eventid, active: true } : { active: true };
+  return dbGetEvents(searchCriteria).then((foundEvents) => {
+    const mapsToProcess = [];
+    foundEvents.forEach((foundEvent) => {
+      foundEvent.runners.forEach((runner) => {
+        if (runner.user && runner.user.active) {
+          runner.maps.filter(map => map.route).forEach((map) => {
+            mapsToProcess.push({ event: foundEvent._id, eventRunner: runner.user._id, map });
+          });
+        }
+      });
+    });
+    // each runner's pen colour is needed for maps without a course image
+    const runnerIds = [...new Set(mapsToProcess.map(({ eventRunner }) => eventRunner.toString()))];
+    return Promise.all(runnerIds.map(runnerId => dbGetUserById(runnerId))).then((runners) => {
+      const routeColours = {};
+      runners.filter(runner => runner).forEach((runner) => {
+        routeColours[runner._id.toString()] = runner.routeColour;
+      });
+      return Promise.all(mapsToProcess.map(({ event, eventRunner, map }) => enqueueJob({
+        type: 'createOverlay',
+        payload: {
+          fileLocation: map.route,
+          title: map.title,
+          routeColour: routeColours[eventRunner.toString()] || 'red',
+          overlaySettings: getRequestedOverlaySettings({}, map.overlaySettings),
+        },
+        createdBy: req.user._id,
+        event,
+        eventRunner,
+      })));
+    });
+  }).then((newJobs) => {
+    logger('success')(`${newJobs.length} overlays queued for regeneration by ${req.user.email}.`);
+    return res.status(202).send({ queued: newJobs.length, jobs: newJobs.map(job => job._id) });
+  }).catch((err) => {
+    logger('error')('Error regenerating overlays:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  postMapOverlay,
+  regenerateOverlays,
+};
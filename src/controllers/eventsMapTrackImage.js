@@ -0,0 +1,103 @@
+const { ObjectID } = require('mongodb');
+
+const logger = require('../services/logger');
+const logReq = require('./logReq');
+const { enqueueJob, onJobCompleted } = require('../services/jobQueue');
+const { getTrackImageLocation } = require('../services/createTrackImage');
+const { dbGetEventById, dbUpdateRunner } = require('../services/eventServices');
+
+const COLOUR_BY = ['pace', 'heartRate'];
+
+// the course or route image that the map's GPS track is drawn on (the one with QuickRoute data)
+const getTrackImageSource = (map) => {
+  return ['route', 'course'].map(maptype => map[maptype])
+    .find(fileLocation => fileLocation && map.trackImage === getTrackImageLocation(fileLocation));
+};
+
+// record the outcome of a createTrackImage job (see services/jobTasks) against the map,
+// unless the image it was drawn on has been replaced or deleted since the job was queued
+const applyCreatedTrackImage = (job, result) => {
+  const { event, eventRunner, payload } = job;
+  const { fileLocation, title } = payload;
+  return dbGetEventById(event).then((eventToUpdate) => {
+    const foundRunner = (eventToUpdate)
+      ? eventToUpdate.runners.find(runner => runner.user._id.toString() === eventRunner.toString())
+      : null;
+    const foundMap = (foundRunner)
+      ? foundRunner.maps.find(map => map.title === title
+        && (map.route === fileLocation || map.course === fileLocation))
+      : null;
+    if (!foundMap) {
+      logger('warning')(`Map ${fileLocation} no longer exists, track image not recorded.`);
+      return { ...result, recorded: false };
+    }
+    const newMaps = foundRunner.maps.map((map) => {
+      if (map !== foundMap) return map;
+      return {
+        ...map,
+        trackImage: result.trackImage,
+        trackImageUpdated: new Date().getTime().toString(),
+        trackImageSettings: result.trackImageSettings,
+      };
+    });
+    return dbUpdateRunner(event, eventRunner, { maps: newMaps }).then(() => {
+      logger('success')(`Track image recorded for ${fileLocation}.`);
+      return { ...result, recorded: true };
+    });
+  });
+};
+onJobCompleted('createTrackImage', applyCreatedTrackImage);
+
+// queue a job to draw the QuickRoute GPS track on the specified map again, coloured by
+// { colourBy: 'pace' or 'heartRate' }, which is kept for when the image is next processed
+// app.post('/events/:eventid/maps/:userid/:maptitle?/track-image'
+const postMapTrackImage = (req, res) => {
+  logReq(req);
+  const { eventid, userid, maptitle } = req.params;
+  const { colourBy } = req.body;
+  const title = maptitle || '';
+  const allowedToDrawTrack = ((req.user.role === 'admin')
+  || (req.user.role === 'standard' && req.user._id.toString() === userid));
+  if (!allowedToDrawTrack) {
+    logger('error')(`Error: ${req.user.email} not allowed to draw track for ${userid}.`);
+    return res.status(401).send({ error: 'Not allowed to draw track for this user.' });
+  }
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)) {
+    logger('error')('Error drawing track: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  if (!COLOUR_BY.includes(colourBy)) {
+    logger('error')(`Error drawing track: invalid colourBy ${colourBy}.`);
+    return res.status(400).send({ error: 'colourBy must be pace or heartRate.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) throw new Error('Event could not be found.');
+    const foundRunner = foundEvent.runners.find(runner => runner.user._id.toString() === userid);
+    if (!foundRunner) throw new Error('Runner does not exist.');
+    const foundMap = foundRunner.maps.find(map => map.title === title);
+    if (!foundMap) throw new Error('Map does not exist.');
+    const fileLocation = getTrackImageSource(foundMap);
+    if (!fileLocation) throw new Error('Map does not have a QuickRoute GPS track.');
+    return enqueueJob({
+      type: 'createTrackImage',
+      payload: {
+        fileLocation,
+        title,
+        trackImageSettings: { colourBy },
+      },
+      createdBy: req.user._id,
+      event: eventid,
+      eventRunner: userid,
+    });
+  }).then((newJob) => {
+    logger('success')(`Track image requested for ${userid} in ${eventid} by ${req.user.email}.`);
+    return res.status(202).send(newJob);
+  }).catch((err) => {
+    logger('error')('Error drawing track:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  postMapTrackImage,
+};
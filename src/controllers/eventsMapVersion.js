@@ -0,0 +1,190 @@
+const { ObjectID } = require('mongodb');
+
+const logger = require('../services/logger');
+const logReq = require('./logReq');
+const { sendStoredFile } = require('./images');
+const { dbRecordActivity } = require('../services/activityServices');
+const { getChosenExtractArea } = require('../services/findRouteExtract');
+const { enqueueJob } = require('../services/jobQueue');
+const {
+  getCurrentLocation,
+  isVersionLocation,
+  restoreMapVersion,
+} = require('../services/mapVersions');
+const { prefixEventImagePaths } = require('../services/prefixImagePaths');
+const { canSeeRunner } = require('../services/runnerVisibility');
+const { dbGetEventById, dbUpdateRunner } = require('../services/eventServices');
+const { dbGetUserById } = require('../services/userServices');
+
+// previous versions are only available to the runner and administrators
+const canManageVersions = (requestor, userid) => {
+  return (requestor.role === 'admin')
+    || (requestor.role === 'standard' && requestor._id.toString() === userid);
+};
+
+// find the specified runner and map if the requestor is allowed to manage its versions
+// resolves to { foundEvent, foundRunner, foundMap } or { status, error } if not
+const findMapForVersions = (req) => {
+  const { eventid, userid, maptitle } = req.params;
+  const title = maptitle || '';
+  if (!canManageVersions(req.user, userid)) {
+    return Promise.resolve({ status: 401, error: 'Not allowed to see map versions for this user.' });
+  }
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)) {
+    return Promise.resolve({ status: 400, error: 'Invalid ID.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) return { status: 404, error: 'No event found.' };
+    const foundRunner = foundEvent.runners
+      .find(runner => runner.user._id.toString() === userid);
+    if (!foundRunner) return { status: 404, error: 'Runner not found in event.' };
+    const foundMap = foundRunner.maps.find(map => map.title === title);
+    if (!foundMap) return { status: 404, error: 'Map not found.' };
+    return { foundEvent, foundRunner, foundMap };
+  });
+};
+
+// the specified version, if its file is one of the runner's versions at the event
+const findVersion = (req, foundMap) => {
+  const {
+    eventid,
+    userid,
+    maptype,
+    version,
+  } = req.params;
+  return (foundMap.versions || []).find((eachVersion) => {
+    return eachVersion.maptype === maptype && eachVersion.version === parseInt(version, 10)
+      && isVersionLocation(eachVersion.file, eventid, userid);
+  });
+};
+
+// list the course and route images uploaded for the specified map, oldest first
+// app.get('/events/:eventid/maps/:userid/:maptitle?/versions'
+const getMapVersions = (req, res) => {
+  logReq(req);
+  return findMapForVersions(req).then(({ foundMap, status, error }) => {
+    if (error) {
+      logger('error')(`Error getting map versions: ${error}`);
+      return res.status(status).send({ error });
+    }
+    const versions = (foundMap.versions || []).map((eachVersion) => {
+      const { file, ...details } = eachVersion;
+      return {
+        ...details,
+        current: eachVersion.version === foundMap[eachVersion.maptype.concat('Version')],
+      };
+    });
+    logger('success')(`Returned ${versions.length} map versions to ${req.user.email}.`);
+    return res.status(200).send(versions);
+  }).catch((err) => {
+    logger('error')('Error getting map versions:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// download a previous (or the current) version of the course or route image
+// app.get('/events/:eventid/maps/:userid/:maptitle?/versions/:maptype(course|route)/:version'
+const getMapVersionFile = (req, res) => {
+  logReq(req);
+  return findMapForVersions(req).then(({ foundMap, status, error }) => {
+    if (error) {
+      logger('error')(`Error getting map version: ${error}`);
+      return res.status(status).send({ error });
+    }
+    const foundVersion = findVersion(req, foundMap);
+    if (!foundVersion) {
+      logger('error')('Error getting map version: version not found.');
+      return res.status(404).send({ error: 'Version not found.' });
+    }
+    res.attachment(foundVersion.file.split('/').pop());
+    return sendStoredFile(res, foundVersion.file, 'private, no-cache');
+  }).catch((err) => {
+    logger('error')('Error getting map version:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// make a previous version the current course or route image again, then create the
+// thumbnail, extract, tiles and overlay from it as if it had just been uploaded
+// app.post('/events/:eventid/maps/:userid/:maptitle?/versions/:maptype/:version/restore'
+const postMapVersionRestore = (req, res) => {
+  logReq(req);
+  const {
+    eventid,
+    userid,
+    maptype,
+    version,
+  } = req.params;
+  return findMapForVersions(req).then(({
+    foundRunner,
+    foundMap,
+    status,
+    error,
+  }) => {
+    if (error) {
+      logger('error')(`Error restoring map version: ${error}`);
+      return res.status(status).send({ error });
+    }
+    const foundVersion = findVersion(req, foundMap);
+    if (!foundVersion) {
+      logger('error')('Error restoring map version: version not found.');
+      return res.status(404).send({ error: 'Version not found.' });
+    }
+    const fileLocation = getCurrentLocation(foundVersion.file);
+    // the image being replaced doesn't need to be kept, every upload has a version already
+    return Promise.all([
+      dbGetUserById(userid),
+      restoreMapVersion(foundVersion),
+    ]).then(([runnerUser]) => {
+      const newMaps = foundRunner.maps.map((map) => {
+        if (map !== foundMap) return map;
+        return {
+          ...map,
+          [maptype]: fileLocation,
+          [maptype.concat('Updated')]: new Date().getTime().toString(),
+          [maptype.concat('Version')]: foundVersion.version,
+        };
+      });
+      return dbUpdateRunner(eventid, userid, { maps: newMaps }).then((updatedEvent) => {
+        logger('success')(`Version ${version} of ${fileLocation} restored by ${req.user.email}.`);
+        dbRecordActivity({
+          actionType: 'EVENT_MAP_RESTORED',
+          actionBy: req.user._id,
+          event: eventid,
+          eventRunner: userid,
+        });
+        // thumbnail, extract, tiles, overlay and QuickRoute data are replaced by the job
+        return enqueueJob({
+          type: 'processMap',
+          payload: {
+            fileLocation,
+            maptype,
+            title: foundMap.title,
+            routeColour: (runnerUser && runnerUser.routeColour) || 'red',
+            overlaySettings: foundMap.overlaySettings,
+            extractArea: getChosenExtractArea(foundMap),
+            trackImageSettings: foundMap.trackImageSettings,
+          },
+          createdBy: req.user._id,
+          event: eventid,
+          eventRunner: userid,
+        }).then((newJob) => {
+          const selectedRunners = updatedEvent.runners
+            .filter(runner => canSeeRunner(req.user, runner));
+          const eventRunnersFiltered = { ...updatedEvent, runners: selectedRunners };
+          const eventToReturn = prefixEventImagePaths(eventRunnersFiltered);
+          return res.status(202).send({ ...eventToReturn, job: newJob._id });
+        });
+      });
+    });
+  }).catch((err) => {
+    logger('error')('Error restoring map version:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  getMapVersions,
+  getMapVersionFile,
+  postMapVersionRestore,
+};
@@ -0,0 +1,146 @@
+const { ObjectID } = require('mongodb');
+
+const logger = require('../services/logger');
+const logReq = require('./logReq');
+const { dbRecordActivity } = require('../services/activityServices');
+const { getRunnerCourseFields } = require('../services/courses');
+const { createCourseData, createResultList } = require('../services/createIOFXML');
+const { getRunnerUpdates } = require('../services/importResults');
+const { parseResultsFile } = require('../services/parseResultsFile');
+const { prefixEventImagePaths } = require('../services/prefixImagePaths');
+const { canSeeRunner } = require('../services/runnerVisibility');
+const { dbGetEventById, dbUpdateRunner } = require('../services/eventServices');
+const { safeFilename } = require('./eventsMapExport');
+const { updateLegRanks } = require('./eventsSplitTimes');
+const { updateTrackLegs } = require('./eventsTrackLegs');
+
+// import results with split times for every class from an IOF XML 3.0 or CSV results file
+// (see services/parseResultsFile and services/importResults)
+// available to the event owner, runners at the event and admin users, as for updateEvent,
+// but only admin users can record results for runners other than themselves (as for
+// updateEventRunner), others just update the full results of their courses
+// app.post('/events/:eventid/results'
+const postEventResults = (req, res) => {
+  logReq(req);
+  const { eventid } = req.params;
+  const requestorRole = req.user.role;
+  const requestorId = req.user._id.toString();
+  if (!req.file) {
+    logger('error')('Error: postEventResults request without results file attached.');
+    return res.status(400).send({ error: 'No results file attached.' });
+  }
+  if (requestorRole === 'guest') {
+    logger('error')('Error: Guest accounts are not allowed to edit events.');
+    return res.status(401).send({ error: 'Guest accounts are not allowed to edit events.' });
+  }
+  if (!ObjectID.isValid(eventid)) {
+    logger('error')('Error importing results: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) {
+      logger('error')('Error importing results: no matching event found.');
+      return res.status(404).send({ error: 'Event could not be found.' });
+    }
+    const runnerIds = foundEvent.runners.map(runner => runner.user._id.toString());
+    const allowedToImport = ((requestorRole === 'admin')
+    || (requestorRole === 'standard' && requestorId === foundEvent.owner._id.toString())
+    || (requestorRole === 'standard' && runnerIds.includes(requestorId)));
+    if (!allowedToImport) {
+      logger('error')(`Error: ${req.user.email} not allowed to import results for ${eventid}.`);
+      return res.status(401).send({ error: 'Not allowed to import results for this event.' });
+    }
+    return parseResultsFile(req.file.buffer, req.file.originalname).then(({ format, classes }) => {
+      if (classes.length === 0) throw new Error('No results found in file.');
+      // runners given a course are linked to it if the event has course definitions
+      const canUpdateRunner = runner => requestorRole === 'admin'
+        || runner.user._id.toString() === requestorId;
+      const runnerUpdates = getRunnerUpdates(classes, foundEvent.runners, canUpdateRunner)
+        .map(({ fields, ...update }) => ({
+          ...update,
+          fields: ('courseTitle' in fields)
+            ? { ...fields, ...getRunnerCourseFields(foundEvent.courses || [], fields) }
+            : fields,
+        }));
+      // one runner at a time, then rank everyone's legs again
+      return runnerUpdates.reduce((previousUpdate, { runner, fields }) => {
+        return previousUpdate.then(() => dbUpdateRunner(eventid, runner.user._id, fields));
+      }, Promise.resolve(foundEvent)).then((updatedEvent) => {
+        return updateLegRanks(eventid).then(rankedEvent => rankedEvent || updatedEvent);
+      }).then((rankedEvent) => {
+        // runners may have been linked to a different course
+        return updateTrackLegs(eventid).then(legsEvent => legsEvent || rankedEvent);
+      }).then((updatedEvent) => {
+        const matched = runnerUpdates.filter(({ matchedBy }) => matchedBy);
+        const visibleMatched = matched.filter(({ runner }) => canSeeRunner(req.user, runner));
+        logger('success')(`Imported ${format} results for ${updatedEvent.name} (${matched.length} runner(s) matched) by ${req.user.email}.`);
+        dbRecordActivity({
+          actionType: 'EVENT_RESULTS_IMPORTED',
+          actionBy: req.user._id,
+          event: eventid,
+        });
+        const eventToReturn = prefixEventImagePaths({
+          ...updatedEvent,
+          runners: updatedEvent.runners.filter(runner => canSeeRunner(req.user, runner)),
+        });
+        return res.status(200).send({
+          ...eventToReturn,
+          imported: {
+            format,
+            classes: classes.length,
+            results: classes.reduce((total, eachClass) => total + eachClass.results.length, 0),
+            matched: matched.length,
+            runners: visibleMatched.map(({ runner, matchedBy }) => ({
+              user: runner.user._id,
+              displayName: runner.user.displayName,
+              matchedBy,
+            })),
+          },
+        });
+      });
+    });
+  }).catch((err) => {
+    logger('error')('Error importing results:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// export the courses, results and split times of the runners the requestor can see as an
+// IOF XML 3.0 ResultList or, with ?type=courses, CourseData document
+// app.get('/events/:eventid/iof.xml'
+const getEventIOFXML = (req, res) => {
+  logReq(req);
+  const { eventid } = req.params;
+  const type = req.query.type || 'results';
+  if (!ObjectID.isValid(eventid)) {
+    logger('error')('Error exporting IOF XML: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  if (!['results', 'courses'].includes(type)) {
+    logger('error')(`Error exporting IOF XML: invalid type ${type}.`);
+    return res.status(400).send({ error: 'Type must be results or courses.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) {
+      logger('error')('Error exporting IOF XML: no matching event found.');
+      return res.status(404).send({ error: 'Event could not be found.' });
+    }
+    const visibleRunners = foundEvent.runners.filter(runner => canSeeRunner(req.user, runner));
+    const xml = (type === 'courses')
+      ? createCourseData(foundEvent, visibleRunners)
+      : createResultList(foundEvent, visibleRunners);
+    const filename = safeFilename(`${foundEvent.date}-${foundEvent.name}-${type}`).concat('.xml');
+    logger('success')(`Exported IOF XML ${type} for ${foundEvent.name} to ${req.user.email || 'an anonymous user'}.`);
+    res.set('Content-Type', 'application/xml');
+    res.attachment(filename);
+    return res.status(200).send(xml);
+  }).catch((err) => {
+    logger('error')('Error exporting IOF XML:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  getEventIOFXML,
+  postEventResults,
+};
@@ -0,0 +1,208 @@
+const { ObjectID } = require('mongodb');
+const crypto = require('crypto');
+
+const logger = require('../services/logger');
+const logReq = require('./logReq');
+const { dbRecordActivity } = require('../services/activityServices');
+const { prefixEventImagePaths } = require('../services/prefixImagePaths');
+const {
+  dbGetEventById,
+  dbAddShareLink,
+  dbDeleteShareLink,
+  dbGetEventByShareToken,
+} = require('../services/eventServices');
+
+const TOKEN_BYTES = 20; // 160 bits, sent as 40 hex characters
+
+// only the runner and administrators can manage a runner's share links
+const canManageShareLinks = (requestor, userid) => {
+  return (requestor.role === 'admin')
+    || (requestor.role === 'standard' && requestor._id.toString() === userid);
+};
+
+const findRunner = (foundEvent, userid) => {
+  return foundEvent.runners.find(runner => runner.user._id.toString() === userid);
+};
+
+const isExpired = shareLink => Boolean(shareLink.expires && shareLink.expires < new Date());
+
+// app.post('/events/:eventid/maps/:userid/shares', requireAuth, Events.createShareLink);
+// create a secret link to the runner's maps (or a single map if maptitle is provided),
+// optionally expiring at the specified date/time
+const createShareLink = (req, res) => {
+  logReq(req);
+  const { eventid, userid } = req.params;
+  const { maptitle, expires } = req.body;
+  if (!canManageShareLinks(req.user, userid)) {
+    logger('error')(`Error: ${req.user.email} not allowed to share maps for ${userid}.`);
+    return res.status(401).send({ error: 'Not allowed to share maps for this runner.' });
+  }
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)) {
+    logger('error')('Error creating share link: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  const expiryDate = (expires) ? new Date(expires) : null;
+  if (expiryDate && (Number.isNaN(expiryDate.getTime()) || expiryDate < new Date())) {
+    logger('error')('Error creating share link: invalid expiry date.');
+    return res.status(400).send({ error: 'Expiry must be a valid date in the future.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) {
+      logger('error')('Error creating share link: no matching event found.');
+      return res.status(404).send({ error: 'Event could not be found.' });
+    }
+    const foundRunner = findRunner(foundEvent, userid);
+    if (!foundRunner) {
+      logger('error')('Error creating share link: runner not found.');
+      return res.status(404).send({ error: 'Runner not found in event.' });
+    }
+    const mapTitle = (maptitle === undefined || maptitle === null) ? null : maptitle;
+    if (mapTitle !== null && !foundRunner.maps.find(map => map.title === mapTitle)) {
+      logger('error')('Error creating share link: map not found.');
+      return res.status(404).send({ error: 'Map not found.' });
+    }
+    const newShareLink = {
+      token: crypto.randomBytes(TOKEN_BYTES).toString('hex'),
+      createdBy: req.user._id,
+    };
+    if (mapTitle !== null) newShareLink.mapTitle = mapTitle;
+    if (expiryDate) newShareLink.expires = expiryDate;
+    return dbAddShareLink(eventid, userid, newShareLink).then((updatedEvent) => {
+      const { shareLinks } = findRunner(updatedEvent, userid);
+      const createdShareLink = shareLinks[shareLinks.length - 1];
+      logger('success')(`Share link created for ${userid} in ${updatedEvent.name} by ${req.user.email}.`);
+      dbRecordActivity({
+        actionType: 'SHARE_LINK_CREATED',
+        actionBy: req.user._id,
+        event: eventid,
+        eventRunner: userid,
+      });
+      return res.status(200).send(createdShareLink);
+    });
+  }).catch((err) => {
+    logger('error')('Error creating share link:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// app.get('/events/:eventid/maps/:userid/shares', requireAuth, Events.getShareLinks);
+// list the runner's share links, including any that have expired
+const getShareLinks = (req, res) => {
+  logReq(req);
+  const { eventid, userid } = req.params;
+  if (!canManageShareLinks(req.user, userid)) {
+    logger('error')(`Error: ${req.user.email} not allowed to see share links for ${userid}.`);
+    return res.status(401).send({ error: 'Not allowed to see share links for this runner.' });
+  }
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)) {
+    logger('error')('Error getting share links: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) {
+      logger('error')('Error getting share links: no matching event found.');
+      return res.status(404).send({ error: 'Event could not be found.' });
+    }
+    const foundRunner = findRunner(foundEvent, userid);
+    if (!foundRunner) {
+      logger('error')('Error getting share links: runner not found.');
+      return res.status(404).send({ error: 'Runner not found in event.' });
+    }
+    const shareLinks = (foundRunner.shareLinks || []).map((shareLink) => {
+      return { ...shareLink, expired: isExpired(shareLink) };
+    });
+    logger('success')(`Returned ${shareLinks.length} share links for ${userid} in ${foundEvent.name}.`);
+    return res.status(200).send(shareLinks);
+  }).catch((err) => {
+    logger('error')('Error getting share links:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// app.delete('/events/:eventid/maps/:userid/shares/:shareid', requireAuth, Events.deleteShareLink);
+// revoke the specified share link, returning those remaining
+const deleteShareLink = (req, res) => {
+  logReq(req);
+  const { eventid, userid, shareid } = req.params;
+  if (!canManageShareLinks(req.user, userid)) {
+    logger('error')(`Error: ${req.user.email} not allowed to revoke share links for ${userid}.`);
+    return res.status(401).send({ error: 'Not allowed to revoke share links for this runner.' });
+  }
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid) || !ObjectID.isValid(shareid)) {
+    logger('error')('Error revoking share link: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) {
+      logger('error')('Error revoking share link: no matching event found.');
+      return res.status(404).send({ error: 'Event could not be found.' });
+    }
+    const foundRunner = findRunner(foundEvent, userid);
+    const foundShareLink = (foundRunner && foundRunner.shareLinks)
+      ? foundRunner.shareLinks.find(shareLink => shareLink._id.toString() === shareid)
+      : null;
+    if (!foundShareLink) {
+      logger('error')('Error revoking share link: share link not found.');
+      return res.status(404).send({ error: 'Share link not found.' });
+    }
+    return dbDeleteShareLink(eventid, userid, shareid).then((updatedEvent) => {
+      logger('success')(`Share link revoked for ${userid} in ${updatedEvent.name} by ${req.user.email}.`);
+      dbRecordActivity({
+        actionType: 'SHARE_LINK_DELETED',
+        actionBy: req.user._id,
+        event: eventid,
+        eventRunner: userid,
+      });
+      return res.status(200).send(findRunner(updatedEvent, userid).shareLinks);
+    });
+  }).catch((err) => {
+    logger('error')('Error revoking share link:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// app.get('/shared/:token', publicRoute, Events.getSharedMaps);
+// read-only view of the event with just the runner (and map) that the link was created for,
+// ignoring the runner's visibility setting but no-one else's
+const getSharedMaps = (req, res) => {
+  logReq(req);
+  const { token } = req.params;
+  if (!/^[0-9a-f]+$/.test(token)) {
+    logger('error')('Error getting shared maps: invalid token.');
+    return res.status(404).send({ error: 'Share link not found.' });
+  }
+  return dbGetEventByShareToken(token).then((foundEvent) => {
+    const foundRunner = (foundEvent)
+      ? foundEvent.runners.find((runner) => {
+        return (runner.shareLinks || []).some(shareLink => shareLink.token === token);
+      })
+      : null;
+    // deleted users remain in the runners array but their links should no longer work
+    if (!foundRunner || !foundRunner.user.active) {
+      logger('error')('Error getting shared maps: share link not found.');
+      return res.status(404).send({ error: 'Share link not found.' });
+    }
+    const foundShareLink = foundRunner.shareLinks.find(shareLink => shareLink.token === token);
+    if (isExpired(foundShareLink)) {
+      logger('error')('Error getting shared maps: share link has expired.');
+      return res.status(404).send({ error: 'Share link has expired.' });
+    }
+    const { mapTitle, expires } = foundShareLink;
+    const sharedRunner = (mapTitle === undefined || mapTitle === null)
+      ? foundRunner
+      : { ...foundRunner, maps: foundRunner.maps.filter(map => map.title === mapTitle) };
+    const eventToReturn = prefixEventImagePaths({ ...foundEvent, runners: [sharedRunner] });
+    logger('success')(`Returned shared maps for ${foundRunner.user.displayName} in ${foundEvent.name}.`);
+    return res.status(200).send({ ...eventToReturn, shareLink: { mapTitle, expires } });
+  }).catch((err) => {
+    logger('error')('Error getting shared maps:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  createShareLink,
+  getShareLinks,
+  deleteShareLink,
+  getSharedMaps,
+};
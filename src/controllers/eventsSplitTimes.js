@@ -0,0 +1,78 @@
+const { ObjectID } = require('mongodb');
+
+const logger = require('../services/logger');
+const logReq = require('./logReq');
+const { findRunnerCourse, getCourseLegs } = require('../services/courses');
+const { canSeeRunner } = require('../services/runnerVisibility');
+const { compareSplitTimes, rankLegs } = require('../services/splitTimes');
+const { dbGetEventById, dbUpdateRunner } = require('../services/eventServices');
+
+// recalculate the leg ranks of every runner at the event after split times or courses have
+// changed (or a runner has been added or removed), updating only those whose ranks differ
+// resolves to the updated event, or null if no ranks have changed
+const updateLegRanks = (eventid) => {
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) return null;
+    const rankedSplitTimes = rankLegs(foundEvent.runners);
+    const toUpdate = foundEvent.runners.map((runner, index) => ({
+      runner,
+      splitTimes: rankedSplitTimes[index],
+    })).filter(({ runner, splitTimes }) => {
+      return splitTimes.some((split, index) => split.legRank !== runner.splitTimes[index].legRank);
+    });
+    // one at a time, each resolving to the event as updated so far
+    return toUpdate.reduce((previousUpdate, { runner, splitTimes }) => {
+      return previousUpdate.then(() => dbUpdateRunner(eventid, runner.user._id, { splitTimes }));
+    }, Promise.resolve(null));
+  });
+};
+
+// compare the specified runner's split times leg by leg with the other runners on the same
+// course that the requestor can see (see services/splitTimes), with the length of each leg
+// if the runner is linked to one of the event's courses
+// app.get('/events/:eventid/maps/:userid/splits'
+const getSplitAnalysis = (req, res) => {
+  logReq(req);
+  const { eventid, userid } = req.params;
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)) {
+    logger('error')('Error analysing split times: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) {
+      logger('error')('Error analysing split times: no matching event found.');
+      return res.status(404).send({ error: 'Event could not be found.' });
+    }
+    const foundRunner = foundEvent.runners.find(runner => runner.user._id.toString() === userid);
+    if (!foundRunner) {
+      logger('error')('Error analysing split times: runner not found.');
+      return res.status(404).send({ error: 'Runner not found in event.' });
+    }
+    if (!canSeeRunner(req.user, foundRunner)) {
+      logger('error')(`Error: ${req.user.email} not allowed to see split times for ${userid}.`);
+      return res.status(401).send({ error: 'Not allowed to see split times for this runner.' });
+    }
+    if (!foundRunner.splitTimes || foundRunner.splitTimes.length === 0
+      || !foundRunner.courseTitle) {
+      logger('error')('Error analysing split times: runner has no split times or course.');
+      return res.status(404).send({ error: 'No split times with a course found for this runner.' });
+    }
+    const visibleRunners = foundEvent.runners.filter((runner) => {
+      return runner !== foundRunner && canSeeRunner(req.user, runner);
+    });
+    const course = findRunnerCourse(foundEvent.courses, foundRunner);
+    const courseLegs = (course) ? getCourseLegs(course) : [];
+    const comparedRunners = [foundRunner, ...visibleRunners];
+    const analysis = compareSplitTimes(foundRunner, comparedRunners, courseLegs);
+    logger('success')(`Returned split analysis for ${foundRunner.user.displayName} at ${foundEvent.name}.`);
+    return res.status(200).send(analysis);
+  }).catch((err) => {
+    logger('error')('Error analysing split times:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  getSplitAnalysis,
+  updateLegRanks,
+};
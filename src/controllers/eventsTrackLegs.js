@@ -0,0 +1,97 @@
+const { ObjectID } = require('mongodb');
+
+const logger = require('../services/logger');
+const logReq = require('./logReq');
+const { canSeeRunner } = require('../services/runnerVisibility');
+const { getRunnerTrackLegs, summariseTrackLegs } = require('../services/splitTrack');
+const { dbGetEventById, dbUpdateRunner } = require('../services/eventServices');
+
+// trackLegs in a form that can be compared, whether as stored or newly calculated
+const toComparable = (trackLegs) => {
+  if (!trackLegs || !trackLegs.legs || trackLegs.legs.length === 0) return null;
+  return JSON.stringify({
+    mapTitle: trackLegs.mapTitle,
+    course: String(trackLegs.course),
+    legs: trackLegs.legs.map(leg => ({
+      controlCode: leg.controlCode,
+      punchTime: (leg.punchTime) ? new Date(leg.punchTime).getTime() : null,
+      legTime: leg.legTime,
+      cumulativeTime: leg.cumulativeTime,
+      distance: leg.distance,
+      straightDistance: leg.straightDistance,
+      efficiency: leg.efficiency,
+    })),
+  });
+};
+
+// split the GPS tracks of the runners at the event (or just the one specified) at the
+// controls of their courses (see services/splitTrack) after tracks, courses or the runners'
+// links to them have changed, updating only those whose legs differ
+// resolves to the updated event, or null if nothing has changed
+const updateTrackLegs = (eventid, userid) => {
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) return null;
+    const toUpdate = foundEvent.runners.filter((runner) => {
+      return !userid || runner.user._id.toString() === userid.toString();
+    }).map(runner => ({
+      runner,
+      trackLegs: getRunnerTrackLegs(runner, foundEvent.courses),
+    })).filter(({ runner, trackLegs }) => {
+      return toComparable(trackLegs) !== toComparable(runner.trackLegs);
+    });
+    // one at a time, each resolving to the event as updated so far
+    return toUpdate.reduce((previousUpdate, { runner, trackLegs }) => {
+      return previousUpdate.then(() => dbUpdateRunner(eventid, runner.user._id, { trackLegs }));
+    }, Promise.resolve(null));
+  });
+};
+
+// the legs of the specified runner's GPS track between the controls of their course, with
+// the time, distance run, straight-line distance and route efficiency of each
+// app.get('/events/:eventid/maps/:userid/legs'
+const getTrackLegs = (req, res) => {
+  logReq(req);
+  const { eventid, userid } = req.params;
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)) {
+    logger('error')('Error analysing legs: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    if (!foundEvent) {
+      logger('error')('Error analysing legs: no matching event found.');
+      return res.status(404).send({ error: 'Event could not be found.' });
+    }
+    const foundRunner = foundEvent.runners.find(runner => runner.user._id.toString() === userid);
+    if (!foundRunner) {
+      logger('error')('Error analysing legs: runner not found.');
+      return res.status(404).send({ error: 'Runner not found in event.' });
+    }
+    if (!canSeeRunner(req.user, foundRunner)) {
+      logger('error')(`Error: ${req.user.email} not allowed to see legs for ${userid}.`);
+      return res.status(401).send({ error: 'Not allowed to see legs for this runner.' });
+    }
+    const { trackLegs } = foundRunner;
+    if (!trackLegs || !trackLegs.legs || trackLegs.legs.length === 0) {
+      logger('error')('Error analysing legs: runner has no track split into legs.');
+      return res.status(404).send({
+        error: 'No legs found: needs a course with control coordinates and a GPS track with times.',
+      });
+    }
+    const legs = trackLegs.legs.map(({ _id, ...leg }, index) => ({ leg: index + 1, ...leg }));
+    logger('success')(`Returned leg analysis for ${foundRunner.user.displayName} at ${foundEvent.name}.`);
+    return res.status(200).send({
+      courseTitle: foundRunner.courseTitle,
+      mapTitle: trackLegs.mapTitle,
+      ...summariseTrackLegs(legs),
+      legs,
+    });
+  }).catch((err) => {
+    logger('error')('Error analysing legs:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  getTrackLegs,
+  updateTrackLegs,
+};
@@ -1,7 +1,14 @@
+const { ObjectID } = require('mongodb');
 const fs = require('fs');
+const { extname } = require('path');
 const multer = require('multer'); // support for image upload
-const sharp = require('sharp'); // convert PNG to JPG
 const logger = require('../services/logger');
+const storage = require('../services/storage');
+const { canSeeRunner } = require('../services/runnerVisibility');
+const { dbGetEventById } = require('../services/eventServices');
+const { verifyImageSignature } = require('../services/signedImageUrls');
+const { convertMapImage: convertToJPEG } = require('../services/convertMapImage');
+const { normaliseMapImage: normaliseImage } = require('../services/normaliseMapImage');
 
 // multer setup for uploading profile images and maps
 const profileImageStorage = multer.diskStorage({
@@ -21,6 +28,34 @@ const profileImageStorage = multer.diskStorage({
     cb(null, fileName);
   },
 });
+// map scans and photos can be uploaded in any of these formats, then converted to JPEG
+// (phones don't always give the type of HEIC files, so the extension is used if necessary)
+const mapFileTypes = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/tiff': '.tif',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'image/heif': '.heic',
+  'application/pdf': '.pdf',
+};
+const mapFileExtensions = {
+  '.png': '.png',
+  '.jpg': '.jpg',
+  '.jpeg': '.jpg',
+  '.tif': '.tif',
+  '.tiff': '.tif',
+  '.webp': '.webp',
+  '.heic': '.heic',
+  '.heif': '.heic',
+  '.pdf': '.pdf',
+};
+// filter out special characters to avoid creating broken filenames
+// maptitle is URIComponent-encoded so that it can be used to populate the title field
+const getFilenameTitle = (maptitle) => {
+  return (maptitle) ? maptitle.replace(/[`~!@#$%^&*()|+=?;:'",.<>{}\]\\/\s]/gi, '') : 'map';
+};
 const mapImageStorage = multer.diskStorage({
   destination(req, file, cb) {
     cb(null, 'images/upload');
@@ -31,19 +66,13 @@ const mapImageStorage = multer.diskStorage({
       maptype,
       maptitle,
     } = req.params;
-    // filter out special characters to avoid creating broken filenames
-    // maptitle is URIComponent-encoded so that it can be used to populate the title field
-    const title = (maptitle) ? maptitle.replace(/[`~!@#$%^&*()|+=?;:'",.<>{}\]\\/\s]/gi, '') : 'map';
-    const fileTypes = {
-      'image/png': '.png',
-      'image/jpeg': '.jpg',
-      'image/jpg': '.jpg',
-    };
-    if (!fileTypes[file.mimetype]) {
-      cb(new Error('Needs to be a JPEG or PNG image.'));
+    const fileType = mapFileTypes[file.mimetype]
+      || mapFileExtensions[extname(file.originalname).toLowerCase()];
+    if (!fileType) {
+      return cb(new Error('Needs to be a JPEG, PNG, TIFF, WebP, HEIC or PDF image.'));
     }
-    const fileName = `${userid}-${title}-${maptype}${fileTypes[file.mimetype]}`;
-    cb(null, fileName);
+    const fileName = `${userid}-${getFilenameTitle(maptitle)}-${maptype}${fileType}`;
+    return cb(null, fileName);
   },
 });
 const uploadImage = multer({
@@ -55,7 +84,49 @@ const uploadImage = multer({
 const uploadMap = multer({
   storage: mapImageStorage,
   limits: {
-    fileSize: 5000000, // current collection of scanned maps varies from 1MB to 4MB
+    fileSize: 50000000, // scanned maps are 1MB to 4MB as JPEG, but much larger as TIFF or PDF
+  },
+});
+// GPS track files are parsed directly rather than being stored
+const uploadTrack = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10000000, // long activities recorded every second can be large
+  },
+  fileFilter(req, file, cb) {
+    const extension = file.originalname.split('.').pop().toLowerCase();
+    if (!['gpx', 'tcx', 'fit'].includes(extension)) {
+      return cb(new Error('Needs to be a GPX, TCX or FIT file.'));
+    }
+    return cb(null, true);
+  },
+});
+// results files are parsed directly too
+const uploadResults = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10000000, // IOF XML with split times for a large event
+  },
+  fileFilter(req, file, cb) {
+    const extension = file.originalname.split('.').pop().toLowerCase();
+    if (!['xml', 'csv', 'txt'].includes(extension)) {
+      return cb(new Error('Needs to be an IOF XML or CSV file.'));
+    }
+    return cb(null, true);
+  },
+});
+// as are course definitions
+const uploadCourses = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5000000,
+  },
+  fileFilter(req, file, cb) {
+    const extension = file.originalname.split('.').pop().toLowerCase();
+    if (extension !== 'xml') {
+      return cb(new Error('Needs to be an IOF XML CourseData file.'));
+    }
+    return cb(null, true);
   },
 });
 /* eslint { no-unused-vars: 0 } */
@@ -65,39 +136,172 @@ const errorHandler = (err, req, res, next) => { // eslint exception needed for n
     res.status(400).send({ error: err.message });
   }
 };
-const convertPNG = (req, res, next) => {
+const writeFileAsync = (filename, data) => {
+  return new Promise((resolve, reject) => {
+    fs.writeFile(filename, data, (writeErr) => {
+      if (writeErr) reject(writeErr);
+      else resolve();
+    });
+  });
+};
+const renameAsync = (oldPath, newPath) => {
+  return new Promise((resolve, reject) => {
+    fs.rename(oldPath, newPath, (renameErr) => {
+      if (renameErr) reject(renameErr);
+      else resolve();
+    });
+  });
+};
+
+// convert an uploaded map that isn't a JPEG, replacing the upload with the JPEG version
+// a PDF or TIFF file with several pages becomes a map with several parts, one for each page,
+// passed on to postMap as req.mapPages [{ title, uploadPath }]
+const convertMapImage = (req, res, next) => {
   if (!req.file) {
     logger('error')('Error: postMap request without image attached.');
     return res.status(400).send({ error: 'No map image file attached.' });
   }
   const { path } = req.file;
-  if (path.slice(-3) === 'png') {
-    // console.log('PNG file uploaded, want to convert it to JPG');
-    const newPath = path.slice(0, -3).concat('jpg');
-    return sharp(path).toFormat('jpeg').toFile(newPath).then((info) => {
-      // console.log('File converted successfully');
-      req.file.path = newPath; // point eventMap at new file
-      return fs.unlink(path, (deleteErr) => {
-        // console.log('Error deleting PNG:', deleteErr);
-        if (deleteErr) {
-          logger('error')(`Error deleting ${path}: ${deleteErr.message}`);
-          return res.status(400).send({ error: 'Filesystem error converting PNG to JPG.' });
-        }
-        return next();
+  const extension = extname(path);
+  if (extension === '.jpg') return next();
+  const { userid, maptype, maptitle } = req.params;
+  return convertToJPEG(path, extension.slice(1)).then((images) => {
+    const pages = images.map((image, index) => {
+      if (images.length === 1) {
+        return { title: maptitle || '', uploadPath: path.slice(0, -extension.length).concat('.jpg') };
+      }
+      const title = [maptitle, `part ${index + 1}`].filter(Boolean).join(' ');
+      const uploadPath = `images/upload/${userid}-${getFilenameTitle(title)}-${maptype}.jpg`;
+      return { title, uploadPath };
+    });
+    return Promise.all(pages.map(({ uploadPath }, index) => {
+      return writeFileAsync(uploadPath, images[index]);
+    })).then(() => {
+      fs.unlink(path, (deleteErr) => {
+        if (deleteErr) logger('error')(`Error deleting ${path}: ${deleteErr.message}`);
       });
-    })
-      .catch((conversionErr) => {
-        logger('error')(`Error converting PNG to JPG: ${conversionErr.message}`);
-        return res.status(400).send({ error: 'Internal error converting PNG to JPG.' });
-        // console.log('Error in file conversion:', conversionErr);
+      req.file.path = pages[0].uploadPath; // point eventMap at new file
+      if (pages.length > 1) req.mapPages = pages;
+      logger('info')(`Converted ${extension} upload to ${pages.length} JPEG image(s).`);
+      return next();
+    });
+  }).catch((conversionErr) => {
+    logger('error')(`Error converting ${extension} to JPG: ${conversionErr.message}`);
+    return res.status(400).send({ error: `Error converting map image: ${conversionErr.message}` });
+  });
+};
+
+// if requested (?normalise=true), turn each image upright, straighten and crop it (see
+// services/normaliseMapImage), keeping the upload as it was so that postMap can store it
+// as a version too, passed on as req.mapPages [{ title, uploadPath, originalPath?,
+// normalisation }] (originalPath only if the image has been changed)
+const normaliseMapImage = (req, res, next) => {
+  if (req.query.normalise !== 'true') return next();
+  const { maptitle } = req.params;
+  const pages = req.mapPages || [{ title: maptitle || '', uploadPath: req.file.path }];
+  // one at a time to limit the memory needed for large scans
+  return pages.reduce((previous, page) => {
+    return previous.then((normalisedPages) => {
+      return normaliseImage(page.uploadPath).then(({ image, normalisation }) => {
+        if (!image) return [...normalisedPages, { ...page, normalisation }];
+        const originalPath = page.uploadPath.replace(/\.jpg$/, '-original.jpg');
+        return renameAsync(page.uploadPath, originalPath)
+          .then(() => writeFileAsync(page.uploadPath, image))
+          .then(() => [...normalisedPages, { ...page, originalPath, normalisation }]);
       });
+    });
+  }, Promise.resolve([])).then((normalisedPages) => {
+    req.mapPages = normalisedPages;
+    const changed = normalisedPages.filter(({ originalPath }) => originalPath).length;
+    logger('info')(`Normalised ${changed} of ${normalisedPages.length} map image(s).`);
+    return next();
+  }).catch((normaliseErr) => {
+    logger('error')(`Error normalising map image: ${normaliseErr.message}`);
+    return res.status(400).send({ error: `Error normalising map image: ${normaliseErr.message}` });
+  });
+};
+
+// send a file from storage, responding 404 if it doesn't exist
+const sendStoredFile = (res, fileLocation, cacheControl) => {
+  return storage.getFileStream(fileLocation).then(({ stream, size, lastModified }) => {
+    res.set({
+      'Cache-Control': cacheControl,
+      'Content-Length': size,
+      'Last-Modified': new Date(lastModified).toUTCString(),
+    });
+    res.type(extname(fileLocation));
+    stream.on('error', (streamErr) => {
+      logger('error')(`Error sending ${fileLocation}: ${streamErr.message}`);
+      res.end();
+    });
+    return stream.pipe(res);
+  }).catch((err) => {
+    logger('error')(`Error sending ${fileLocation}: ${err.message}`);
+    return res.status(404).send({ error: 'Image not found.' });
+  });
+};
+
+// serve a map image (course, route, overlay, thumbnail, extract or tile) only if the URL has
+// a valid signature (as provided in API responses) or the requestor (bearer token, or anonymous
+// if none) is allowed to see the runner's maps at the event
+// app.get('/images/signed/:expires/:signature/maps/:eventid/*'
+// app.get('/images/maps/:eventid/*'
+const getMapImage = (req, res) => {
+  const { eventid, expires, signature } = req.params;
+  const filePath = req.params[0]; // userid-title-maptype.jpg or a tile below it
+  const userid = filePath.slice(0, 24);
+  if (!ObjectID.isValid(eventid) || !ObjectID.isValid(userid)
+    || filePath.split('/').includes('..')) {
+    logger('error')(`Error getting map image: invalid path ${req.path}.`);
+    return res.status(404).send({ error: 'Image not found.' });
+  }
+  const sendImage = (cacheControl) => {
+    return sendStoredFile(res, `images/maps/${eventid}/${filePath}`, cacheControl);
+  };
+  if (signature) {
+    if (!verifyImageSignature(eventid, filePath, expires, signature)) {
+      logger('error')(`Error getting map image: invalid or expired signature for ${filePath}.`);
+      return res.status(401).send({ error: 'Image link is invalid or has expired.' });
+    }
+    const secondsLeft = parseInt(expires, 10) - Math.floor(Date.now() / 1000);
+    return sendImage(`private, max-age=${secondsLeft}`);
+  }
+  return dbGetEventById(eventid).then((foundEvent) => {
+    const foundRunner = (foundEvent)
+      ? foundEvent.runners.find(runner => runner.user._id.toString() === userid)
+      : null;
+    if (!foundRunner || !canSeeRunner(req.user, foundRunner)) {
+      logger('error')(`Error: ${req.user.email || 'anonymous user'} not allowed to see ${filePath}.`);
+      return res.status(401).send({ error: 'Not allowed to see this image.' });
+    }
+    return sendImage('private, no-cache');
+  }).catch((err) => {
+    logger('error')('Error getting map image:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// serve a profile image (available to anyone, as they are shown next to public maps)
+// app.get('/images/avatars/:filename'
+const getProfileImage = (req, res) => {
+  const { filename } = req.params;
+  if (!/^[0-9a-f]{24}\.(jpg|png)$/.test(filename)) {
+    logger('error')(`Error getting profile image: invalid filename ${filename}.`);
+    return res.status(404).send({ error: 'Image not found.' });
   }
-  return next();
+  return sendStoredFile(res, `images/avatars/${filename}`, 'public, max-age=0');
 };
 
 module.exports = {
+  getMapImage,
+  getProfileImage,
+  sendStoredFile,
   uploadImage,
   uploadMap,
-  convertPNG,
+  uploadTrack,
+  uploadResults,
+  uploadCourses,
+  convertMapImage,
+  normaliseMapImage,
   errorHandler,
 };
@@ -0,0 +1,37 @@
+const { ObjectID } = require('mongodb');
+
+const logReq = require('./logReq');
+const logger = require('../services/logger');
+const { dbGetJobById } = require('../services/jobServices');
+
+// retrieve the status of the specified background job
+// (only available to the user that created it and admin users)
+const getJob = (req, res) => {
+  logReq(req);
+  const { id } = req.params;
+  if (!ObjectID.isValid(id)) {
+    logger('error')('Error getting job: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  return dbGetJobById(id).then((foundJob) => {
+    if (!foundJob) {
+      logger('error')('Error getting job: no job found.');
+      return res.status(404).send({ error: 'No job found.' });
+    }
+    const isOwner = foundJob.createdBy
+      && foundJob.createdBy._id.toString() === req.user._id.toString();
+    if (req.user.role !== 'admin' && !isOwner) {
+      logger('error')(`Error: ${req.user.email} not allowed to see job ${id}.`);
+      return res.status(401).send({ error: 'Not allowed to see this job.' });
+    }
+    logger('success')(`Returned status of job ${id} (${foundJob.status}).`);
+    return res.status(200).send(foundJob);
+  }).catch((err) => {
+    logger('error')('Error getting job:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  getJob,
+};
@@ -0,0 +1,200 @@
+const { ObjectID } = require('mongodb');
+
+const logReq = require('./logReq');
+const logger = require('../services/logger');
+const { dbRecordActivity } = require('../services/activityServices');
+const { getChosenExtractArea } = require('../services/findRouteExtract');
+const { enqueueJob } = require('../services/jobQueue');
+const storage = require('../services/storage');
+const {
+  dbGetEventById,
+  dbAddRunner,
+  dbUpdateRunner,
+  dbRestoreEvent,
+} = require('../services/eventServices');
+const { dbGetUserById, dbGetUsers, dbRestoreUser } = require('../services/userServices');
+const { dbGetClubs, dbRestoreClub } = require('../services/clubServices');
+const { updateLegRanks } = require('./eventsSplitTimes');
+const { updateTrackLegs } = require('./eventsTrackLegs');
+const {
+  dbGetTrashItems,
+  dbGetTrashItemById,
+  dbDeleteTrashItem,
+} = require('../services/trashServices');
+
+const findRunner = (foundEvent, userid) => {
+  return foundEvent.runners.find(runner => runner.user._id.toString() === userid.toString());
+};
+
+// functions (trashItem, requestor) => Promise resolving to details to add to the response,
+// throwing an error if the item can't be restored as things stand
+const restoreItem = {
+  // put the image back where it was and create its thumbnail, extract, tiles and overlay again
+  map: ({ event, eventRunner, data }, requestor) => {
+    const {
+      title,
+      maptype,
+      fileLocation,
+      trashedFile,
+      map,
+    } = data;
+    return Promise.all([
+      dbGetEventById(event),
+      dbGetUserById(eventRunner),
+    ]).then(([foundEvent, runnerUser]) => {
+      if (!foundEvent) throw new Error('The event has been deleted, restore it first.');
+      const foundRunner = findRunner(foundEvent, eventRunner);
+      if (!foundRunner) throw new Error('The runner is no longer in the event, restore it first.');
+      const foundMap = foundRunner.maps.find(eachMap => eachMap.title === title);
+      if (foundMap && foundMap[maptype]) {
+        throw new Error(`The map already has a ${maptype} image, use its versions instead.`);
+      }
+      return storage.moveFile(trashedFile, fileLocation).then(() => {
+        const restoredFields = {
+          [maptype]: fileLocation,
+          [maptype.concat('Updated')]: new Date().getTime().toString(),
+          [maptype.concat('Version')]: map[maptype.concat('Version')],
+        };
+        const newMaps = (foundMap)
+          ? foundRunner.maps.map((eachMap) => {
+            if (eachMap !== foundMap) return eachMap;
+            return { ...eachMap, ...restoredFields };
+          })
+          : [...foundRunner.maps, {
+            ...map,
+            ...restoredFields,
+            overlay: '',
+            trackImage: '',
+          }];
+        return dbUpdateRunner(event, eventRunner, { maps: newMaps })
+          .then(() => updateTrackLegs(event, eventRunner));
+      }).then(() => {
+        return enqueueJob({
+          type: 'processMap',
+          payload: {
+            fileLocation,
+            maptype,
+            title,
+            routeColour: (runnerUser && runnerUser.routeColour) || 'red',
+            overlaySettings: (foundMap) ? foundMap.overlaySettings : map.overlaySettings,
+            extractArea: getChosenExtractArea(foundMap || map),
+            trackImageSettings: (foundMap || map).trackImageSettings,
+          },
+          createdBy: requestor._id,
+          event,
+          eventRunner,
+        });
+      }).then(newJob => ({ job: newJob._id }));
+    });
+  },
+  runner: ({ event, eventRunner, data }) => {
+    return dbGetEventById(event).then((foundEvent) => {
+      if (!foundEvent) throw new Error('The event has been deleted, restore it first.');
+      if (findRunner(foundEvent, eventRunner)) {
+        throw new Error('The runner has been added to the event again since.');
+      }
+      return dbAddRunner(event, data.runner);
+    }).then(() => updateLegRanks(event))
+      .then(() => updateTrackLegs(event, eventRunner))
+      .then(() => ({}));
+  },
+  event: ({ event, data }) => {
+    return dbRestoreEvent(event, data).then((restoredEvent) => {
+      if (!restoredEvent) throw new Error('Event could not be found.');
+      return {};
+    });
+  },
+  user: ({ user, data }) => {
+    return dbGetUsers({ $or: [{ email: data.email }, { displayName: data.displayName }] })
+      .then((sameUsers) => {
+        if (sameUsers.length > 0) {
+          throw new Error('The email address or display name is now used by another user.');
+        }
+        return dbRestoreUser(user, data);
+      }).then((restoredUser) => {
+        if (!restoredUser) throw new Error('User could not be found.');
+        return {};
+      });
+  },
+  club: ({ club, data }) => {
+    return dbGetClubs({ shortName: data.shortName }).then((sameClubs) => {
+      if (sameClubs.length > 0) throw new Error('The name is now used by another club.');
+      return dbRestoreClub(club, data);
+    }).then(() => ({}));
+  },
+};
+
+// retrieve the items deleted by or belonging to the current user that can still be
+// restored (admin users see everything, including expired items not yet purged)
+// app.get('/trash', requireAuth, Trash.getTrash);
+const getTrash = (req, res) => {
+  logReq(req);
+  const isAdmin = (req.user.role === 'admin');
+  const searchCriteria = (isAdmin)
+    ? {}
+    : {
+      $or: [{ owner: req.user._id }, { deletedBy: req.user._id }],
+      expires: { $gt: new Date() },
+    };
+  if (req.query.itemType) searchCriteria.itemType = req.query.itemType;
+  return dbGetTrashItems(searchCriteria).then((trashItems) => {
+    logger('success')(`Returned ${trashItems.length} items in trash to ${req.user.email}.`);
+    return res.status(200).send(trashItems);
+  }).catch((err) => {
+    logger('error')('Error getting trash:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+// restore the specified item as it was when it was deleted
+// app.post('/trash/:id/restore', requireAuth, Trash.restoreTrashItem);
+const restoreTrashItem = (req, res) => {
+  logReq(req);
+  const { id } = req.params;
+  if (!ObjectID.isValid(id)) {
+    logger('error')('Error restoring from trash: invalid ObjectID.');
+    return res.status(400).send({ error: 'Invalid ID.' });
+  }
+  return dbGetTrashItemById(id).then((trashItem) => {
+    if (!trashItem) {
+      logger('error')('Error restoring from trash: no item found.');
+      return res.status(404).send({ error: 'Item not found in trash.' });
+    }
+    const requestorId = req.user._id.toString();
+    const isAdmin = (req.user.role === 'admin');
+    const isOwner = (req.user.role === 'standard')
+      && [trashItem.owner, trashItem.deletedBy]
+        .some(userId => userId && userId.toString() === requestorId);
+    if (!isAdmin && !isOwner) {
+      logger('error')(`Error: ${req.user.email} not allowed to restore ${id}.`);
+      return res.status(401).send({ error: 'Not allowed to restore this item.' });
+    }
+    if (trashItem.expires < new Date()) {
+      logger('error')('Error restoring from trash: retention period has passed.');
+      return res.status(400).send({ error: 'Item can no longer be restored.' });
+    }
+    return restoreItem[trashItem.itemType](trashItem, req.user).then((details) => {
+      return dbDeleteTrashItem(id).then(() => {
+        logger('success')(`Restored ${trashItem.itemType} from trash (${trashItem.description}) for ${req.user.email}.`);
+        dbRecordActivity({
+          actionType: 'TRASH_RESTORED',
+          actionBy: req.user._id,
+          club: trashItem.club,
+          event: trashItem.event,
+          eventRunner: trashItem.eventRunner,
+          user: trashItem.user,
+        });
+        const { data, ...restoredItem } = trashItem;
+        return res.status(200).send({ ...restoredItem, ...details });
+      });
+    });
+  }).catch((err) => {
+    logger('error')('Error restoring from trash:', err.message);
+    return res.status(400).send({ error: err.message });
+  });
+};
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+};
@@ -6,6 +6,8 @@ const path = require('path');
 const logger = require('../services/logger');
 const logReq = require('./logReq');
 const { dbRecordActivity } = require('../services/activityServices');
+const { dbRecordTrash } = require('../services/trashServices');
+const storage = require('../services/storage');
 const { validateClubIds } = require('../services/validateIds');
 const { getOrisUserId } = require('../services/orisAPI');
 const { prefixImagePath } = require('../services/prefixImagePaths');
@@ -164,6 +166,7 @@ const updateUser = (req, res) => {
     'contact',
     'memberOf',
     'email',
+    'routeColour',
   ];
   Object.keys(req.body).forEach((key) => {
     if (validFields.includes(key)) {
@@ -243,14 +246,25 @@ const deleteUser = (req, res) => {
   const allowedToDelete = ((requestorRole === 'admin')
     || (requestorRole === 'standard' && requestorId === id));
   if (allowedToDelete) {
-    return dbDeleteUser(id).then((deletedUser) => {
-      logger('success')(`Successfully deleted user ${deletedUser._id} (${deletedUser.email})`);
-      dbRecordActivity({
-        actionType: 'USER_DELETED',
-        actionBy: req.user._id,
-        user: req.params.id,
+    // get the original email and display name first since deletion changes them
+    return dbGetUserById(id).then((userToDelete) => {
+      return dbDeleteUser(id).then((deletedUser) => {
+        logger('success')(`Successfully deleted user ${deletedUser._id} (${deletedUser.email})`);
+        dbRecordActivity({
+          actionType: 'USER_DELETED',
+          actionBy: req.user._id,
+          user: req.params.id,
+        });
+        dbRecordTrash({
+          itemType: 'user',
+          description: `${userToDelete.displayName} (${userToDelete.email})`,
+          owner: id,
+          deletedBy: req.user._id,
+          user: id,
+          data: { email: userToDelete.email, displayName: userToDelete.displayName },
+        });
+        return res.status(200).send(deletedUser);
       });
-      return res.status(200).send(deletedUser);
     }).catch((err) => {
       logger('error')('Error deleting user:', err.message);
       return res.status(400).send({ error: err.message });
@@ -277,30 +291,30 @@ const postProfileImage = (req, res) => {
     return res.status(400).send({ error: 'No profile image file attached.' });
   }
   const newFileLocation = path.join('images', 'avatars', req.file.path.split('/').pop());
-  return fs.unlink(newFileLocation, () => {
-    return sharp(req.file.path)
-      .resize(200, 200, { fit: 'contain', background: 'white' })
-      .toFile(newFileLocation, (err) => {
-        sharp.cache(false); // stops really confusing behaviour if changing more than once!
-        if (err) {
-          logger('error')(`Error saving file to ${newFileLocation}: ${err.message}`);
-          return res.status(400).send({ error: 'Error processing profile image.' });
-        }
-        return dbUpdateUser(req.params.id, { profileImage: newFileLocation })
-          .then((updatedUser) => {
-            logger('success')(`Profile image added to ${updatedUser.email} by ${req.user.email}.`);
-            dbRecordActivity({
-              actionType: 'USER_UPDATED',
-              actionBy: req.user._id,
-              user: req.params.id,
-            });
-            return res.status(200).send(prefixImagePath(updatedUser.profileImage));
-          }).catch((saveUrlErr) => {
-            logger('error')('Error recording new profile image URL:', saveUrlErr.message);
-            return res.status(400).send({ error: saveUrlErr.message });
+  sharp.cache(false); // stops really confusing behaviour if changing more than once!
+  return sharp(req.file.path)
+    .resize(200, 200, { fit: 'contain', background: 'white' })
+    .toBuffer()
+    .then(image => storage.writeFile(newFileLocation, image))
+    .then(() => {
+      fs.unlink(req.file.path, () => {}); // the upload itself is no longer needed
+      return dbUpdateUser(req.params.id, { profileImage: newFileLocation })
+        .then((updatedUser) => {
+          logger('success')(`Profile image added to ${updatedUser.email} by ${req.user.email}.`);
+          dbRecordActivity({
+            actionType: 'USER_UPDATED',
+            actionBy: req.user._id,
+            user: req.params.id,
           });
-      });
-  });
+          return res.status(200).send(prefixImagePath(updatedUser.profileImage));
+        }).catch((saveUrlErr) => {
+          logger('error')('Error recording new profile image URL:', saveUrlErr.message);
+          return res.status(400).send({ error: saveUrlErr.message });
+        });
+    }, (err) => {
+      logger('error')(`Error saving file to ${newFileLocation}: ${err.message}`);
+      return res.status(400).send({ error: 'Error processing profile image.' });
+    });
 };
 
 const deleteProfileImage = (req, res) => {
@@ -321,17 +335,11 @@ const deleteProfileImage = (req, res) => {
     return dbUpdateUser(req.params.id, { profileImage: '' }).then(() => {
       // then delete the file
       const fileToDelete = path.join('images', 'avatars', userToUpdate.profileImage.split('/').pop());
-      return fs.unlink(fileToDelete, (err) => {
-        if (err) {
-          if (err.code === 'ENOENT') {
-            logger('warning')(`Can not delete profile image at ${fileToDelete} as it doesn't exist`);
-          // It didn't exist so can't be deleted
-          } else {
-            logger('error')(`Error deleting profile image at ${fileToDelete}: ${err.message}`);
-            // log error but continue with deletion from the database,
-            // issues with local filesystem will need to be reviewed separately
-          }
-        }
+      return storage.deleteFile(fileToDelete).catch((err) => {
+        logger('error')(`Error deleting profile image at ${fileToDelete}: ${err.message}`);
+        // log error but continue with deletion from the database,
+        // issues with file storage will need to be reviewed separately
+      }).then(() => {
         logger('success')(`Profile image deleted from ${userToUpdate.email} by ${req.user.email}.`);
         return res.status(200).send({ status: `Profile image deleted from ${userToUpdate.email} by ${req.user.email}.` });
       });
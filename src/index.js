@@ -12,6 +12,8 @@ const cors = require('cors'); // middleware: support CORS requests
 const app = express(); // create an instance of express to use
 const router = require('./router'); // routes in seperate file
 const logger = require('./services/logger'); // central control of logging
+const { startJobQueue } = require('./services/jobQueue'); // background processing
+const { startTrashPurge } = require('./services/trashPurge'); // removal of expired trash
 
 // configuration based on environment variables
 const port = process.env.PORT || 3090;
@@ -68,9 +70,15 @@ app.use((err, req, res, next) => {
 // app.use(bodyParser.urlencoded({ extended: false }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: false }));
-app.use('/images', express.static(path.join(__dirname, 'images')));
+// images are served by router from storage, map images only to those allowed to see them
 router(app);
 
+// Background jobs (processing of uploaded map images)
+startJobQueue();
+
+// Scheduled purge of deleted items once they can no longer be restored
+startTrashPurge();
+
 // http server not required, handled by nginx in production
 // const server = https.createServer({ // https is essential to protect data in transit
 //   key: fs.readFileSync(httpsKey),
@@ -12,7 +12,7 @@ const clubSchema = new mongoose.Schema({
   orisId: { type: String, trim: true, default: '' }, // CZE specific hook, ORIS Data.ID
   country: { type: String, validate: value => (value === '' || validator.isISO31661Alpha3(value)) },
   website: { type: String, validate: value => (value === '' || validator.isURL(value)) }, // ORIS Data.WWW
-  active: { type: Boolean, default: true }, // set to false on 'deletion', recovery by db admin only
+  active: { type: Boolean, default: true }, // false once 'deleted', restore from trash
 }, { timestamps: true });
 
 // create model class
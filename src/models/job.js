@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// define model for background jobs (e.g. processing of uploaded map images)
+const jobSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // must match a task in services/jobTasks
+  status: {
+    type: String,
+    required: true,
+    enum: [
+      'queued', //    waiting to be run (including waiting to be retried)
+      'running', //   claimed by the job queue and running in a child process
+      'completed', // finished successfully, see result
+      'failed', //    no further retries will be made, see error
+    ],
+    default: 'queued',
+  },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} }, // input to the task
+  result: { type: mongoose.Schema.Types.Mixed }, // output from the task
+  progress: { type: Number, default: 0 }, // percentage
+  progressMessage: { type: String, default: '' },
+  error: { type: String, default: '' }, // message from the most recent failure
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  runAfter: { type: Date, default: Date.now }, // delays retries
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'oevent' },
+  eventRunner: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+}, { timestamps: true });
+jobSchema.index({ status: 1, runAfter: 1 });
+
+// create model class
+const ModelClass = mongoose.model('job', jobSchema);
+
+// export model
+module.exports = ModelClass;
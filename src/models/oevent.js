@@ -69,6 +69,21 @@ const oeventSchema = new mongoose.Schema({
   // but only where the full details are stored in ORIS. For other races there is an
   // uploaded PDF, found in Data.Documents.Document_nnnn.Url with SourceType.ID = 4
   // whereas others have never had results uploaded at all...
+  courses: [{ // course definitions from an IOF XML 3.0 CourseData file (Purple Pen, OCAD)
+    name: { type: String, trim: true }, // Course.Name, matched to runners' courseTitle
+    length: { type: Number, min: 0 }, // m
+    climb: { type: Number, min: 0 }, // m
+    controls: [{ // in course order, from the start to the finish
+      code: { type: String, trim: true }, // Control.Id
+      type: {
+        type: String,
+        enum: ['Start', 'Control', 'Finish', 'CrossingPoint', 'EndOfMarkedRoute'],
+      },
+      legLength: { type: Number, min: 0 }, // m from the previous control
+      mapPosition: { x: Number, y: Number }, // mm on the printed map, as in the file
+      position: { lat: Number, long: Number },
+    }],
+  }],
   runners: [{ // constrain so that only the logged in user can add (not admin for others)
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true },
     visibility: { // top level event is visible to all logged in users, unless there
@@ -83,6 +98,7 @@ const oeventSchema = new mongoose.Schema({
       ],
       default: 'all',
     },
+    course: { type: mongoose.Schema.Types.ObjectId }, // _id of one of the event's courses
     // course details from ORIS getEvent Data.Classes.Class_nnnn.
     courseTitle: { type: String, trim: true }, // ORIS Name
     courseLength: { type: String, trim: true }, // ORIS Distance (km)
@@ -101,7 +117,28 @@ const oeventSchema = new mongoose.Schema({
       loss: { type: String, trim: true }, // ORIS Loss
       // compare against the set of userIds with associated maps whenever edited?
     }],
-    splitTimes: { type: Object }, // placeholder for future use, detailed structure TBD
+    splitTimes: [{ // time at each control in course order, ending at the finish
+      controlCode: { type: String, trim: true }, // 'F' for the finish, '' if not known
+      legTime: { type: Number, min: 0 }, // seconds from the previous control (or start)
+      cumulativeTime: { type: Number, min: 0 }, // seconds from the start
+      legRank: { type: Number, min: 1 }, // among runners on the same courseTitle at the event
+    }],
+    trackLegs: { // GPS track of one of the maps split at the controls of the runner's course
+      mapTitle: { type: String, trim: true },
+      course: { type: mongoose.Schema.Types.ObjectId },
+      legs: [{ // to each control after the start in course order, see services/splitTrack
+        controlCode: { type: String, trim: true }, // 'F' for the finish
+        punchTime: { type: Date }, // when the track passed closest, null if it didn't pass
+        legTime: { type: Number, min: 0 }, // seconds from the previous control
+        cumulativeTime: { type: Number, min: 0 }, // seconds from the start
+        distance: { type: Number, min: 0 }, // m run from the previous control
+        straightDistance: { type: Number, min: 0 }, // m in straight lines
+        efficiency: { type: Number, min: 0 }, // straightDistance / distance
+      }],
+    },
+    // where the split times came from: QuickRoute laps are replaced by any others, imported
+    // results replace all but those entered manually
+    splitTimesSource: { type: String, enum: ['quickroute', 'manual', 'import', null] },
     // performance fields all optional, enables detailed info to be captured if the user wants to
     // can be obtained if ORIS hosts results via getEventResults&eventid&classid
     // fields are defined to be compatible with ORIS, hence strings rather than numbers
@@ -118,6 +155,47 @@ const oeventSchema = new mongoose.Schema({
       courseUpdated: { type: String, trim: true }, // strings derived from time to avoid browser
       routeUpdated: { type: String, trim: true }, // cache issues when updating an image file
       overlayUpdated: { type: String, trim: true },
+      overlaySettings: { // parameters used to create the overlay by comparing course and route
+        threshold: { type: Number, min: 0 }, // minimum weighted colour difference
+        colourWeights: { // relative importance of differences in each colour channel
+          red: { type: Number, min: 0 },
+          green: { type: Number, min: 0 },
+          blue: { type: Number, min: 0 },
+        },
+      },
+      trackImage: { type: String, trim: true }, // URL for map with QuickRoute GPS track drawn on
+      trackImageUpdated: { type: String, trim: true },
+      trackImageSettings: { // how the GPS track was drawn
+        colourBy: { type: String, enum: ['pace', 'heartRate', null] }, // null: single colour
+      },
+      extractArea: { // part of the image used as the extract, if chosen by the runner (pixels)
+        left: { type: Number, min: 0 },
+        top: { type: Number, min: 0 },
+        width: { type: Number, min: 1 },
+        height: { type: Number, min: 1 },
+      },
+      courseVersion: { type: Number }, // number of the version currently used as course
+      routeVersion: { type: Number }, // number of the version currently used as route
+      versions: [{ // every image uploaded, see services/mapVersions.js
+        maptype: { type: String, enum: ['course', 'route'], required: true },
+        version: { type: Number, required: true }, // 1, 2, 3... for each maptype
+        file: { type: String, trim: true }, // path of the copy kept (not accessible directly)
+        hash: { type: String }, // SHA-256 of the file
+        width: { type: Number }, // pixels
+        height: { type: Number }, // pixels
+        uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'user' }, // unknown if before
+        uploadedAt: { type: Date }, // versions were kept (first recorded on replacement)
+        normalisation: { // if the upload was changed to give this version (?normalise=true)
+          orientation: { type: Number }, // EXIF orientation applied (1 is upright)
+          rotation: { type: Number }, // degrees clockwise to straighten the scan
+          crop: { // pixels, the area kept
+            left: { type: Number },
+            top: { type: Number },
+            width: { type: Number },
+            height: { type: Number },
+          },
+        },
+      }],
       // thumbnail and extract are auto-generated each time another map is uploaded and
       // don't need their own field, just append '-thumb' or '-extract' to course/route
       // thumbnail: { type: String, trim: true }, // URL for thumbnail of whole map (200 x 200)
@@ -125,7 +203,14 @@ const oeventSchema = new mongoose.Schema({
       isGeocoded: { type: Boolean, default: false }, // i.e. is there anything to find in 'geo'
       geo: { // information to be extracted from QR jpg on upload; only centre/corners set manually
         track: { type: Array }, // array of [lat, long] points *not easy to validate array format*
+        trackDetails: { type: Array }, // array of [time, heartRate, altitude] matching track
         distanceRun: { type: String, trim: true }, // actual km - from GPS track
+        // image the corners were measured on (QuickRoute image or calibration.maptype)
+        maptype: { type: String, enum: ['course', 'route'] },
+        laps: [{ // lap times recorded with the GPS track
+          time: { type: Date },
+          type: { type: String, enum: ['start', 'intermediate', 'end'] },
+        }],
         mapCentre: {
           lat: { type: Number, min: -90, max: 90 },
           long: { type: Number, min: -180, max: 180 },
@@ -172,6 +257,22 @@ const oeventSchema = new mongoose.Schema({
           width: { type: Number, min: 0 },
           height: { type: Number, min: 0 },
         },
+        calibration: { // set if georeferenced manually from control points
+          maptype: { type: String, enum: ['course', 'route'] }, // image the points refer to
+          method: { type: String, enum: ['affine', 'helmert'] },
+          points: [{
+            x: { type: Number }, // pixels
+            y: { type: Number },
+            lat: { type: Number, min: -90, max: 90 },
+            long: { type: Number, min: -180, max: 180 },
+            residual: { type: Number }, // metres
+          }],
+          transform: { // pixels to metres east and north of origin
+            origin: [{ type: Number }], // [lat, long]
+            matrix: [{ type: Number }], // [a, b, c, d, e, f], see services/calibrateMap.js
+          },
+          residualError: { type: Number }, // root mean square, metres
+        },
       },
     }],
     comments: [{
@@ -180,8 +281,17 @@ const oeventSchema = new mongoose.Schema({
       postedAt: { type: Date, default: Date.now },
       updatedAt: { type: Date, default: Date.now },
     }],
+    // secret links giving read-only access to this runner's maps regardless of visibility
+    // (see controllers/eventsShareLink.js), only returned to the runner and administrators
+    shareLinks: [{
+      token: { type: String, required: true, index: true },
+      mapTitle: { type: String }, // single map shared, all of the runner's maps if not set
+      expires: { type: Date }, // never expires if not set
+      createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+      createdAt: { type: Date, default: Date.now },
+    }],
   }],
-  active: { type: Boolean, default: true }, // set to false on 'deletion', recovery in db only
+  active: { type: Boolean, default: true }, // false once 'deleted', restore from trash
 }, { timestamps: true });
 
 // create model class
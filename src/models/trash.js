@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// define model for deleted items that can be restored until they are purged
+// (see controllers/trash.js and services/trashPurge.js)
+const trashSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    required: true,
+    enum: [
+      'map', //    course or route image, event/eventRunner, data: { title, maptype, ... }
+      'runner', // runner record in an event, event/eventRunner, data: { runner }
+      'event', //  event, event, data: { name, orisId }
+      'user', //   user account, user, data: { email, displayName }
+      'club', //   club, club, data: { shortName, members, organisedEvents }
+    ],
+  },
+  description: { type: String, trim: true, default: '' }, // to identify the item in a list
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'user' }, // whose trash it is in
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+  deletedAt: { type: Date, default: Date.now },
+  expires: { type: Date, required: true }, // can't be restored after this, purged soon after
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'oevent' },
+  eventRunner: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'user' },
+  club: { type: mongoose.Schema.Types.ObjectId, ref: 'club' },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} }, // what is needed to restore it
+}, { timestamps: true });
+trashSchema.index({ expires: 1 });
+
+// create model class
+const ModelClass = mongoose.model('trash', trashSchema);
+
+// export model
+module.exports = ModelClass;
@@ -33,8 +33,13 @@ const userSchema = new mongoose.Schema({
   location: { type: String, trim: true, default: '' },
   about: { type: String, trim: true, default: '' },
   memberOf: [{ type: mongoose.Schema.Types.ObjectId, ref: 'club' }],
+  routeColour: { // pen colour used to draw routes, to find them if there is no course scan
+    type: String,
+    enum: ['none', 'red', 'blue', 'green'],
+    default: 'red',
+  },
   profileImage: { type: String, default: '' }, // reference to file in /uploads/user/user_id/profile.jpg
-  active: { type: Boolean, default: true }, // set to false on 'deletion', recovery by db admin only
+  active: { type: Boolean, default: true }, // false once 'deleted', restore from trash
 }, { timestamps: true });
 
 // on save hook, encrypt password
@@ -9,6 +9,8 @@ const Users = require('./controllers/users');
 const Images = require('./controllers/images');
 const Clubs = require('./controllers/clubs');
 const Events = require('./controllers/events');
+const Jobs = require('./controllers/jobs');
+const Trash = require('./controllers/trash');
 
 
 // each route should have one of these three middleware options to set req.user
@@ -18,6 +20,13 @@ const publicRoute = (req, res, next) => { // anonymous access permitted, take ca
   req.user = { role: 'anonymous' };
   next();
 };
+// for resources that browsers load directly: use bearer token if there is one, else anonymous
+const optionalAuth = (req, res, next) => {
+  passport.authenticate('jwt', { session: false }, (err, user) => {
+    req.user = user || { role: 'anonymous' };
+    next();
+  })(req, res, next);
+};
 
 module.exports = (app) => {
   // *** /users routes ***  [User model]
@@ -70,9 +79,38 @@ module.exports = (app) => {
   // upload a scanned map to the specified event for user :userid
   // :maptype is either course or route
   // :maptitle is the label to use for each part of multi-part maps (optional, default 'map')
+  // ?normalise=true to turn the image upright, straighten and crop it (original kept)
   app.post('/events/:eventid/maps/:userid/:maptype(course|route)/:maptitle?', requireAuth,
     Events.validateMapUploadPermission, Images.uploadMap.single('upload'),
-    Images.convertPNG, Events.postMap, Images.errorHandler);
+    Images.convertMapImage, Images.normaliseMapImage, Events.postMap, Images.errorHandler);
+  // (registered before the track and calibration uploads, so that they also work for maps
+  // titled 'track' or 'calibration')
+  // create the overlay of the specified map again with new settings { threshold?, colourWeights? }
+  app.post('/events/:eventid/maps/:userid/:maptitle?/overlay', requireAuth, Events.postMapOverlay);
+  // draw the QuickRoute GPS track on the specified map again { colourBy: 'pace' or 'heartRate' }
+  app.post('/events/:eventid/maps/:userid/:maptitle?/track-image', requireAuth,
+    Events.postMapTrackImage);
+  // make a previous version of the specified course or route image current again
+  app.post('/events/:eventid/maps/:userid/:maptitle?/versions/:maptype(course|route)/:version/restore',
+    requireAuth, Events.postMapVersionRestore);
+  // attach a GPS track (GPX, TCX or FIT file) to an existing map for user :userid
+  app.post('/events/:eventid/maps/:userid/track/:maptitle?', requireAuth,
+    Events.validateMapUploadPermission, Images.uploadTrack.single('upload'),
+    Events.postMapTrack, Images.errorHandler);
+  // import results with split times for all classes (IOF XML 3.0 or OE, MeOS or SI-Reader CSV)
+  app.post('/events/:eventid/results', requireAuth, Images.uploadResults.single('upload'),
+    Events.postEventResults, Images.errorHandler);
+  // replace the event's courses with those in an IOF XML 3.0 CourseData file
+  app.post('/events/:eventid/courses', requireAuth, Images.uploadCourses.single('upload'),
+    Events.postEventCourses, Images.errorHandler);
+  // georeference a map for user :userid from control points { points, method?, maptype? }
+  app.post('/events/:eventid/maps/:userid/calibration/:maptitle?', requireAuth,
+    Events.postMapCalibration);
+  // create overlays again for all maps in the specified event or all events (admin only)
+  app.post('/events/overlays', requireAuth, Events.regenerateOverlays);
+  app.post('/events/:eventid/overlays', requireAuth, Events.regenerateOverlays);
+  // create a secret link to the specified user's maps (or one map) { maptitle?, expires? }
+  app.post('/events/:eventid/maps/:userid/shares', requireAuth, Events.createShareLink);
   // Post a new comment against the specified user's map in this event
   app.post('/events/:eventid/comments/:userid', requireAuth, Events.postComment);
   // create a new event using oris data *eventid is ORIS event id*
@@ -99,6 +137,31 @@ module.exports = (app) => {
   app.get('/events/:eventid', requireAuth, Events.getEvent);
   // retrieve all visible details for the specified event as an anonymous browser
   app.get('/events/:eventid/public', publicRoute, Events.getEvent);
+  // export courses, results and split times of visible runners as IOF XML 3.0
+  // (a ResultList, or CourseData with ?type=courses)
+  app.get('/events/:eventid/iof.xml', requireAuth, Events.getEventIOFXML);
+  // export the GPS track of the specified map as a GPX file
+  app.get('/events/:eventid/maps/:userid/:maptitle?/track.gpx', requireAuth, Events.getMapTrackGPX);
+  // analyse the GPS track of the specified map (pace per km, heart rate zones, ascent, laps)
+  app.get('/events/:eventid/maps/:userid/:maptitle?/analysis', requireAuth, Events.getMapAnalysis);
+  // export the specified georeferenced map and track as a KMZ file for Google Earth
+  app.get('/events/:eventid/maps/:userid/:maptitle?/map.kmz', requireAuth, Events.getMapKMZ);
+  // export the specified georeferenced map as a JPEG with world file for GIS software
+  app.get('/events/:eventid/maps/:userid/:maptitle?/worldfile.zip', requireAuth,
+    Events.getMapWorldFile);
+  // retrieve the manifest of the tile pyramid for progressive display of the specified map
+  app.get('/events/:eventid/maps/:userid/:maptitle?/tiles', requireAuth, Events.getMapTiles);
+  // retrieve the list of course and route images uploaded for the specified map
+  app.get('/events/:eventid/maps/:userid/:maptitle?/versions', requireAuth, Events.getMapVersions);
+  // download the specified version of a course or route image
+  app.get('/events/:eventid/maps/:userid/:maptitle?/versions/:maptype(course|route)/:version',
+    requireAuth, Events.getMapVersionFile);
+  // retrieve the share links for the specified user's maps (runner and admin only)
+  app.get('/events/:eventid/maps/:userid/shares', requireAuth, Events.getShareLinks);
+  // compare the split times of the specified runner leg by leg with others on the same course
+  app.get('/events/:eventid/maps/:userid/splits', requireAuth, Events.getSplitAnalysis);
+  // split the runner's GPS track at the controls of their course (time, distance, efficiency)
+  app.get('/events/:eventid/maps/:userid/legs', requireAuth, Events.getTrackLegs);
   // update the specified event (multiple amendment not supported)
 
   app.patch('/events/:eventid', requireAuth, Events.updateEvent);
@@ -124,8 +187,32 @@ module.exports = (app) => {
   app.delete('/events/links/:eventlinkid', requireAuth, Events.deleteEventLink);
   // delete the specified comment (multiple deletion not supported)
   app.delete('/events/:eventid/comments/:userid/:commentid', requireAuth, Events.deleteComment);
+  // revoke the specified share link
+  app.delete('/events/:eventid/maps/:userid/shares/:shareid', requireAuth, Events.deleteShareLink);
+
+  // *** /shared routes ***  [OEvent model]
+  // retrieve the event with just the maps and comments shared by the specified link
+  app.get('/shared/:token', publicRoute, Events.getSharedMaps);
 
   // *** /activity routes ***  [Activity model]
   // retrieve a list of recent activity matching specified criteria
   app.get('/activity', requireAuth, Activity.getActivityLog);
+
+  // *** /images routes ***  [files, access based on OEvent model]
+  // retrieve a map image (including overlays, thumbnails, extracts and tiles) if allowed to see
+  // it, using the signed URL provided in responses or the path alone with bearer token
+  app.get('/images/signed/:expires/:signature/maps/:eventid/*', Images.getMapImage);
+  app.get('/images/maps/:eventid/*', optionalAuth, Images.getMapImage);
+  // retrieve a profile image (available to anyone)
+  app.get('/images/avatars/:filename', publicRoute, Images.getProfileImage);
+
+  // *** /jobs routes ***  [Job model]
+  // retrieve the status and progress of the specified background job
+  app.get('/jobs/:id', requireAuth, Jobs.getJob);
+
+  // *** /trash routes ***  [Trash model]
+  // retrieve a list of deleted items that can still be restored by the current user
+  app.get('/trash', requireAuth, Trash.getTrash);
+  // restore the specified item as it was when it was deleted
+  app.post('/trash/:id/restore', requireAuth, Trash.restoreTrashItem);
 };
@@ -29,6 +29,8 @@ const dbRecordActivity = (activity) => {
 //  COMMENT_POSTED, event, eventRunner, comment
 //  COMMENT_UPDATED, event, eventRunner, comment
 //  COMMENT_DELETED, event, eventRunner, comment
+// eventsCourses
+//   EVENT_COURSES_IMPORTED, event
 // eventsEvent
 //  EVENT_CREATED, event
 //  EVENT_UPDATED, event
@@ -42,8 +44,18 @@ const dbRecordActivity = (activity) => {
 //   EVENT_RUNNER_UPDATED, event, eventRunner
 //   EVENT_RUNNER_DELETED, event, eventRunner
 // eventsMap
-//   EVENT_MAP_UPLOADED, event, eventRunner
+//   EVENT_MAP_UPLOADED, event, eventRunner (includes attaching a GPS track)
+//   EVENT_MAP_CALIBRATED, event, eventRunner
 //   EVENT_MAP_DELETED, event, eventRunner
+// eventsMapVersion
+//   EVENT_MAP_RESTORED, event, eventRunner (previous version made current)
+// eventsResults
+//   EVENT_RESULTS_IMPORTED, event
+// eventsShareLink
+//   SHARE_LINK_CREATED, event, eventRunner
+//   SHARE_LINK_DELETED, event, eventRunner
+// trash
+//   TRASH_RESTORED, club, event, eventRunner or user depending on what was restored
 // users
 //  USER_UPDATED, user (includes uploading profile image)
 //  USER_DELETED, user
@@ -85,6 +97,8 @@ const dbGetActivities = (searchCriteria, requestor, listLength) => {
         if (event && event.active) { // ignore actions for deleted events for non-admin/self
           if (actionType === 'EVENT_CREATED') include = true;
           if (actionType === 'EVENT_UPDATED') include = true;
+          if (actionType === 'EVENT_RESULTS_IMPORTED') include = true;
+          if (actionType === 'EVENT_COURSES_IMPORTED') include = true;
           if (eventRunner) {
             const stillEventRunner = event.runners.find((runner) => {
               return runner.user.toString() === eventRunner._id.toString();
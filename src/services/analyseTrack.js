@@ -0,0 +1,186 @@
+// summary of a runner's GPS track for studying a race: splits for each kilometre, time in
+// each heart rate zone, total ascent and splits between the laps recorded by the watch
+// track is an array of [lat, long], trackDetails a matching array of [time (ms since epoch),
+// heartRate, altitude] and laps an array of { time, type } as stored in the map's geo
+// times are in seconds, distances in km and paces in seconds per km
+const { calculateDistance } = require('./parseQR');
+
+// lower limits of heart rate zones 2-5 as fractions of maximum heart rate (zone 1 is below)
+const HEART_RATE_ZONES = [0.6, 0.7, 0.8, 0.9];
+// change in altitude (metres) needed before it counts, to ignore GPS and barometer noise
+const ALTITUDE_THRESHOLD = 3;
+
+const roundTo = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// pace (s/km) of covering distance (km) in time (s), or null if no distance was covered
+const getPace = (time, distance) => {
+  return (distance > 0) ? Math.round(time / distance) : null;
+};
+
+// the points of the track with cumulative distance (metres), time (ms) and details
+const getPoints = (track, trackDetails) => {
+  let distance = 0;
+  return track.map((position, index) => {
+    if (index > 0) distance += calculateDistance(track[index - 1], position) || 0;
+    const [time = null, heartRate = null, altitude = null] = trackDetails[index] || [];
+    return {
+      distance,
+      time,
+      heartRate,
+      altitude,
+    };
+  });
+};
+
+// distance (metres) covered by time (ms), interpolated between the timed points either side
+const getDistanceAtTime = (timedPoints, time) => {
+  const afterIndex = timedPoints.findIndex(point => point.time >= time);
+  if (afterIndex === -1) return timedPoints[timedPoints.length - 1].distance;
+  if (afterIndex === 0) return timedPoints[0].distance;
+  const before = timedPoints[afterIndex - 1];
+  const after = timedPoints[afterIndex];
+  const t = (time - before.time) / (after.time - before.time);
+  return before.distance + (after.distance - before.distance) * t;
+};
+
+// time (ms) at which distance (metres) was reached, interpolated in the same way
+const getTimeAtDistance = (timedPoints, distance) => {
+  const afterIndex = timedPoints.findIndex(point => point.distance >= distance);
+  if (afterIndex === -1) return timedPoints[timedPoints.length - 1].time;
+  if (afterIndex === 0) return timedPoints[0].time;
+  const before = timedPoints[afterIndex - 1];
+  const after = timedPoints[afterIndex];
+  const d = (distance - before.distance) / (after.distance - before.distance);
+  return before.time + (after.time - before.time) * d;
+};
+
+// time taken for each whole kilometre, then for the part kilometre at the end
+const getKmSplits = (timedPoints) => {
+  const totalDistance = timedPoints[timedPoints.length - 1].distance - timedPoints[0].distance;
+  const splits = [];
+  let startTime = timedPoints[0].time;
+  for (let km = 1; (km - 1) * 1000 < totalDistance; km += 1) {
+    const distance = Math.min(1000, totalDistance - (km - 1) * 1000) / 1000;
+    const endTime = getTimeAtDistance(timedPoints, timedPoints[0].distance + km * 1000);
+    const time = (endTime - startTime) / 1000;
+    splits.push({
+      km,
+      distance: roundTo(distance, 3),
+      time: Math.round(time),
+      pace: getPace(time, distance),
+    });
+    startTime = endTime;
+  }
+  return splits;
+};
+
+// average and maximum heart rate and time spent in each zone, where zones are fractions
+// of maxHeartRate (the runner's own if known, otherwise the highest in the track)
+const getHeartRate = (points, maxHeartRate) => {
+  const heartRates = points.map(point => point.heartRate).filter(heartRate => heartRate);
+  if (heartRates.length === 0) return null;
+  const highest = Math.max(...heartRates);
+  const zoneMax = maxHeartRate || highest;
+  const limits = HEART_RATE_ZONES.map(fraction => Math.round(fraction * zoneMax));
+  const zones = [0, ...limits].map((from, index) => ({
+    zone: index + 1,
+    from,
+    to: (index < limits.length) ? limits[index] : null,
+    time: 0,
+  }));
+  // each interval between timed points is counted in the zone of the heart rate at its start
+  points.forEach((point, index) => {
+    const next = points[index + 1];
+    if (!next || !point.heartRate || point.time === null || next.time === null) return;
+    const zoneIndex = limits.filter(limit => point.heartRate >= limit).length;
+    zones[zoneIndex].time += (next.time - point.time) / 1000;
+  });
+  return {
+    average: Math.round(heartRates.reduce((sum, heartRate) => sum + heartRate, 0)
+      / heartRates.length),
+    max: highest,
+    maxHeartRate: zoneMax,
+    zones: zones.map(zone => ({ ...zone, time: Math.round(zone.time) })),
+  };
+};
+
+// total ascent and descent, only counting changes of at least ALTITUDE_THRESHOLD
+const getAltitude = (points) => {
+  const altitudes = points.map(point => point.altitude)
+    .filter(altitude => altitude !== null && altitude !== undefined);
+  if (altitudes.length === 0) return null;
+  let ascent = 0;
+  let descent = 0;
+  let reference = altitudes[0];
+  altitudes.forEach((altitude) => {
+    if (altitude - reference >= ALTITUDE_THRESHOLD) {
+      ascent += altitude - reference;
+      reference = altitude;
+    } else if (reference - altitude >= ALTITUDE_THRESHOLD) {
+      descent += reference - altitude;
+      reference = altitude;
+    }
+  });
+  return {
+    ascent: Math.round(ascent),
+    descent: Math.round(descent),
+    min: Math.round(Math.min(...altitudes)),
+    max: Math.round(Math.max(...altitudes)),
+  };
+};
+
+// time, distance and pace between each lap time and the next
+const getLapSplits = (timedPoints, points, laps) => {
+  const lapTimes = laps.map(lap => new Date(lap.time).getTime())
+    .filter(time => !Number.isNaN(time))
+    .sort((a, b) => a - b);
+  return lapTimes.slice(1).map((endTime, index) => {
+    const startTime = lapTimes[index];
+    const time = (endTime - startTime) / 1000;
+    const distance = (getDistanceAtTime(timedPoints, endTime)
+      - getDistanceAtTime(timedPoints, startTime)) / 1000;
+    const heartRates = points.filter(point => point.heartRate && point.time !== null
+      && point.time >= startTime && point.time <= endTime).map(point => point.heartRate);
+    return {
+      lap: index + 1,
+      start: new Date(startTime),
+      time: Math.round(time),
+      distance: roundTo(distance, 3),
+      pace: getPace(time, distance),
+      averageHeartRate: (heartRates.length > 0)
+        ? Math.round(heartRates.reduce((sum, heartRate) => sum + heartRate, 0) / heartRates.length)
+        : null,
+    };
+  });
+};
+
+// returns { distance, duration, averagePace, kmSplits, heartRate, altitude, laps }, where
+// the time-based parts are null or empty if the track has no times, or null if no track
+// maxHeartRate (optional) is used to set the heart rate zones
+const analyseTrack = ({ track = [], trackDetails = [], laps = [] } = {}, maxHeartRate) => {
+  if (track.length < 2) return null;
+  const points = getPoints(track, trackDetails);
+  const timedPoints = points.filter(point => point.time !== null);
+  const distance = points[points.length - 1].distance / 1000;
+  const isTimed = timedPoints.length > 1;
+  const duration = (isTimed)
+    ? (timedPoints[timedPoints.length - 1].time - timedPoints[0].time) / 1000
+    : null;
+  return {
+    distance: roundTo(distance, 3),
+    duration: (isTimed) ? Math.round(duration) : null,
+    averagePace: (isTimed) ? getPace(duration, distance) : null,
+    kmSplits: (isTimed) ? getKmSplits(timedPoints) : [],
+    heartRate: getHeartRate(points, maxHeartRate),
+    altitude: getAltitude(points),
+    laps: (isTimed) ? getLapSplits(timedPoints, points, laps || []) : [],
+  };
+};
+
+module.exports = {
+  HEART_RATE_ZONES,
+  analyseTrack,
+};
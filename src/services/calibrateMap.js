@@ -0,0 +1,154 @@
+// georeference a scanned map from control points, each of which links a pixel
+// position (x, y) on the map image to a known position (lat, long)
+const { calculateDistance } = require('./parseQR');
+const { solveLinearSystem } = require('./solveLinearSystem');
+
+const EARTH_RADIUS = 6371000; // metres
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// simple local projection (metres east and north of origin), adequate at map scale
+const toLocal = (origin, [lat, long]) => {
+  const x = EARTH_RADIUS * toRadians(long - origin[1]) * Math.cos(toRadians(origin[0]));
+  const y = EARTH_RADIUS * toRadians(lat - origin[0]);
+  return [x, y];
+};
+const fromLocal = (origin, [x, y]) => {
+  const lat = origin[0] + toDegrees(y / EARTH_RADIUS);
+  const long = origin[1] + toDegrees(x / (EARTH_RADIUS * Math.cos(toRadians(origin[0]))));
+  return [lat, long];
+};
+
+// solve the linear least squares problem rows * params = values using normal equations
+const solveLeastSquares = (rows, values) => {
+  const size = rows[0].length;
+  // augmented matrix [AtA | Atb]
+  const matrix = [];
+  for (let i = 0; i < size; i += 1) {
+    const row = [];
+    for (let j = 0; j < size; j += 1) {
+      row.push(rows.reduce((sum, r) => sum + r[i] * r[j], 0));
+    }
+    row.push(rows.reduce((sum, r, k) => sum + r[i] * values[k], 0));
+    matrix.push(row);
+  }
+  return solveLinearSystem(matrix);
+};
+
+// fit a transformation from pixels to local metres, expressed as an affine
+// matrix [a, b, c, d, e, f] where x = a*px + b*py + c and y = d*px + e*py + f
+// affine: 6 parameters (independent scale and skew in each direction)
+// helmert: 4 parameters (rotation, uniform scale, translation)
+const fitTransform = (pixels, locals, method) => {
+  const rows = [];
+  const values = [];
+  if (method === 'helmert') {
+    // pixel y axis points down, so reflect it: x = a*px + b*py + c, y = b*px - a*py + d
+    pixels.forEach(([px, py], i) => {
+      rows.push([px, py, 1, 0]);
+      values.push(locals[i][0]);
+      rows.push([-py, px, 0, 1]);
+      values.push(locals[i][1]);
+    });
+    const params = solveLeastSquares(rows, values);
+    if (!params) return null;
+    const [a, b, c, d] = params;
+    return [a, b, c, b, -a, d];
+  }
+  pixels.forEach(([px, py], i) => {
+    rows.push([px, py, 1, 0, 0, 0]);
+    values.push(locals[i][0]);
+    rows.push([0, 0, 0, px, py, 1]);
+    values.push(locals[i][1]);
+  });
+  return solveLeastSquares(rows, values);
+};
+
+const applyTransform = ([a, b, c, d, e, f], [px, py]) => [a * px + b * py + c, d * px + e * py + f];
+
+// points: array of { x, y, lat, long }, method: 'affine' (default) or 'helmert'
+// width, height: dimensions of the map image in pixels
+// returns georeferencing fields for the map's geo sub-document, or throws if not possible
+const calibrateMap = ({
+  points,
+  method = 'affine',
+  width,
+  height,
+}) => {
+  if (!['affine', 'helmert'].includes(method)) {
+    throw new Error('Calibration method must be affine or helmert.');
+  }
+  if (!Array.isArray(points) || points.length < 3) {
+    throw new Error('At least three calibration points are needed.');
+  }
+  const validPoints = points.map(point => ({
+    x: parseFloat(point.x),
+    y: parseFloat(point.y),
+    lat: parseFloat(point.lat),
+    long: parseFloat(point.long),
+  }));
+  const isInvalid = validPoints.some(({
+    x,
+    y,
+    lat,
+    long,
+  }) => [x, y, lat, long].some(Number.isNaN)
+    || Math.abs(lat) > 90 || Math.abs(long) > 180);
+  if (isInvalid) throw new Error('Calibration points must each have numeric x, y, lat and long.');
+  const origin = [
+    validPoints.reduce((sum, point) => sum + point.lat, 0) / validPoints.length,
+    validPoints.reduce((sum, point) => sum + point.long, 0) / validPoints.length,
+  ];
+  const pixels = validPoints.map(point => [point.x, point.y]);
+  const locals = validPoints.map(point => toLocal(origin, [point.lat, point.long]));
+  const matrix = fitTransform(pixels, locals, method);
+  if (!matrix) throw new Error('Calibration points must not lie on a straight line.');
+  const toLatLong = pixel => fromLocal(origin, applyTransform(matrix, pixel));
+  // residual error at each point (metres) and overall root mean square
+  const pointsWithResiduals = validPoints.map((point) => {
+    const fitted = toLatLong([point.x, point.y]);
+    const residual = calculateDistance(fitted, [point.lat, point.long]) || 0;
+    return { ...point, residual: Math.round(residual * 100) / 100 };
+  });
+  const residualError = Math.sqrt(pointsWithResiduals
+    .reduce((sum, point) => sum + point.residual * point.residual, 0) / validPoints.length);
+  const corner = (pixel) => {
+    const [lat, long] = toLatLong(pixel);
+    return { lat, long };
+  };
+  // the whole scan is treated as the map
+  const corners = {
+    sw: corner([0, height]),
+    nw: corner([0, 0]),
+    ne: corner([width, 0]),
+    se: corner([width, height]),
+  };
+  const mapCentre = {
+    lat: (corners.sw.lat + corners.nw.lat + corners.ne.lat + corners.se.lat) / 4,
+    long: (corners.sw.long + corners.nw.long + corners.ne.long + corners.se.long) / 4,
+  };
+  return {
+    mapCentre,
+    mapCorners: corners,
+    imageCorners: corners,
+    locationSizePixels: {
+      x: 0,
+      y: 0,
+      width,
+      height,
+    },
+    calibration: {
+      method,
+      points: pointsWithResiduals,
+      transform: { origin, matrix },
+      residualError: Math.round(residualError * 100) / 100,
+    },
+  };
+};
+
+module.exports = {
+  calibrateMap,
+  fromLocal,
+  toLocal,
+  applyTransform,
+};
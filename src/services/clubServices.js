@@ -72,10 +72,35 @@ const dbDeleteClub = (id) => {
   });
 };
 
+// undo dbDeleteClub, including the membership of users and events it organised
+const dbRestoreClub = (id, { shortName, members = [], organisedEvents = [] }) => {
+  return Club.findOneAndUpdate(
+    { _id: id, active: false },
+    { $set: { active: true, shortName } },
+    { new: true },
+  ).select('-__v').then((restoredClub) => {
+    if (!restoredClub) throw new Error('Club could not be found.');
+    return User.updateMany({ _id: { $in: members } },
+      { $addToSet: { memberOf: mongoose.Types.ObjectId(id) } }).then(() => {
+      return Event.updateMany({ _id: { $in: organisedEvents } },
+        { $addToSet: { organisedBy: mongoose.Types.ObjectId(id) } }).then(() => {
+        return restoredClub;
+      });
+    });
+  });
+};
+
+// remove a deleted club for good (references were removed when it was deleted)
+const dbPurgeClub = (id) => {
+  return Club.findOneAndDelete({ _id: id, active: false }).lean();
+};
+
 module.exports = {
   dbCreateClub,
   dbGetClubById,
   dbGetClubs,
   dbUpdateClub,
   dbDeleteClub,
+  dbRestoreClub,
+  dbPurgeClub,
 };
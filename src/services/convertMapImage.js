@@ -0,0 +1,62 @@
+// Conversion of uploaded scans and photos to JPEG, the format used for all map images
+// PNG, TIFF and WebP are read by sharp directly. PDF needs libvips to have been built with
+// poppler and HEIC with libheif (i.e. a global installation rather than the one bundled
+// with sharp), although HEIC can also be decoded more slowly by heic-convert instead
+const fs = require('fs');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+
+const PDF_DENSITY = 300; // dpi to render PDF pages at, as for a typical scan
+const JPEG_QUALITY = 90;
+const MAX_PAGES = 20; // more than enough for any set of maps
+const MULTI_PAGE_FORMATS = ['tif', 'pdf']; // each page is a separate part of the map
+
+const canSharpRead = format => Boolean(sharp.format[format] && sharp.format[format].input.file);
+
+const readFileAsync = (filename) => {
+  return new Promise((resolve, reject) => {
+    fs.readFile(filename, (err, buffer) => {
+      if (err) reject(err);
+      else resolve(buffer);
+    });
+  });
+};
+
+const toJPEG = (input, inputOptions) => {
+  return sharp(input, inputOptions)
+    .flatten({ background: 'white' }) // transparent areas are paper, not black
+    .withMetadata() // keep the EXIF orientation, applied if the image is normalised
+    .jpeg({ quality: JPEG_QUALITY })
+    .toBuffer();
+};
+
+// returns a Promise resolving to an array of JPEG images (Buffers), one for each page
+// extension is that of the uploaded file: png, tif, webp, heic or pdf
+const convertMapImage = (fileLocation, extension) => {
+  if (extension === 'heic' && !canSharpRead('heif')) {
+    return readFileAsync(fileLocation).then((buffer) => {
+      return heicConvert({ buffer, format: 'JPEG', quality: JPEG_QUALITY / 100 });
+    }).then(image => [Buffer.from(image)]);
+  }
+  if (extension === 'pdf' && !canSharpRead('pdf')) {
+    return Promise.reject(new Error('PDF files can not be converted on this server.'));
+  }
+  const inputOptions = (extension === 'pdf') ? { density: PDF_DENSITY } : {};
+  return sharp(fileLocation, inputOptions).metadata().then(({ pages = 1 }) => {
+    const pageCount = (MULTI_PAGE_FORMATS.includes(extension)) ? pages : 1;
+    if (pageCount > MAX_PAGES) {
+      throw new Error(`Too many pages, no more than ${MAX_PAGES} can be uploaded at once.`);
+    }
+    // one page at a time to limit the memory needed for large scans
+    return [...Array(pageCount).keys()].reduce((previous, page) => {
+      return previous.then((images) => {
+        return toJPEG(fileLocation, { ...inputOptions, page })
+          .then(image => [...images, image]);
+      });
+    }, Promise.resolve([]));
+  });
+};
+
+module.exports = {
+  convertMapImage,
+};
@@ -0,0 +1,63 @@
+// link runners to the courses defined for an event (see parseCourseData), filling in
+// their course details in the same form as from ORIS (see orisAddEventRunner)
+
+const isSameName = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+// punched controls (and the finish) of a course as legs [{ controlCode, legLength }], with
+// legs through crossing points combined, legLength in m or null if not known
+const getCourseLegs = (course) => {
+  const legs = [];
+  let legLength = 0;
+  (course.controls || []).slice(1).forEach((control) => {
+    if (legLength !== null) {
+      legLength = (typeof control.legLength === 'number') ? legLength + control.legLength : null;
+    }
+    if (control.type === 'Control' || control.type === 'Finish') {
+      legs.push({
+        controlCode: (control.type === 'Finish') ? 'F' : control.code,
+        legLength: (legLength !== null && legLength > 0) ? legLength : null,
+      });
+      legLength = 0;
+    }
+  });
+  return legs;
+};
+
+// runner fields to store for a course
+const getCourseFields = (course) => {
+  const fields = {
+    course: course._id,
+    courseTitle: course.name,
+    courseControls: String(course.controls.filter(control => control.type === 'Control').length),
+  };
+  if (typeof course.length === 'number') fields.courseLength = String(course.length / 1000);
+  if (typeof course.climb === 'number') fields.courseClimb = String(course.climb);
+  return fields;
+};
+
+// fields linking a runner to one of the event's courses, chosen by its _id (course) or,
+// failing that, by name (courseTitle), with the course details filled in from it
+// returns { course: null } if the courseTitle matches no course, {} if neither is given,
+// or null if course is not the _id of one of the courses
+const getRunnerCourseFields = (courses, { course, courseTitle }) => {
+  if (course) {
+    const foundCourse = courses.find(eachCourse => eachCourse._id.toString() === String(course));
+    return (foundCourse) ? getCourseFields(foundCourse) : null;
+  }
+  if (course === null || course === '') return { course: null };
+  if (courseTitle === undefined) return {};
+  const namedCourse = courses.find(eachCourse => isSameName(eachCourse.name, courseTitle));
+  return (namedCourse) ? getCourseFields(namedCourse) : { course: null };
+};
+
+// the course a runner is linked to, if it is still defined for the event
+const findRunnerCourse = (courses, runner) => {
+  if (!runner.course || !courses) return null;
+  return courses.find(course => course._id.toString() === runner.course.toString()) || null;
+};
+
+module.exports = {
+  findRunnerCourse,
+  getCourseLegs,
+  getRunnerCourseFields,
+};
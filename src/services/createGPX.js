@@ -0,0 +1,65 @@
+// convert a stored GPS track into a GPX 1.1 document
+
+// make text safe to include in XML content or attributes
+const escapeXML = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// track is an array of [lat, long] points, trackDetails (optional) is a matching
+// array of [time (ms since epoch), heartRate, altitude] with null if not recorded
+const createGPX = ({
+  name,
+  description,
+  track,
+  trackDetails = [],
+}) => {
+  const trackPoints = track.map((point, index) => {
+    const [lat, long] = point;
+    const [time, heartRate, altitude] = trackDetails[index] || [];
+    const elements = [];
+    if (altitude || altitude === 0) elements.push(`<ele>${altitude}</ele>`);
+    if (time) elements.push(`<time>${new Date(time).toISOString()}</time>`);
+    if (heartRate) {
+      elements.push('<extensions><gpxtpx:TrackPointExtension>'
+        .concat(`<gpxtpx:hr>${heartRate}</gpxtpx:hr>`)
+        .concat('</gpxtpx:TrackPointExtension></extensions>'));
+    }
+    return `      <trkpt lat="${lat}" lon="${long}">${elements.join('')}</trkpt>`;
+  });
+  const startTime = (trackDetails[0] && trackDetails[0][0])
+    ? `\n    <time>${new Date(trackDetails[0][0]).toISOString()}</time>`
+    : '';
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="MapOholic"',
+    '  xmlns="http://www.topografix.com/GPX/1/1"',
+    '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1"',
+    '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd'
+      .concat(' http://www.garmin.com/xmlschemas/TrackPointExtension/v1')
+      .concat(' http://www.garmin.com/xmlschemas/TrackPointExtensionv1.xsd">'),
+    '  <metadata>',
+    `    <name>${escapeXML(name)}</name>${startTime}`,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXML(name)}</name>`,
+    `    <desc>${escapeXML(description || '')}</desc>`,
+    '    <type>orienteering</type>',
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+module.exports = {
+  escapeXML,
+  createGPX,
+};
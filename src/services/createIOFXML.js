@@ -0,0 +1,306 @@
+// convert an event's courses, results and split times into IOF XML 3.0 ResultList and
+// CourseData documents, so that they can be read by other orienteering software
+// runners are as populated by dbGetEventById, and should already be filtered by visibility
+// each courseTitle becomes a class (with a course of the same name), its results taken from
+// fullResults where available, with the split times of any matching runners
+// CourseData has the event's own courses where they have been imported (see getCourses)
+const { escapeXML } = require('./createGPX');
+const { STATUS_ABBREVIATIONS, normaliseName } = require('./importResults');
+const { parseTime } = require('./parseResultsFile');
+
+const IOF_STATUSES = Object.keys(STATUS_ABBREVIATIONS).reduce((statuses, status) => {
+  return { ...statuses, [STATUS_ABBREVIATIONS[status]]: status };
+}, {});
+
+// the attributes shared by both root elements
+const rootAttributes = createTime => [
+  'xmlns="http://www.orienteering.org/datastandard/3.0"',
+  'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+  'iofVersion="3.0"',
+  `createTime="${createTime.toISOString()}"`,
+  'creator="MapOholic"',
+].join(' ');
+
+const toNumber = (value) => {
+  const number = parseFloat(String(value || '').replace(',', '.'));
+  return (Number.isNaN(number)) ? null : number;
+};
+
+// ORIS lists names family name first, results files and MapOholic users the other way round
+const splitName = (name, isFamilyFirst) => {
+  const words = (name || '').trim().split(/\s+/).filter(word => word);
+  if (words.length < 2) return { family: words.join(''), given: '' };
+  if (isFamilyFirst) return { family: words[0], given: words.slice(1).join(' ') };
+  return { family: words[words.length - 1], given: words.slice(0, -1).join(' ') };
+};
+
+// controls of split times in course order, without the finish, or null if any are unknown
+const getControlSplits = (splitTimes) => {
+  if (!Array.isArray(splitTimes) || splitTimes.length === 0) return null;
+  const controls = splitTimes.slice(0, -1);
+  if (controls.some(({ controlCode }) => !controlCode || controlCode === 'F')) return null;
+  return controls;
+};
+
+// the classes (one per courseTitle) with their course details, results and runners
+const getClasses = (runners) => {
+  const classes = [];
+  runners.filter(runner => runner.courseTitle).forEach((runner) => {
+    let foundClass = classes.find(eachClass => eachClass.name === runner.courseTitle);
+    if (!foundClass) {
+      foundClass = {
+        name: runner.courseTitle,
+        length: null,
+        climb: null,
+        controls: null,
+        fullResults: [],
+        runners: [],
+      };
+      classes.push(foundClass);
+    }
+    const length = toNumber(runner.courseLength);
+    const climb = toNumber(runner.courseClimb);
+    const controls = toNumber(runner.courseControls);
+    if (foundClass.length === null && length !== null) foundClass.length = length;
+    if (foundClass.climb === null && climb !== null) foundClass.climb = climb;
+    if (foundClass.controls === null && controls !== null) foundClass.controls = controls;
+    if (foundClass.fullResults.length === 0 && runner.fullResults) {
+      foundClass.fullResults = runner.fullResults;
+    }
+    foundClass.runners.push(runner);
+  });
+  return classes;
+};
+
+// the runner matching an entry in fullResults, by registration number or name
+const findRunner = (runners, result) => {
+  const regNumber = (result.regNumber || '').toUpperCase();
+  const regNumberMatch = (regNumber) && runners.find((runner) => {
+    return (runner.user.regNumber || '').toUpperCase() === regNumber;
+  });
+  if (regNumberMatch) return regNumberMatch;
+  const name = normaliseName(result.name);
+  return runners.find(({ user }) => {
+    return [user.fullName, user.displayName].some(userName => normaliseName(userName) === name);
+  });
+};
+
+// results of a class as { name, regNumber, club, time, timeBehind, place, status,
+// splitTimes }, from fullResults followed by any runners not found there
+const getClassResults = (eachClass, isFamilyFirst) => {
+  const toResult = ({
+    name,
+    regNumber,
+    club,
+    time,
+    timeBehind,
+    place,
+  }, runner, nameIsFamilyFirst) => {
+    const seconds = parseTime(time);
+    const status = (seconds === null) ? (IOF_STATUSES[time] || 'DidNotFinish') : 'OK';
+    return {
+      ...splitName(name, nameIsFamilyFirst),
+      regNumber,
+      club,
+      time: seconds,
+      timeBehind: (status === 'OK') ? parseTime(timeBehind) : null,
+      place: (status === 'OK') ? toNumber(place) : null,
+      status,
+      splitTimes: (runner) ? getControlSplits(runner.splitTimes) : null,
+    };
+  };
+  const foundRunners = [];
+  const fromFullResults = eachClass.fullResults.map((result) => {
+    const runner = findRunner(eachClass.runners, result);
+    if (runner) foundRunners.push(runner);
+    return toResult({ ...result, timeBehind: result.loss }, runner, isFamilyFirst);
+  });
+  const fromRunners = eachClass.runners
+    .filter(runner => !foundRunners.includes(runner))
+    .map((runner) => {
+      const { user } = runner;
+      return toResult({
+        name: user.fullName || user.displayName,
+        regNumber: user.regNumber,
+        club: (user.memberOf && user.memberOf.length > 0) ? user.memberOf[0].shortName : '',
+        time: runner.time,
+        timeBehind: runner.timeBehind,
+        place: runner.place,
+      }, runner, false);
+    });
+  return [...fromFullResults, ...fromRunners].sort((a, b) => {
+    if (a.place && b.place) return a.place - b.place;
+    if (a.place || b.place) return (a.place) ? -1 : 1;
+    return 0;
+  });
+};
+
+// the controls of a course from the first runner with all control codes known
+const getCourseControls = (eachClass) => {
+  return eachClass.runners
+    .map(runner => getControlSplits(runner.splitTimes))
+    .find(controls => controls) || null;
+};
+
+// the event's courses (see services/parseCourseData) or, if it has none, courses made from
+// the runners' course details and split times, starting at S1 and finishing at F1 as usual
+// in course setting software
+const getCourses = (event, runners) => {
+  if (event.courses && event.courses.length > 0) return event.courses;
+  return getClasses(runners).map((eachClass) => {
+    const courseControls = getCourseControls(eachClass);
+    return {
+      name: eachClass.name,
+      length: (eachClass.length === null) ? null : eachClass.length * 1000,
+      climb: eachClass.climb,
+      controls: (courseControls) ? [
+        { code: 'S1', type: 'Start' },
+        ...courseControls.map(({ controlCode }) => ({ code: controlCode, type: 'Control' })),
+        { code: 'F1', type: 'Finish' },
+      ] : [],
+    };
+  });
+};
+
+const createControl = ({
+  code,
+  type,
+  mapPosition,
+  position,
+}) => {
+  const elements = [`<Id>${escapeXML(code)}</Id>`];
+  if (position && typeof position.lat === 'number') {
+    elements.push(`<Position lng="${position.long}" lat="${position.lat}"/>`);
+  }
+  if (mapPosition && typeof mapPosition.x === 'number') {
+    elements.push(`<MapPosition x="${mapPosition.x}" y="${mapPosition.y}" unit="mm"/>`);
+  }
+  const typeAttribute = (type && type !== 'Control') ? ` type="${type}"` : '';
+  return `    <Control${typeAttribute}>${elements.join('')}</Control>`;
+};
+
+const createEvent = (event) => {
+  const organisers = (event.organisedBy || []).map((club) => {
+    return `    <Organiser><Name>${escapeXML(club.shortName)}</Name></Organiser>`;
+  });
+  return [
+    '  <Event>',
+    `    <Name>${escapeXML(event.name)}</Name>`,
+    `    <StartTime><Date>${escapeXML(event.date)}</Date></StartTime>`,
+    ...organisers,
+    '  </Event>',
+  ];
+};
+
+const createPersonResult = (result) => {
+  const elements = [
+    '    <PersonResult>',
+    '      <Person>',
+  ];
+  if (result.regNumber) elements.push(`        <Id>${escapeXML(result.regNumber)}</Id>`);
+  elements.push('        <Name>'
+    .concat(`<Family>${escapeXML(result.family)}</Family>`)
+    .concat((result.given) ? `<Given>${escapeXML(result.given)}</Given>` : '')
+    .concat('</Name>'));
+  elements.push('      </Person>');
+  if (result.club) {
+    elements.push(`      <Organisation><Name>${escapeXML(result.club)}</Name></Organisation>`);
+  }
+  elements.push('      <Result>');
+  if (result.time !== null) elements.push(`        <Time>${result.time}</Time>`);
+  if (result.timeBehind !== null) {
+    elements.push(`        <TimeBehind>${result.timeBehind}</TimeBehind>`);
+  }
+  if (result.place !== null) elements.push(`        <Position>${result.place}</Position>`);
+  elements.push(`        <Status>${result.status}</Status>`);
+  (result.splitTimes || []).forEach(({ controlCode, cumulativeTime }) => {
+    elements.push('        <SplitTime>'
+      .concat(`<ControlCode>${escapeXML(controlCode)}</ControlCode>`)
+      .concat(`<Time>${cumulativeTime}</Time>`)
+      .concat('</SplitTime>'));
+  });
+  elements.push('      </Result>');
+  elements.push('    </PersonResult>');
+  return elements;
+};
+
+const createResultList = (event, runners, createTime = new Date()) => {
+  const isFamilyFirst = Boolean(event.orisId);
+  const classResults = getClasses(runners).map((eachClass) => {
+    const course = [];
+    if (eachClass.length !== null) {
+      course.push(`<Length>${Math.round(eachClass.length * 1000)}</Length>`);
+    }
+    if (eachClass.climb !== null) course.push(`<Climb>${Math.round(eachClass.climb)}</Climb>`);
+    if (eachClass.controls !== null) {
+      course.push(`<NumberOfControls>${eachClass.controls}</NumberOfControls>`);
+    }
+    const personResults = getClassResults(eachClass, isFamilyFirst).map(createPersonResult);
+    return [
+      '  <ClassResult>',
+      `    <Class><Name>${escapeXML(eachClass.name)}</Name></Class>`,
+      ...((course.length > 0) ? [`    <Course>${course.join('')}</Course>`] : []),
+      ...[].concat(...personResults),
+      '  </ClassResult>',
+    ];
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<ResultList ${rootAttributes(createTime)} status="Complete">`,
+    ...createEvent(event),
+    ...[].concat(...classResults),
+    '</ResultList>',
+    '',
+  ].join('\n');
+};
+
+const createCourseData = (event, runners, createTime = new Date()) => {
+  const courses = getCourses(event, runners);
+  const controls = [].concat(...courses.map(course => course.controls || []))
+    .filter((control, index, all) => {
+      return all.findIndex(other => other.code === control.code) === index;
+    });
+  const courseElements = courses.map((course) => {
+    const elements = [
+      '    <Course>',
+      `      <Name>${escapeXML(course.name)}</Name>`,
+    ];
+    if (typeof course.length === 'number') {
+      elements.push(`      <Length>${Math.round(course.length)}</Length>`);
+    }
+    if (typeof course.climb === 'number') {
+      elements.push(`      <Climb>${Math.round(course.climb)}</Climb>`);
+    }
+    (course.controls || []).forEach(({ code, type, legLength }) => {
+      elements.push(`      <CourseControl type="${type || 'Control'}">`
+        .concat(`<Control>${escapeXML(code)}</Control>`)
+        .concat((typeof legLength === 'number') ? `<LegLength>${legLength}</LegLength>` : '')
+        .concat('</CourseControl>'));
+    });
+    elements.push('    </Course>');
+    return elements;
+  });
+  const assignments = courses.map(({ name }) => {
+    return '    <ClassCourseAssignment>'
+      .concat(`<ClassName>${escapeXML(name)}</ClassName>`)
+      .concat(`<CourseName>${escapeXML(name)}</CourseName>`)
+      .concat('</ClassCourseAssignment>');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<CourseData ${rootAttributes(createTime)}>`,
+    ...createEvent(event),
+    '  <RaceCourseData>',
+    ...controls.map(createControl),
+    ...[].concat(...courseElements),
+    ...assignments,
+    '  </RaceCourseData>',
+    '</CourseData>',
+    '',
+  ].join('\n');
+};
+
+module.exports = {
+  createCourseData,
+  createResultList,
+};
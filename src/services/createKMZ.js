@@ -0,0 +1,69 @@
+// package a georeferenced map image and GPS track as a KMZ file for Google Earth
+const JSZip = require('jszip');
+const { escapeXML } = require('./createGPX');
+
+// corners are { sw, nw, ne, se } each { lat, long }, gx:LatLonQuad wants
+// anticlockwise from lower left as long,lat
+const formatLatLonQuad = ({
+  sw,
+  nw,
+  ne,
+  se,
+}) => [sw, se, ne, nw].map(corner => `${corner.long},${corner.lat}`).join(' ');
+
+// returns a Promise resolving to a Buffer containing the KMZ file
+const createKMZ = ({
+  name,
+  description,
+  imageBuffer,
+  imageCorners,
+  track = [],
+  trackDetails = [],
+}) => {
+  const trackCoordinates = track.map(([lat, long], index) => {
+    const altitude = (trackDetails[index]) ? trackDetails[index][2] : null;
+    return (altitude || altitude === 0) ? `${long},${lat},${altitude}` : `${long},${lat}`;
+  });
+  const trackPlacemark = (track.length > 1)
+    ? [
+      '    <Placemark>',
+      '      <name>Route</name>',
+      '      <styleUrl>#route</styleUrl>',
+      '      <LineString>',
+      '        <tessellate>1</tessellate>',
+      '        <altitudeMode>clampToGround</altitudeMode>',
+      `        <coordinates>${trackCoordinates.join(' ')}</coordinates>`,
+      '      </LineString>',
+      '    </Placemark>',
+    ]
+    : [];
+  const kml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXML(name)}</name>`,
+    `    <description>${escapeXML(description || '')}</description>`,
+    '    <Style id="route">',
+    '      <LineStyle><color>ff0000ff</color><width>3</width></LineStyle>', // aabbggrr
+    '    </Style>',
+    '    <GroundOverlay>',
+    `      <name>${escapeXML(name)}</name>`,
+    '      <Icon><href>files/map.jpg</href></Icon>',
+    '      <gx:LatLonQuad>',
+    `        <coordinates>${formatLatLonQuad(imageCorners)}</coordinates>`,
+    '      </gx:LatLonQuad>',
+    '    </GroundOverlay>',
+    ...trackPlacemark,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+  const zip = new JSZip();
+  zip.file('doc.kml', kml); // must be the first file in the archive
+  zip.file('files/map.jpg', imageBuffer);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = {
+  createKMZ,
+};
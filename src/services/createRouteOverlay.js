@@ -1,56 +1,86 @@
-// * consider using a worker pool library to avoid blocking server *
-const fs = require('fs');
+// runs as part of a background job in a child process (see jobTasks.js)
 const { PNG } = require('pngjs'); // overlayData must be PNG for transparency
 const JPEG = require('jpeg-js'); // inputs will be JPG
+const { registerImages, alignImage } = require('./registerImages');
+const storage = require('./storage');
 
-// want fs.readFile() to return a Promise
-const readFileAsync = (filename) => {
-  return new Promise((resolve, reject) => {
-    fs.readFile(filename, (err, buffer) => {
-      if (err) reject(err);
-      else resolve(buffer);
-    });
-  });
+// default parameters, can be changed for each map (see overlaySettings in oevent model)
+const DEFAULT_OVERLAY_THRESHOLD = 63;
+const DEFAULT_COLOUR_WEIGHTS = { red: 1, green: 2, blue: 1 }; // eye more sensitive to green
+
+// weighted colour difference between a route pixel and a course pixel
+const getDifference = (routeData, routePosition, courseData, coursePosition, colourWeights) => {
+  const diffR = Math.abs(routeData[routePosition] - courseData[coursePosition]);
+  const diffG = Math.abs(routeData[routePosition + 1] - courseData[coursePosition + 1]);
+  const diffB = Math.abs(routeData[routePosition + 2] - courseData[coursePosition + 2]);
+  return colourWeights.red * diffR + colourWeights.green * diffG + colourWeights.blue * diffB;
 };
 
 // Are two pixels different or not? Need calculation to be simple
-const isDifferent = (routeData, courseData, position, overlayThreshold) => {
-  const diffR = Math.abs(routeData[position] - courseData[position]);
-  const diffG = Math.abs(routeData[position + 1] - courseData[position + 1]);
-  const diffB = Math.abs(routeData[position + 2] - courseData[position + 2]);
-  const difference = diffR + diffG + diffG + diffB; // eye more sensitive to green
+const isDifferent = (routeData, courseData, position, overlayThreshold, colourWeights) => {
+  const difference = getDifference(routeData, position, courseData, position, colourWeights);
   if (difference > overlayThreshold) return true;
   return false;
 };
 
+// Is the route pixel different from the course pixel and all of its neighbours? Used once
+// the scans have been aligned, so that edges that are a pixel out don't show up as noise
+const isDifferentFromNeighbours = (routeData, courseData, x, y, width, height,
+  overlayThreshold, colourWeights) => {
+  const routePosition = (y * width + x) * 4;
+  for (let dy = -1; dy <= 1; dy += 1) {
+    for (let dx = -1; dx <= 1; dx += 1) {
+      const neighbourX = x + dx;
+      const neighbourY = y + dy;
+      if (neighbourX >= 0 && neighbourY >= 0 && neighbourX < width && neighbourY < height) {
+        const coursePosition = (neighbourY * width + neighbourX) * 4;
+        const difference = getDifference(routeData, routePosition, courseData, coursePosition,
+          colourWeights);
+        if (difference <= overlayThreshold) return false;
+      }
+    }
+  }
+  return true;
+};
+
 // cut down version that returns an overlay (new PNG object)
 // returns null rather than error if unable to produce one
-const createRouteOverlay = async (routeFilename, courseFilename, overlayThreshold = 63) => {
+// the route scan is aligned to the course scan first, as two scans of the same sheet are
+// never quite in the same position; the overlay matches the course image
+// colourWeights is { red, green, blue }
+const createRouteOverlay = async (routeFilename, courseFilename,
+  overlayThreshold = DEFAULT_OVERLAY_THRESHOLD, colourWeights = DEFAULT_COLOUR_WEIGHTS) => {
   // const startTime = new Date().getTime();
-  return Promise.all([readFileAsync(routeFilename), readFileAsync(courseFilename)])
+  return Promise.all([storage.readFile(routeFilename), storage.readFile(courseFilename)])
     .then(([routeFile, courseFile]) => {
       // const readTime = new Date().getTime();
       // console.log('files read time:', (readTime - startTime) / 1000);
       const routeImg = JPEG.decode(routeFile);
       const courseImg = JPEG.decode(courseFile);
-      const { width, height } = routeImg;
+      const { width, height } = courseImg;
+      const registration = registerImages(courseImg, routeImg);
+      // validation: can images be aligned, or failing that are they the same size?
+      if (!registration && routeImg.data.length !== courseImg.data.length) {
+        // console.log('No overlay, images can not be aligned.');
+        return null;
+      }
       const overlay = new PNG({ width, height });
-      const routeData = routeImg.data;
+      const routeData = (registration)
+        ? alignImage(routeImg, registration.transform, width, height)
+        : routeImg.data;
       const courseData = courseImg.data;
       const overlayData = overlay.data;
 
-      // validation: are images the same size?
-      if (routeData.length !== courseData.length) {
-        // console.log('No overlay, image sizes do not match.');
-        return null;
-      }
-
       // compare each pixel of one image against the other one
       let different = 0;
       for (let y = 0; y < height; y += 1) {
         for (let x = 0; x < width; x += 1) {
           const currentPosition = (y * width + x) * 4;
-          if (isDifferent(routeData, courseData, currentPosition, overlayThreshold)) {
+          const isCovered = routeData[currentPosition + 3] > 0; // not outside aligned route
+          if (isCovered
+            && isDifferent(routeData, courseData, currentPosition, overlayThreshold, colourWeights)
+            && (!registration || isDifferentFromNeighbours(routeData, courseData, x, y,
+              width, height, overlayThreshold, colourWeights))) {
             overlayData[currentPosition] = routeData[currentPosition];
             overlayData[currentPosition + 1] = routeData[currentPosition + 1];
             overlayData[currentPosition + 2] = routeData[currentPosition + 2];
@@ -78,5 +108,7 @@ const createRouteOverlay = async (routeFilename, courseFilename, overlayThreshol
 };
 
 module.exports = {
+  DEFAULT_COLOUR_WEIGHTS,
+  DEFAULT_OVERLAY_THRESHOLD,
   createRouteOverlay,
 };
@@ -1,40 +1,71 @@
 const sharp = require('sharp');
 
-const createThumbnailAndExtract = (fileLocation) => {
-  const THUMBNAIL_SIZE = 200; // fit within square box of this dimension in pixels
-  const EXTRACT_WIDTH = 600; // pixels
-  const EXTRACT_HEIGHT = 100; // pixels
-  const thumbnail = fileLocation.slice(0, -4).concat('-thumb').concat(fileLocation.slice(-4));
-  const extract = fileLocation.slice(0, -4).concat('-extract').concat(fileLocation.slice(-4));
-  sharp(fileLocation)
-    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside' })
-    .toFile(thumbnail, (thumbErr) => {
-      sharp.cache(false); // stops really confusing behaviour if changing repeatedly
-      if (thumbErr) throw thumbErr;
-    });
-  sharp(fileLocation)
-    .metadata()
-    .then((metadata) => {
-      const centreX = Math.floor(metadata.width / 2);
-      const centreY = Math.floor(metadata.height / 2);
-      // check to limit size of extract for small images
-      // (although real maps are unlikely to be this small)
-      const newWidth = Math.min(metadata.width, EXTRACT_WIDTH);
-      const newHeight = Math.min(metadata.height, EXTRACT_HEIGHT);
-      return sharp(fileLocation)
-        .extract({
-          left: centreX - Math.floor(newWidth / 2),
-          top: centreY - Math.floor(newHeight / 2),
-          width: newWidth,
-          height: newHeight,
-        })
-        .toFile(extract, (extractErr) => {
-          sharp.cache(false); // stops confusing behaviour if changing more than once!
-          if (extractErr) throw extractErr;
-        });
+const storage = require('./storage');
+
+const THUMBNAIL_SIZE = 200; // fit within square box of this dimension in pixels
+const EXTRACT_WIDTH = 600; // pixels
+const EXTRACT_HEIGHT = 100; // pixels
+
+const getThumbnailLocation = (fileLocation) => {
+  return fileLocation.slice(0, -4).concat('-thumb').concat(fileLocation.slice(-4));
+};
+const getExtractLocation = (fileLocation) => {
+  return fileLocation.slice(0, -4).concat('-extract').concat(fileLocation.slice(-4));
+};
+
+// returns a Promise that resolves to the thumbnail's location once it has been written
+const createThumbnail = (fileLocation) => {
+  const thumbnail = getThumbnailLocation(fileLocation);
+  sharp.cache(false); // stops really confusing behaviour if changing repeatedly
+  return storage.readFile(fileLocation).then((image) => {
+    return sharp(image)
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside' })
+      .jpeg()
+      .toBuffer();
+  }).then(thumbnailBuffer => storage.writeFile(thumbnail, thumbnailBuffer));
+};
+
+// returns a Promise that resolves to { extract, area } once the extract has been written
+// chooseArea({ width, height }) => Promise resolving to the area of the image to use
+// { left, top, width, height } in pixels, or null for the middle of the image
+// areas of a different size are scaled to fill the extract (e.g. if chosen by the runner)
+const createExtract = (fileLocation, chooseArea = () => Promise.resolve(null)) => {
+  const extract = getExtractLocation(fileLocation);
+  sharp.cache(false);
+  return storage.readFile(fileLocation).then((image) => {
+    return sharp(image).metadata().then(({ width, height }) => {
+      return chooseArea({ width, height }).then((chosenArea) => {
+        const chosen = chosenArea || {
+          left: (width - EXTRACT_WIDTH) / 2,
+          top: (height - EXTRACT_HEIGHT) / 2,
+          width: EXTRACT_WIDTH,
+          height: EXTRACT_HEIGHT,
+        };
+        // check to limit size of extract for small images
+        // (although real maps are unlikely to be this small)
+        const areaWidth = Math.min(width, Math.max(1, Math.round(chosen.width)));
+        const areaHeight = Math.min(height, Math.max(1, Math.round(chosen.height)));
+        const area = {
+          left: Math.min(Math.max(Math.round(chosen.left), 0), width - areaWidth),
+          top: Math.min(Math.max(Math.round(chosen.top), 0), height - areaHeight),
+          width: areaWidth,
+          height: areaHeight,
+        };
+        return sharp(image)
+          .extract(area)
+          .resize(EXTRACT_WIDTH, EXTRACT_HEIGHT, { fit: 'cover', withoutEnlargement: true })
+          .jpeg()
+          .toBuffer()
+          .then(extractBuffer => storage.writeFile(extract, extractBuffer))
+          .then(() => ({ extract, area }));
+      });
     });
+  });
 };
 
 module.exports = {
-  createThumbnailAndExtract,
+  EXTRACT_WIDTH,
+  EXTRACT_HEIGHT,
+  createThumbnail,
+  createExtract,
 };
@@ -0,0 +1,83 @@
+// Deep Zoom tile pyramid so that large map scans can be viewed progressively
+// for images/maps/eventid/name.jpg the tiles are written to name-tiles_files/level/col_row.jpg
+// and the Deep Zoom descriptor to name-tiles.dzi
+// sharp can only write tiles to the local disk, so they are created in a temporary directory
+// and then moved into storage
+const path = require('path');
+const sharp = require('sharp');
+const xml2js = require('xml2js');
+
+const storage = require('./storage');
+
+const TILE_SIZE = 256; // pixels
+const TILE_OVERLAP = 1; // pixels
+
+const getTileBase = fileLocation => fileLocation.slice(0, -4).concat('-tiles');
+
+const getTileLocations = (fileLocation) => {
+  const base = getTileBase(fileLocation);
+  return {
+    descriptor: base.concat('.dzi'),
+    tileDirectory: base.concat('_files'),
+  };
+};
+
+// returns a Promise that resolves when the tiles have all been written
+const createTilePyramid = (fileLocation) => {
+  const { descriptor, tileDirectory } = getTileLocations(fileLocation);
+  return storage.readFile(fileLocation).then((image) => {
+    return storage.withTemporaryDirectory((directory) => {
+      const localBase = path.join(directory, 'tiles');
+      return sharp(image)
+        .tile({
+          size: TILE_SIZE,
+          overlap: TILE_OVERLAP,
+          layout: 'dz',
+        })
+        .toFile(localBase.concat('.dz'))
+        .then(() => Promise.all([
+          storage.putFile(descriptor, localBase.concat('.dzi')),
+          storage.putDirectory(tileDirectory, localBase.concat('_files')),
+        ]));
+    });
+  }).then(() => ({ descriptor, tileDirectory }));
+};
+
+// returns a Promise resolving to the manifest (tile size, dimensions, levels)
+const getTileManifest = (fileLocation) => {
+  const { descriptor, tileDirectory } = getTileLocations(fileLocation);
+  return storage.readFile(descriptor).then((data) => {
+    return new Promise((resolve, reject) => {
+      xml2js.parseString(data.toString(), (parseErr, result) => {
+        if (parseErr) return reject(parseErr);
+        const image = result.Image.$;
+        const size = result.Image.Size[0].$;
+        const width = parseInt(size.Width, 10);
+        const height = parseInt(size.Height, 10);
+        return resolve({
+          layout: 'dz',
+          descriptor,
+          tileDirectory,
+          tileSize: parseInt(image.TileSize, 10),
+          overlap: parseInt(image.Overlap, 10),
+          format: image.Format,
+          width,
+          height,
+          maxLevel: Math.ceil(Math.log2(Math.max(width, height))),
+        });
+      });
+    });
+  });
+};
+
+// returns a Promise that resolves when the descriptor and tiles have been removed
+const deleteTilePyramid = (fileLocation) => {
+  const { descriptor, tileDirectory } = getTileLocations(fileLocation);
+  return Promise.all([storage.deleteFile(descriptor), storage.deletePrefix(tileDirectory)]);
+};
+
+module.exports = {
+  createTilePyramid,
+  deleteTilePyramid,
+  getTileManifest,
+};
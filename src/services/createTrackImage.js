@@ -0,0 +1,42 @@
+// draw the GPS track from an image's QuickRoute data onto the image itself (see drawTrack.js)
+// for images/maps/eventid/name.jpg the result is stored as name-track.jpg
+const sharp = require('sharp');
+
+const storage = require('./storage');
+const { getQRData } = require('./parseQR');
+const { createTrackSVG, getTrackDrawing } = require('./drawTrack');
+
+const JPEG_QUALITY = 90;
+
+const getTrackImageLocation = (fileLocation) => {
+  return fileLocation.slice(0, -4).concat('-track').concat(fileLocation.slice(-4));
+};
+
+// colourBy is 'pace' or 'heartRate', resolves to { trackImage, trackImageSettings } or null
+// if the image has no QuickRoute track that can be placed on it
+// (trackImageSettings.colourBy is what was used, which may not be what was asked for)
+const createTrackImage = (fileLocation, colourBy) => {
+  const trackImage = getTrackImageLocation(fileLocation);
+  sharp.cache(false);
+  return storage.readFile(fileLocation).then((image) => {
+    const qRData = getQRData(image);
+    if (!qRData.isGeocoded || !qRData.sessions) return null;
+    // assume first session for now, as for the track stored in geo
+    const drawing = getTrackDrawing(qRData.sessions.sessionData[0],
+      qRData.locationSizePixels, colourBy);
+    if (!drawing || drawing.lines.length === 0) return null;
+    return sharp(image).metadata().then(({ width, height }) => {
+      const svg = Buffer.from(createTrackSVG(drawing, width, height));
+      return sharp(image)
+        .composite([{ input: svg }])
+        .jpeg({ quality: JPEG_QUALITY })
+        .toBuffer();
+    }).then(trackBuffer => storage.writeFile(trackImage, trackBuffer))
+      .then(() => ({ trackImage, trackImageSettings: { colourBy: drawing.colourBy } }));
+  });
+};
+
+module.exports = {
+  createTrackImage,
+  getTrackImageLocation,
+};
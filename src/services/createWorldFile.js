@@ -0,0 +1,39 @@
+// georeference a map image for GIS software (e.g. QGIS) using an ESRI world file
+const JSZip = require('jszip');
+
+// WGS84 geographic coordinates, matching the lat/long corners stored for each map
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],'
+  .concat('PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]');
+
+// world file lines are: x size of pixel (A), rotation terms (D, B), y size of pixel (E),
+// then x and y of the centre of the upper left pixel (C, F)
+// corners are { sw, nw, ne, se } each { lat, long } for the image of size width x height
+const createWorldFile = ({ nw, ne, sw }, width, height) => {
+  const A = (ne.long - nw.long) / width;
+  const D = (ne.lat - nw.lat) / width;
+  const B = (sw.long - nw.long) / height;
+  const E = (sw.lat - nw.lat) / height;
+  const C = nw.long + (A + B) / 2;
+  const F = nw.lat + (D + E) / 2;
+  return [A, D, B, E, C, F].map(value => value.toFixed(12)).join('\n').concat('\n');
+};
+
+// returns a Promise resolving to a Buffer containing a zip of the JPEG, world file and .prj
+const createWorldFileZip = ({
+  basename,
+  imageBuffer,
+  imageCorners,
+  width,
+  height,
+}) => {
+  const zip = new JSZip();
+  zip.file(`${basename}.jpg`, imageBuffer);
+  zip.file(`${basename}.jgw`, createWorldFile(imageCorners, width, height));
+  zip.file(`${basename}.prj`, WGS84_PRJ);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = {
+  createWorldFile,
+  createWorldFileZip,
+};
@@ -0,0 +1,196 @@
+// find the edges of a sheet of paper in a scan or photo, where it lies on a scanner lid or a
+// table that is darker (or lighter) than the paper, to measure how far it has been rotated
+// (skew) and the border around it that can be cropped away
+// images are { width, height, data } with one grey value (0-255) per pixel
+const RING_WIDTH = 2; // pixels around the edge of the image used to find the background
+const MIN_DIFFERENCE = 24; // grey levels, smallest difference between background and paper
+const MIN_RUN = 3; // pixels in a row unlike the background to count as paper (ignores dust)
+const EDGE_PERCENTILE = 0.02; // of edge positions, so that a few stray marks aren't paper
+const MIN_PAPER_AREA = 0.25; // proportion of the image, anything smaller isn't the sheet
+const MIN_BORDER = 2; // pixels, narrower borders aren't worth cropping
+const EDGE_PORTION = 0.8; // central part of each side used for skew (corners may be torn)
+const MIN_EDGE_POINTS = 20; // needed to measure the angle of a side
+const FIT_TOLERANCE = 2; // pixels, further from the fitted line is something else (e.g. a tear)
+const MIN_INLIERS = 0.6; // proportion of points that must fit the line for a side to be used
+const MIN_SKEW = 0.1; // degrees, smaller angles are left alone
+const MAX_SKEW = 10; // degrees, larger angles are more likely to be a mistake than a bad scan
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+const percentile = (sorted, proportion) => {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * proportion))];
+};
+
+// the background is whatever surrounds the image, returning { value, threshold } where
+// threshold is the difference in grey level at which a pixel is something else
+const estimateBackground = ({ width, height, data }) => {
+  const ring = [];
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const isRing = (x < RING_WIDTH || x >= width - RING_WIDTH
+        || y < RING_WIDTH || y >= height - RING_WIDTH);
+      if (isRing) ring.push(data[y * width + x]);
+    }
+  }
+  const value = median(ring);
+  const deviation = median(ring.map(grey => Math.abs(grey - value)));
+  return { value, threshold: Math.max(MIN_DIFFERENCE, 4 * deviation) };
+};
+
+// first position along a line of pixels (given by getGrey(i) for i = 0...length - 1) at which
+// MIN_RUN pixels in a row are unlike the background, or -1 if there isn't one
+const findRunStart = (length, getGrey, { value, threshold }) => {
+  let run = 0;
+  for (let i = 0; i < length; i += 1) {
+    run = (Math.abs(getGrey(i) - value) > threshold) ? run + 1 : 0;
+    if (run === MIN_RUN) return i - MIN_RUN + 1;
+  }
+  return -1;
+};
+
+// the outermost paper pixel in each row (left and right sides) and column (top and bottom),
+// as [position along the side, distance from the left or top of the image]
+const findEdgePoints = ({ width, height, data }, background) => {
+  const edges = {
+    left: [],
+    right: [],
+    top: [],
+    bottom: [],
+  };
+  for (let y = 0; y < height; y += 1) {
+    const left = findRunStart(width, x => data[y * width + x], background);
+    if (left >= 0) {
+      edges.left.push([y, left]);
+      edges.right.push([y, width - 1 - findRunStart(width, x => data[y * width + width - 1 - x],
+        background)]);
+    }
+  }
+  for (let x = 0; x < width; x += 1) {
+    const top = findRunStart(height, y => data[y * width + x], background);
+    if (top >= 0) {
+      edges.top.push([x, top]);
+      edges.bottom.push([x, height - 1 - findRunStart(height,
+        y => data[(height - 1 - y) * width + x], background)]);
+    }
+  }
+  return edges;
+};
+
+// the area covered by paper, if the image contains a sheet distinct from its background
+const findPaper = (image, background) => {
+  const edges = findEdgePoints(image, background);
+  if (edges.left.length === 0) return null;
+  const sortedEdges = side => edges[side].map(([, edge]) => edge).sort((a, b) => a - b);
+  const left = percentile(sortedEdges('left'), EDGE_PERCENTILE);
+  const right = percentile(sortedEdges('right'), 1 - EDGE_PERCENTILE);
+  const top = percentile(sortedEdges('top'), EDGE_PERCENTILE);
+  const bottom = percentile(sortedEdges('bottom'), 1 - EDGE_PERCENTILE);
+  const box = {
+    left,
+    top,
+    width: right - left + 1,
+    height: bottom - top + 1,
+  };
+  if (box.width * box.height < MIN_PAPER_AREA * image.width * image.height) return null;
+  // if the paper is much the same as the background (e.g. a white map on a white scanner lid)
+  // the edges found are those of the map's content, which shouldn't be cropped
+  const paper = [];
+  const step = Math.max(1, Math.floor(Math.sqrt(box.width * box.height / 10000)));
+  for (let y = top; y <= bottom; y += step) {
+    for (let x = left; x <= right; x += step) paper.push(image.data[y * image.width + x]);
+  }
+  if (Math.abs(median(paper) - background.value) <= background.threshold) return null;
+  return { edges, box };
+};
+
+const findInliers = (points, slope, intercept) => {
+  return points.filter(([position, edge]) => {
+    return Math.abs(edge - slope * position - intercept) <= FIT_TOLERANCE;
+  });
+};
+
+// fit edge = slope * position + intercept, ignoring points that don't fit (e.g. tears or
+// marks beyond the edge), returning { slope, inliers } (the proportion that fit)
+const fitEdge = (points) => {
+  // initial estimate from pairs of points half the side apart, which is unaffected by outliers
+  const half = Math.floor(points.length / 2);
+  const slopes = points.slice(0, half).map(([position, edge], i) => {
+    const [otherPosition, otherEdge] = points[i + half];
+    return (otherEdge - edge) / (otherPosition - position);
+  });
+  let slope = median(slopes);
+  let intercept = median(points.map(([position, edge]) => edge - slope * position));
+  let inliers = [];
+  for (let iteration = 0; iteration < 3; iteration += 1) {
+    inliers = findInliers(points, slope, intercept);
+    if (inliers.length < 2) break;
+    // least squares
+    const n = inliers.length;
+    const sums = inliers.reduce(([p, e, pp, pe], [position, edge]) => {
+      return [p + position, e + edge, pp + position * position, pe + position * edge];
+    }, [0, 0, 0, 0]);
+    const denominator = n * sums[2] - sums[0] * sums[0];
+    if (denominator === 0) break;
+    slope = (n * sums[3] - sums[0] * sums[1]) / denominator;
+    intercept = (sums[1] - slope * sums[0]) / n;
+  }
+  return { slope, inliers: inliers.length / points.length };
+};
+
+// the angle (degrees clockwise) that the sheet has been rotated by, from the straight sides
+// that can be seen, or 0 if it is too small to matter or can't be measured
+const detectSkew = (image, background) => {
+  const paper = findPaper(image, background);
+  if (!paper) return 0;
+  const { width, height } = image;
+  const touchesImageEdge = {
+    left: edge => edge <= 0,
+    right: edge => edge >= width - 1,
+    top: edge => edge <= 0,
+    bottom: edge => edge >= height - 1,
+  };
+  const angles = Object.keys(paper.edges).map((side) => {
+    const points = paper.edges[side];
+    const trim = Math.floor(points.length * (1 - EDGE_PORTION) / 2);
+    const central = points.slice(trim, points.length - trim);
+    if (central.length < MIN_EDGE_POINTS) return null;
+    // there is no border on this side to show where the edge of the sheet is
+    if (touchesImageEdge[side](median(central.map(([, edge]) => edge)))) return null;
+    const { slope, inliers } = fitEdge(central);
+    if (inliers < MIN_INLIERS) return null;
+    // rotating clockwise moves the top of the left and right sides to the right, and the
+    // right of the top and bottom sides down
+    const angle = Math.atan(slope) * 180 / Math.PI;
+    return (side === 'left' || side === 'right') ? -angle : angle;
+  }).filter(angle => angle !== null);
+  if (angles.length === 0) return 0;
+  const angle = (angles.length === 2)
+    ? (angles[0] + angles[1]) / 2
+    : median(angles);
+  if (Math.abs(angle) < MIN_SKEW || Math.abs(angle) > MAX_SKEW) return 0;
+  return angle;
+};
+
+// the part of the image covered by the sheet, { left, top, width, height } in pixels, or
+// null if there is no border worth removing
+const detectBorder = (image, background) => {
+  const paper = findPaper(image, background);
+  if (!paper) return null;
+  const { box } = paper;
+  const borders = [
+    box.left,
+    box.top,
+    image.width - box.left - box.width,
+    image.height - box.top - box.height,
+  ];
+  if (borders.every(border => border < MIN_BORDER)) return null;
+  return box;
+};
+
+module.exports = {
+  estimateBackground,
+  detectSkew,
+  detectBorder,
+};
@@ -0,0 +1,151 @@
+// draw the GPS track of a QuickRoute session on its map, coloured by pace or heart rate
+// the track is placed using QuickRoute's own transformation: each waypoint is projected
+// relative to the projection origin and transformed by the matrix of the adjustment handles
+// either side of it (interpolated between them), as set when the route was fitted to the map
+// the drawing is made as SVG, to be composited onto the map image
+const { calculateDistance, projectPoint } = require('./parseQR');
+
+const PACE_WINDOW = 10; // seconds either side of a waypoint over which pace is averaged
+const COLOUR_STEPS = 32; // colours are rounded so that lines of one colour can be joined up
+const RANGE_PERCENTILE = 0.05; // ignore the fastest and slowest 5% when choosing the range
+const MIN_RANGE = 0.02; // a range narrower than 2% of its top is treated as all the same
+const TRACK_OPACITY = 0.8;
+const DEFAULT_COLOUR = 'rgb(255,0,0)'; // if there is nothing to colour the track by
+
+// the matrix for the waypoint at value (index within its segment), between the handles
+// either side of it in the same segment, or that of the nearest handle beyond the ends
+// handles are [matrix, segmentIndex, value] as in the session's matrix.matrices
+const getMatrix = (handles, segmentIndex, value) => {
+  const segmentHandles = handles
+    .filter(([, handleSegment]) => handleSegment === segmentIndex)
+    .sort((a, b) => a[2] - b[2]);
+  const candidates = (segmentHandles.length > 0) ? segmentHandles : handles;
+  const before = candidates.filter(handle => handle[2] <= value).pop();
+  const after = candidates.find(handle => handle[2] > value);
+  if (!before || !after) return (before || after)[0];
+  const t = (value - before[2]) / (after[2] - before[2]);
+  return before[0].map((element, i) => element * (1 - t) + after[0][i] * t);
+};
+
+// pixel positions of each waypoint in each segment of the session's route, offset to where
+// the map is in the image (locationSizePixels), or null if the session can't be placed
+const projectSession = (session, locationSizePixels) => {
+  const { projectionOrigin, matrix, route } = session;
+  if (!projectionOrigin || !matrix || !route || matrix.matrices.length === 0) return null;
+  const { x: offsetX = 0, y: offsetY = 0 } = locationSizePixels || {};
+  return route.map((segment, segmentIndex) => {
+    return segment.waypoints.map((waypoint, index) => {
+      const pixel = projectPoint(projectionOrigin, waypoint,
+        getMatrix(matrix.matrices, segmentIndex, index));
+      return (pixel) ? [pixel[0] + offsetX, pixel[1] + offsetY] : null;
+    });
+  });
+};
+
+// minutes per km at each waypoint, averaged over PACE_WINDOW seconds either side
+// (null where there are no times)
+const getPaces = ({ waypoints, waypointDetails }) => {
+  const times = waypointDetails.map(([time]) => time);
+  const distances = [0]; // cumulative, metres
+  for (let i = 1; i < waypoints.length; i += 1) {
+    distances.push(distances[i - 1] + (calculateDistance(waypoints[i - 1], waypoints[i]) || 0));
+  }
+  let first = 0;
+  let last = 0;
+  return times.map((time, i) => {
+    if (time === null) return null;
+    while (times[first] === null || time - times[first] > PACE_WINDOW * 1000) first += 1;
+    while (last < times.length - 1 && times[last + 1] !== null
+      && times[last + 1] - time <= PACE_WINDOW * 1000) last += 1;
+    if (last < i) last = i;
+    const distance = distances[last] - distances[first];
+    const seconds = (times[last] - times[first]) / 1000;
+    if (distance <= 0 || seconds <= 0) return null;
+    return (seconds / 60) / (distance / 1000);
+  });
+};
+
+// value used to colour each waypoint of a segment, or null where unknown
+const getValues = (segment, colourBy) => {
+  if (colourBy === 'heartRate') {
+    return segment.waypointDetails.map(([, heartRate]) => heartRate || null);
+  }
+  return getPaces(segment);
+};
+
+// green (fast or low heart rate) through yellow to red (slow or high heart rate)
+const getColour = (value, low, high) => {
+  const t = (high - low > high * MIN_RANGE)
+    ? Math.min(Math.max((value - low) / (high - low), 0), 1)
+    : 0.5;
+  const step = Math.round(t * COLOUR_STEPS) / COLOUR_STEPS;
+  const red = Math.round(255 * Math.min(1, step * 2));
+  const green = Math.round(255 * Math.min(1, (1 - step) * 2));
+  return `rgb(${red},${green},0)`;
+};
+
+// the track of a QuickRoute session (see parseQR) as lines to draw on the image, coloured
+// by colourBy ('pace' or 'heartRate') if possible, otherwise by pace, otherwise all in
+// DEFAULT_COLOUR, returning { lines: [{ colour, points: [[x, y]...] }], colourBy } where
+// colourBy is the one used (null if neither), or null if the track can't be placed
+const getTrackDrawing = (session, locationSizePixels, colourBy) => {
+  const segments = projectSession(session, locationSizePixels);
+  if (!segments) return null;
+  const getAllValues = by => session.route.map(segment => getValues(segment, by));
+  const hasValues = values => values.some(segment => segment.some(value => value !== null));
+  const choices = (colourBy === 'heartRate') ? ['heartRate', 'pace'] : ['pace'];
+  const chosen = choices.map(by => ({ by, values: getAllValues(by) }))
+    .find(({ values }) => hasValues(values));
+  let getSegmentColour = () => DEFAULT_COLOUR;
+  if (chosen) {
+    const sorted = [].concat(...chosen.values).filter(value => value !== null)
+      .sort((a, b) => a - b);
+    const low = sorted[Math.floor(sorted.length * RANGE_PERCENTILE)];
+    const high = sorted[Math.floor(sorted.length * (1 - RANGE_PERCENTILE))];
+    getSegmentColour = (segmentIndex, i) => {
+      const [a, b] = [chosen.values[segmentIndex][i], chosen.values[segmentIndex][i + 1]];
+      if (a === null && b === null) return DEFAULT_COLOUR;
+      const value = (a === null || b === null) ? (a || b) : (a + b) / 2;
+      return getColour(value, low, high);
+    };
+  }
+  // join consecutive pieces of the same colour into one line
+  const lines = [];
+  segments.forEach((pixels, segmentIndex) => {
+    let line = null;
+    for (let i = 0; i < pixels.length - 1; i += 1) {
+      if (pixels[i] && pixels[i + 1]) {
+        const colour = getSegmentColour(segmentIndex, i);
+        if (line && line.colour === colour && line.points[line.points.length - 1] === pixels[i]) {
+          line.points.push(pixels[i + 1]);
+        } else {
+          line = { colour, points: [pixels[i], pixels[i + 1]] };
+          lines.push(line);
+        }
+      }
+    }
+  });
+  return { lines, colourBy: (chosen) ? chosen.by : null };
+};
+
+// SVG of the lines (from getTrackDrawing) the size of the image they are to be drawn on
+const createTrackSVG = ({ lines }, width, height) => {
+  const lineWidth = Math.max(3, Math.round(Math.min(width, height) / 400));
+  const polylines = lines.map(({ colour, points }) => {
+    const coordinates = points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+    return `<polyline stroke="${colour}" points="${coordinates}"/>`;
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`,
+    `<g fill="none" stroke-width="${lineWidth}" stroke-opacity="${TRACK_OPACITY}"`,
+    ' stroke-linecap="round" stroke-linejoin="round">',
+    ...polylines,
+    '</g></svg>',
+  ].join('');
+};
+
+module.exports = {
+  createTrackSVG,
+  getMatrix,
+  getTrackDrawing,
+};
@@ -157,6 +157,22 @@ const dbDeleteEvent = (id) => {
   });
 };
 
+// undo dbDeleteEvent (links to other events are not restored)
+const dbRestoreEvent = (id, { name, orisId }) => {
+  return Event.findOneAndUpdate(
+    { _id: id, active: false },
+    { $set: { active: true, name, orisId } },
+    { new: true },
+  )
+    .lean()
+    .select('-__v');
+};
+
+// remove a deleted event for good
+const dbPurgeEvent = (id) => {
+  return Event.findOneAndDelete({ _id: id, active: false }).lean();
+};
+
 const dbAddRunner = (eventId, runnerDetails) => {
   return Event.findByIdAndUpdate(eventId, { $addToSet: { runners: runnerDetails } }, { new: true })
     .lean()
@@ -190,7 +206,7 @@ const dbUpdateRunner = (eventId, runnerUserId, runnerDetails) => {
     .populate('linkedTo', '_id displayName')
     .populate({
       path: 'runners.user',
-      select: '_id displayName fullName regNumber orisId profileImage visibility',
+      select: '_id active displayName fullName regNumber orisId profileImage visibility',
       populate: { path: 'memberOf', select: '_id shortName' },
     })
     .populate({
@@ -282,16 +298,65 @@ const dbDeleteComment = (eventId, runnerId, commentId) => {
     });
 };
 
+const dbAddShareLink = (eventId, runnerId, shareLink) => {
+  return Event.findOneAndUpdate(
+    { _id: eventId, 'runners.user': runnerId },
+    { $push: { 'runners.$.shareLinks': shareLink } },
+    { new: true },
+  )
+    .lean()
+    .populate({
+      path: 'runners.user',
+      select: '_id',
+    });
+};
+
+const dbDeleteShareLink = (eventId, runnerId, shareLinkId) => {
+  return Event.findOneAndUpdate(
+    { _id: eventId, 'runners.user': runnerId },
+    { $pull: { 'runners.$.shareLinks': { _id: shareLinkId } } },
+    { new: true },
+  )
+    .lean()
+    .populate({
+      path: 'runners.user',
+      select: '_id',
+    });
+};
+
+const dbGetEventByShareToken = (token) => {
+  return Event.findOne({ 'runners.shareLinks.token': token, active: true })
+    .lean()
+    .populate('owner', '_id displayName')
+    .populate('organisedBy', '_id shortName')
+    .populate('linkedTo', '_id displayName')
+    .populate({
+      path: 'runners.user',
+      select: '_id active displayName fullName regNumber orisId profileImage visibility',
+      populate: { path: 'memberOf', select: '_id shortName' },
+    })
+    .populate({
+      path: 'runners.comments.author',
+      select: '_id displayName fullName active profileImage',
+    })
+    .select('-active -__v');
+};
+
 module.exports = {
   dbCreateEvent,
   dbGetEventById,
   dbGetEvents,
   dbUpdateEvent,
   dbDeleteEvent,
+  dbRestoreEvent,
+  dbPurgeEvent,
   dbAddRunner,
   dbUpdateRunner,
   dbDeleteRunner,
   dbAddComment,
   dbUpdateComment,
   dbDeleteComment,
+  dbAddShareLink,
+  dbDeleteShareLink,
+  dbGetEventByShareToken,
 };
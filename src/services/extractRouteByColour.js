@@ -0,0 +1,87 @@
+// alternative to createRouteOverlay when there is no course scan to compare against:
+// pick out the route drawn by hand on the route scan by the colour of the pen used
+// runs as part of a background job in a child process (see jobTasks.js)
+const { PNG } = require('pngjs'); // overlay must be PNG for transparency
+const JPEG = require('jpeg-js'); // input will be JPG
+const storage = require('./storage');
+
+// hue ranges (degrees) and minimum saturation for each pen colour
+// the IOF purple/magenta of the printed course (hue around 300-335) is never included,
+// and green needs to be more saturated than the vegetation screens on the map
+const PEN_COLOURS = {
+  red: { hues: [[0, 20], [345, 360]], minSaturation: 0.45 },
+  blue: { hues: [[210, 250]], minSaturation: 0.45 },
+  green: { hues: [[100, 160]], minSaturation: 0.6 },
+};
+const MIN_BRIGHTNESS = 0.25; // darker pixels are black map features whatever their hue
+const MIN_NEIGHBOURS = 2; // matching pixels with fewer matching neighbours are noise
+const MIN_ROUTE_PIXELS = 200; // don't produce an overlay if there's hardly anything there
+
+const isPenColour = (r, g, b, { hues, minSaturation }) => {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  if (max / 255 < MIN_BRIGHTNESS || max === 0 || (max - min) / max < minSaturation) return false;
+  const delta = max - min;
+  let hue;
+  if (max === r) {
+    hue = 60 * (((g - b) / delta) % 6);
+  } else if (max === g) {
+    hue = 60 * ((b - r) / delta + 2);
+  } else {
+    hue = 60 * ((r - g) / delta + 4);
+  }
+  if (hue < 0) hue += 360;
+  return hues.some(([from, to]) => hue >= from && hue <= to);
+};
+
+// returns a Promise resolving to an overlay (new PNG object) or null if unsuccessful
+// penColour is one of the keys of PEN_COLOURS
+const extractRouteByColour = (routeFilename, penColour) => {
+  const colour = PEN_COLOURS[penColour];
+  if (!colour) return Promise.resolve(null);
+  return storage.readFile(routeFilename).then((routeFile) => {
+    const routeImg = JPEG.decode(routeFile);
+    const { width, height, data } = routeImg;
+    const matches = new Uint8Array(width * height);
+    for (let i = 0; i < matches.length; i += 1) {
+      if (isPenColour(data[i * 4], data[i * 4 + 1], data[i * 4 + 2], colour)) matches[i] = 1;
+    }
+    const overlay = new PNG({ width, height });
+    const overlayData = overlay.data;
+    let routePixels = 0;
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const index = y * width + x;
+        const position = index * 4;
+        let neighbours = 0;
+        if (matches[index]) {
+          for (let dy = -1; dy <= 1; dy += 1) {
+            for (let dx = -1; dx <= 1; dx += 1) {
+              const neighbourX = x + dx;
+              const neighbourY = y + dy;
+              if ((dx !== 0 || dy !== 0) && neighbourX >= 0 && neighbourY >= 0
+                && neighbourX < width && neighbourY < height) {
+                neighbours += matches[neighbourY * width + neighbourX];
+              }
+            }
+          }
+        }
+        if (matches[index] && neighbours >= MIN_NEIGHBOURS) {
+          overlayData[position] = data[position];
+          overlayData[position + 1] = data[position + 1];
+          overlayData[position + 2] = data[position + 2];
+          overlayData[position + 3] = 255;
+          routePixels += 1;
+        } else {
+          overlayData[position + 3] = 0; // transparent, doesn't matter what RGB are
+        }
+      }
+    }
+    return (routePixels < MIN_ROUTE_PIXELS) ? null : overlay;
+  }).catch(() => null);
+};
+
+module.exports = {
+  PEN_COLOURS,
+  extractRouteByColour,
+};
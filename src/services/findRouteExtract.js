@@ -0,0 +1,143 @@
+// choose the part of a map to show as its extract (e.g. in the list of events): the area
+// of the extract's size that contains the most route, found from the overlay (the route
+// drawn on the map) or the GPS track if the map is georeferenced, rather than the middle
+// of the image, which is often a blank margin or the legend
+const { toLocal } = require('./calibrateMap');
+
+const CELL_SIZE = 10; // pixels, route is counted in a grid of cells of this size
+
+// count of route pixels in each cell of a grid covering an image of width x height
+const createGrid = (width, height) => {
+  const columns = Math.ceil(width / CELL_SIZE);
+  const rows = Math.ceil(height / CELL_SIZE);
+  return {
+    width,
+    height,
+    columns,
+    rows,
+    counts: new Float64Array(columns * rows),
+  };
+};
+
+const addPoint = (grid, x, y) => {
+  if (x < 0 || y < 0 || x >= grid.width || y >= grid.height) return;
+  const column = Math.floor(x / CELL_SIZE);
+  const row = Math.floor(y / CELL_SIZE);
+  grid.counts[row * grid.columns + column] += 1; // eslint-disable-line no-param-reassign
+};
+
+// route pixels are those that aren't transparent in the overlay
+// overlay is { width, height, data } with RGBA data, as from pngjs
+const getOverlayGrid = ({ width, height, data }) => {
+  const grid = createGrid(width, height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (data[(y * width + x) * 4 + 3] > 0) addPoint(grid, x, y);
+    }
+  }
+  return grid;
+};
+
+// pixel position on an image of width x height of each [lat, long] in track, where the
+// corners of the image are imageCorners { nw, ne, sw, se } each { lat, long }
+// (treating the image as a parallelogram from its nw, ne and sw corners, as in a world file)
+const projectTrack = (track, imageCorners, width, height) => {
+  const { nw, ne, sw } = imageCorners;
+  const origin = [nw.lat, nw.long];
+  const [ax, ay] = toLocal(origin, [ne.lat, ne.long]); // along the top of the image
+  const [bx, by] = toLocal(origin, [sw.lat, sw.long]); // down the left side
+  const determinant = ax * by - ay * bx;
+  if (determinant === 0) return [];
+  return track.map((point) => {
+    const [x, y] = toLocal(origin, point);
+    const u = (x * by - y * bx) / determinant;
+    const v = (ax * y - ay * x) / determinant;
+    return [u * width, v * height];
+  });
+};
+
+// the track is drawn as a line so that it counts by length rather than by number of points
+const getTrackGrid = (track, imageCorners, width, height) => {
+  const grid = createGrid(width, height);
+  const pixels = projectTrack(track, imageCorners, width, height);
+  pixels.forEach(([x, y], index) => {
+    if (index === 0) return;
+    const [previousX, previousY] = pixels[index - 1];
+    const steps = Math.ceil(Math.hypot(x - previousX, y - previousY));
+    for (let step = 1; step <= steps; step += 1) {
+      addPoint(grid, previousX + (x - previousX) * step / steps,
+        previousY + (y - previousY) * step / steps);
+    }
+  });
+  return grid;
+};
+
+// the area of areaWidth x areaHeight pixels containing the most route, as { left, top, width,
+// height } in pixels, or null if there is no route on the image
+const findDensestArea = (grid, areaWidth, areaHeight) => {
+  const width = Math.min(areaWidth, grid.width);
+  const height = Math.min(areaHeight, grid.height);
+  const { columns, rows, counts } = grid;
+  // summed area table, so that the route in any block of cells can be found at once
+  const sums = new Float64Array((columns + 1) * (rows + 1));
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      sums[(row + 1) * (columns + 1) + column + 1] = counts[row * columns + column]
+        + sums[row * (columns + 1) + column + 1]
+        + sums[(row + 1) * (columns + 1) + column]
+        - sums[row * (columns + 1) + column];
+    }
+  }
+  const blockColumns = Math.min(columns, Math.max(1, Math.floor(width / CELL_SIZE)));
+  const blockRows = Math.min(rows, Math.max(1, Math.floor(height / CELL_SIZE)));
+  let best = { total: 0 };
+  for (let row = 0; row + blockRows <= rows; row += 1) {
+    for (let column = 0; column + blockColumns <= columns; column += 1) {
+      const total = sums[(row + blockRows) * (columns + 1) + column + blockColumns]
+        - sums[row * (columns + 1) + column + blockColumns]
+        - sums[(row + blockRows) * (columns + 1) + column]
+        + sums[row * (columns + 1) + column];
+      if (total > best.total) best = { total, row, column };
+    }
+  }
+  if (best.total === 0) return null;
+  // centre the area on the block found, keeping it within the image
+  const centreX = (best.column + blockColumns / 2) * CELL_SIZE;
+  const centreY = (best.row + blockRows / 2) * CELL_SIZE;
+  const left = Math.round(Math.min(Math.max(centreX - width / 2, 0), grid.width - width));
+  const top = Math.round(Math.min(Math.max(centreY - height / 2, 0), grid.height - height));
+  return {
+    left,
+    top,
+    width,
+    height,
+  };
+};
+
+// an area chosen by the runner (extractArea in the oevent model) if it is complete, else null
+const getChosenExtractArea = (map) => {
+  const { extractArea } = map || {};
+  if (!extractArea) return null;
+  const {
+    left,
+    top,
+    width,
+    height,
+  } = extractArea;
+  const isValid = [left, top, width, height].every(value => typeof value === 'number')
+    && left >= 0 && top >= 0 && width >= 1 && height >= 1;
+  return (isValid) ? {
+    left,
+    top,
+    width,
+    height,
+  } : null;
+};
+
+module.exports = {
+  findDensestArea,
+  getChosenExtractArea,
+  getOverlayGrid,
+  getTrackGrid,
+  projectTrack,
+};
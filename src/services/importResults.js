@@ -0,0 +1,121 @@
+// apply results from a results file (see parseResultsFile) to the runners at an event:
+// runners are matched to results by registration number or, failing that, by name, and
+// their results stored in the same way as for ORIS events (see orisAddEventRunner), along
+// with their split times (see splitTimes.js)
+const { normaliseSplitTimes } = require('./splitTimes');
+
+// short forms of IOF result statuses, shown in place of the time
+const STATUS_ABBREVIATIONS = {
+  MissingPunch: 'MP',
+  DidNotFinish: 'DNF',
+  Disqualified: 'DSQ',
+  OverTime: 'OT',
+  NotCompeting: 'NC',
+  SportingWithdrawal: 'SW',
+};
+
+// mm:ss as used by ORIS, with minutes over 59 rather than hours
+const formatTime = (seconds) => {
+  const wholeSeconds = Math.round(seconds);
+  const remainder = wholeSeconds % 60;
+  return `${Math.floor(wholeSeconds / 60)}:${(remainder < 10) ? '0' : ''}${remainder}`;
+};
+
+// words of a name in lower case without accents, in alphabetical order so that
+// 'Novák Jan' matches 'Jan Novak'
+const normaliseName = (name) => {
+  return (name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .split(/[\s,]+/)
+    .filter(word => word)
+    .sort()
+    .join(' ');
+};
+
+// the result for a runner (as populated by dbGetEventById) as { eachClass, result,
+// matchedBy }, or null, preferring the runner's own course if the name appears more than once
+const findRunnerResult = (classes, runner) => {
+  const { regNumber, fullName, displayName } = runner.user;
+  const entries = [].concat(...classes.map(eachClass => eachClass.results
+    .map(result => ({ eachClass, result }))));
+  const regNumberMatch = (regNumber) && entries.find(({ result }) => {
+    return result.regNumber && result.regNumber.toUpperCase() === regNumber.toUpperCase();
+  });
+  if (regNumberMatch) return { ...regNumberMatch, matchedBy: 'regNumber' };
+  const names = [fullName, displayName].map(normaliseName).filter(name => name);
+  const nameMatches = entries.filter(({ result }) => names.includes(normaliseName(result.name)));
+  if (nameMatches.length === 0) return null;
+  const sameCourse = nameMatches.find(({ eachClass }) => eachClass.name === runner.courseTitle);
+  return { ...(sameCourse || nameMatches[0]), matchedBy: 'name' };
+};
+
+// the results of a class as stored in fullResults
+const getFullResults = (eachClass) => {
+  const winner = eachClass.results.find(result => result.place === 1);
+  return eachClass.results.map((result, index) => {
+    const isOK = result.status === 'OK' && result.time !== null;
+    return {
+      place: (result.place) ? String(result.place) : '',
+      sort: String(index + 1),
+      name: result.name,
+      regNumber: result.regNumber,
+      clubShort: (result.regNumber) ? result.regNumber.slice(0, 3) : '',
+      club: result.club,
+      time: (isOK) ? formatTime(result.time) : (STATUS_ABBREVIATIONS[result.status] || ''),
+      loss: (isOK && winner && winner.time !== null) ? formatTime(result.time - winner.time) : '',
+    };
+  });
+};
+
+// split times of a result including the finish, or null if they are incomplete
+const getResultSplitTimes = (result) => {
+  if (result.status !== 'OK' || result.time === null || result.splitTimes.length === 0) {
+    return null;
+  }
+  return normaliseSplitTimes([
+    ...result.splitTimes,
+    { controlCode: 'F', cumulativeTime: result.time },
+  ]);
+};
+
+// fields to update for each runner, as [{ runner, fields, matchedBy }]: runners with a
+// result get their course, result and split times (unless they have entered their own split
+// times), while other runners on a course in the results just get the course's full results
+// runners for whom canUpdateRunner(runner) is false (i.e. not the requestor, for non-admin
+// users) are treated as having no result, so only their course's full results change
+const getRunnerUpdates = (classes, runners, canUpdateRunner = () => true) => {
+  return runners.map((runner) => {
+    const match = (canUpdateRunner(runner)) ? findRunnerResult(classes, runner) : null;
+    if (!match) {
+      const runnerClass = classes.find(eachClass => eachClass.name === runner.courseTitle);
+      if (!runnerClass) return null;
+      return { runner, fields: { fullResults: getFullResults(runnerClass) }, matchedBy: null };
+    }
+    const { eachClass, result, matchedBy } = match;
+    const fullResults = getFullResults(eachClass);
+    const ownResult = fullResults[eachClass.results.indexOf(result)];
+    const fields = {
+      courseTitle: eachClass.name,
+      fullResults,
+      time: ownResult.time,
+      place: ownResult.place,
+      timeBehind: ownResult.loss,
+      fieldSize: String(eachClass.results.length),
+    };
+    if (eachClass.length !== null) fields.courseLength = String(eachClass.length);
+    if (eachClass.climb !== null) fields.courseClimb = String(eachClass.climb);
+    if (eachClass.controls !== null) fields.courseControls = String(eachClass.controls);
+    const splitTimes = getResultSplitTimes(result);
+    if (splitTimes && runner.splitTimesSource !== 'manual') {
+      fields.splitTimes = splitTimes;
+      fields.splitTimesSource = 'import';
+    }
+    return { runner, fields, matchedBy };
+  }).filter(update => update);
+};
+
+module.exports = {
+  STATUS_ABBREVIATIONS,
+  formatTime,
+  getRunnerUpdates,
+  normaliseName,
+};
@@ -0,0 +1,144 @@
+// Persistent job queue: jobs are stored in the database and each one is run in its own
+// child process (see jobWorker.js), so that image processing does not block requests
+const { fork } = require('child_process');
+const path = require('path');
+
+const logger = require('./logger');
+const {
+  dbCreateJob,
+  dbClaimNextJob,
+  dbUpdateJobProgress,
+  dbCompleteJob,
+  dbFailJob,
+  dbRequeueStaleJobs,
+} = require('./jobServices');
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 1; // simultaneous workers
+const POLL_INTERVAL = 5 * 1000; // milliseconds
+const JOB_TIMEOUT = 10 * 60 * 1000; // milliseconds, worker is stopped if exceeded
+// milliseconds, a job still running after this has been abandoned by a server that stopped
+// (any server still running would have stopped it and recorded the failure by then)
+const STALE_JOB_AGE = JOB_TIMEOUT + 60 * 1000;
+
+// functions (job, result) => Promise to record the result of each job type, run in the
+// main process once the worker has finished (optionally resolving to a summary to store
+// in place of the full result). They must be safe to run again if the job is retried.
+const completionHandlers = {};
+const onJobCompleted = (type, handler) => {
+  completionHandlers[type] = handler;
+};
+
+let runningJobs = 0;
+let isPolling = false;
+let isStarted = false;
+let pollTimer = null;
+
+// run the job in a child process, resolving to { result } or { error }
+// (advanced serialization keeps dates and buffers in payloads and results as they are)
+const runWorker = (job) => {
+  return new Promise((resolve) => {
+    let outcome = null;
+    const worker = fork(path.join(__dirname, 'jobWorker.js'), [], { serialization: 'advanced' });
+    const timeout = setTimeout(() => {
+      outcome = { error: 'Job timed out.' };
+      worker.kill();
+    }, JOB_TIMEOUT);
+    worker.on('message', (message) => {
+      if (message.error || message.done) {
+        outcome = outcome || message;
+      } else {
+        dbUpdateJobProgress(job._id, message.progress, message.progressMessage)
+          .catch((err) => {
+            logger('error')(`Error recording progress of job ${job._id}: ${err.message}`);
+          });
+      }
+    });
+    worker.on('error', (err) => {
+      outcome = outcome || { error: err.message };
+    });
+    // once any messages still on their way have arrived, unlike exit
+    worker.on('close', (exitCode) => {
+      clearTimeout(timeout);
+      resolve(outcome || { error: `Worker stopped with exit code ${exitCode}.` });
+    });
+    worker.send({ type: job.type, payload: job.payload });
+  });
+};
+
+const processJob = (job) => {
+  logger('info')(`Starting ${job.type} job ${job._id} (attempt ${job.attempts}).`);
+  return runWorker(job).then(({ result, error }) => {
+    if (error) throw new Error(error);
+    const handler = completionHandlers[job.type];
+    if (!handler) return result;
+    return handler(job, result).then(summary => ((summary === undefined) ? result : summary));
+  }).then((resultToStore) => {
+    logger('success')(`Completed ${job.type} job ${job._id}.`);
+    return dbCompleteJob(job._id, resultToStore);
+  }).catch((err) => {
+    logger('error')(`Error in ${job.type} job ${job._id}: ${err.message}`);
+    return dbFailJob(job, err.message).catch((failErr) => {
+      logger('error')(`Error recording failure of job ${job._id}: ${failErr.message}`);
+    });
+  });
+};
+
+// run jobs abandoned by any server again, whether this one before it restarted or another
+// sharing the database (which may stop at any time, so this is checked on every poll)
+const requeueStaleJobs = () => {
+  return dbRequeueStaleJobs(new Date(Date.now() - STALE_JOB_AGE)).then(({ nModified }) => {
+    if (nModified > 0) logger('warning')(`Requeued ${nModified} interrupted jobs.`);
+  });
+};
+
+// start as many queued jobs as there are free workers
+const pollJobs = () => {
+  if (isPolling || !isStarted) return;
+  isPolling = true;
+  clearTimeout(pollTimer);
+  const claimNext = () => {
+    if (runningJobs >= CONCURRENCY) return Promise.resolve();
+    return dbClaimNextJob().then((job) => {
+      if (!job) return null;
+      runningJobs += 1;
+      processJob(job).then(() => {
+        runningJobs -= 1;
+        pollJobs();
+      });
+      return claimNext();
+    });
+  };
+  requeueStaleJobs().then(claimNext).catch((err) => {
+    logger('error')('Error checking job queue:', err.message);
+  }).then(() => {
+    isPolling = false;
+    pollTimer = setTimeout(pollJobs, POLL_INTERVAL);
+    pollTimer.unref(); // don't keep the process alive just to poll
+  });
+};
+
+// called once on server start-up, after connecting to the database
+const startJobQueue = () => {
+  if (isStarted) return Promise.resolve();
+  isStarted = true;
+  logger('success')(`Job queue started with ${CONCURRENCY} worker(s).`);
+  pollJobs();
+  return Promise.resolve();
+};
+
+// add a job to the queue, resolving to the new job record
+// fields: { type, payload, createdBy?, event?, eventRunner?, maxAttempts? }
+const enqueueJob = (fields) => {
+  return dbCreateJob(fields).then((newJob) => {
+    logger('info')(`Queued ${newJob.type} job ${newJob._id}.`);
+    pollJobs();
+    return newJob;
+  });
+};
+
+module.exports = {
+  enqueueJob,
+  onJobCompleted,
+  runWorker,
+  startJobQueue,
+};
@@ -0,0 +1,93 @@
+// Functions concerned with background jobs (job model)
+
+const Job = require('../models/job');
+
+const RETRY_DELAY = 30 * 1000; // milliseconds, doubled after each failed attempt
+
+// add a new job to the queue
+const dbCreateJob = (fieldsToCreate) => {
+  const newJob = new Job(fieldsToCreate);
+  return newJob.save();
+};
+
+// get a specific job record
+const dbGetJobById = (id) => {
+  return Job.findById(id)
+    .lean()
+    .populate('createdBy', '_id displayName')
+    .select('-__v');
+};
+
+// atomically claim the next job that is due to run, so that it is only run once
+const dbClaimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { status: 'queued', runAfter: { $lte: now } },
+    {
+      $set: {
+        status: 'running',
+        startedAt: now,
+        progress: 0,
+        progressMessage: '',
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { runAfter: 1 } },
+  ).lean();
+};
+
+const dbUpdateJobProgress = (id, progress, progressMessage = '') => {
+  return Job.updateOne({ _id: id, status: 'running' }, { $set: { progress, progressMessage } });
+};
+
+const dbCompleteJob = (id, result) => {
+  return Job.findByIdAndUpdate(id, {
+    $set: {
+      status: 'completed',
+      result,
+      progress: 100,
+      error: '',
+      finishedAt: new Date(),
+    },
+  }, { new: true }).lean();
+};
+
+// requeue the job with a delay if it has attempts left, otherwise mark it as failed
+const dbFailJob = (job, errorMessage) => {
+  if (job.attempts < job.maxAttempts) {
+    const delay = RETRY_DELAY * (2 ** (job.attempts - 1));
+    return Job.findByIdAndUpdate(job._id, {
+      $set: {
+        status: 'queued',
+        error: errorMessage,
+        runAfter: new Date(Date.now() + delay),
+      },
+    }, { new: true }).lean();
+  }
+  return Job.findByIdAndUpdate(job._id, {
+    $set: {
+      status: 'failed',
+      error: errorMessage,
+      finishedAt: new Date(),
+    },
+  }, { new: true }).lean();
+};
+
+// jobs left running when a server stopped will never finish, so run them again, but only
+// those started before startedBefore: others may still be running on another server
+const dbRequeueStaleJobs = (startedBefore) => {
+  return Job.updateMany(
+    { status: 'running', startedAt: { $lt: startedBefore } },
+    { $set: { status: 'queued', runAfter: new Date() } },
+  );
+};
+
+module.exports = {
+  dbCreateJob,
+  dbGetJobById,
+  dbClaimNextJob,
+  dbUpdateJobProgress,
+  dbCompleteJob,
+  dbFailJob,
+  dbRequeueStaleJobs,
+};
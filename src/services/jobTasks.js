@@ -0,0 +1,204 @@
+// Tasks that can be run as background jobs, each (payload, reportProgress) => Promise(result)
+// These run in a child process (see jobWorker.js) so must not use the database:
+// anything to be recorded is returned as the result and applied in the main process
+const { PNG } = require('pngjs');
+const { getQRData, calculateTrackDistance } = require('./parseQR');
+const {
+  DEFAULT_COLOUR_WEIGHTS,
+  DEFAULT_OVERLAY_THRESHOLD,
+  createRouteOverlay,
+} = require('./createRouteOverlay');
+const { extractRouteByColour } = require('./extractRouteByColour');
+const {
+  EXTRACT_WIDTH,
+  EXTRACT_HEIGHT,
+  createThumbnail,
+  createExtract,
+} = require('./createThumbnailAndExtract');
+const { findDensestArea, getOverlayGrid, getTrackGrid } = require('./findRouteExtract');
+const { createTilePyramid, deleteTilePyramid } = require('./createTilePyramid');
+const { createTrackImage: createTrackImageFile } = require('./createTrackImage');
+const storage = require('./storage');
+
+const writeOverlay = (overlay, overlayFilename) => {
+  const chunks = [];
+  return new Promise((resolve, reject) => {
+    overlay
+      .pack()
+      .on('data', chunk => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .on('error', reject);
+  }).then(overlayBuffer => storage.writeFile(overlayFilename, overlayBuffer));
+};
+
+// fill in defaults for any overlay settings that haven't been chosen for the map
+const getOverlaySettings = ({ threshold, colourWeights } = {}) => ({
+  threshold: (typeof threshold === 'number') ? threshold : DEFAULT_OVERLAY_THRESHOLD,
+  colourWeights: { ...DEFAULT_COLOUR_WEIGHTS, ...colourWeights },
+});
+
+// try to create an overlay from the course and route images of a map or, if there is
+// only a route image, by picking out the route drawn in the runner's pen colour
+// resolves to the overlay filename or null if not possible (files missing, different maps, etc.)
+const createOverlayFile = (fileLocation, routeColour, overlaySettings) => {
+  const filenameBase = fileLocation.slice(0, fileLocation.lastIndexOf('-'));
+  const routeFilename = filenameBase.concat('-route.jpg');
+  const courseFilename = filenameBase.concat('-course.jpg');
+  const overlayFilename = filenameBase.concat('-overlay.png');
+  const { threshold, colourWeights } = getOverlaySettings(overlaySettings);
+  return storage.fileExists(courseFilename).then((hasCourse) => {
+    if (hasCourse) {
+      return createRouteOverlay(routeFilename, courseFilename, threshold, colourWeights);
+    }
+    return extractRouteByColour(routeFilename, routeColour);
+  }).then((newOverlay) => {
+    if (!newOverlay) return null;
+    return writeOverlay(newOverlay, overlayFilename);
+  });
+};
+
+// extract georeferencing and GPS track if the image was exported from QuickRoute
+const getQRGeo = (fileLocation) => {
+  return storage.readFile(fileLocation).then((data) => {
+    const qRData = getQRData(data);
+    if (!qRData.isGeocoded) return { isGeocoded: false };
+    let track = [];
+    let trackDetails = [];
+    let laps = [];
+    if (qRData.sessions) { // assume first session for now, joining up all of its segments
+      const { route = [], laps: sessionLaps } = qRData.sessions.sessionData[0];
+      track = [].concat(...route.map(segment => segment.waypoints));
+      trackDetails = [].concat(...route.map(segment => segment.waypointDetails));
+      laps = sessionLaps || [];
+    }
+    return {
+      isGeocoded: true,
+      geo: {
+        mapCentre: qRData.mapCentre,
+        mapCorners: qRData.mapCorners,
+        imageCorners: qRData.imageCorners,
+        locationSizePixels: qRData.locationSizePixels,
+        track,
+        trackDetails,
+        laps,
+        distanceRun: Math.floor(calculateTrackDistance(track)) / 1000,
+      },
+    };
+  });
+};
+
+// create the extracts of both the course and route images of a map (whichever exist) from
+// the same area, which is the one chosen by the runner (extractArea) if there is one,
+// otherwise where there is most route according to the overlay or, failing that, the
+// QuickRoute track (geo), otherwise the middle of the image
+// resolves to { extract, area } for the image at fileLocation
+const createExtractFiles = (fileLocation, { extractArea, geo } = {}) => {
+  const filenameBase = fileLocation.slice(0, fileLocation.lastIndexOf('-'));
+  const overlayFilename = filenameBase.concat('-overlay.png');
+  const otherFilename = (fileLocation.endsWith('-course.jpg'))
+    ? filenameBase.concat('-route.jpg')
+    : filenameBase.concat('-course.jpg');
+  const chooseArea = ({ width, height }) => {
+    if (extractArea) return Promise.resolve(extractArea);
+    return storage.fileExists(overlayFilename).then((hasOverlay) => {
+      if (hasOverlay) {
+        return storage.readFile(overlayFilename).then(png => getOverlayGrid(PNG.sync.read(png)));
+      }
+      if (geo && geo.imageCorners && geo.track && geo.track.length > 1) {
+        return getTrackGrid(geo.track, geo.imageCorners, width, height);
+      }
+      return null;
+    }).then(grid => ((grid) ? findDensestArea(grid, EXTRACT_WIDTH, EXTRACT_HEIGHT) : null));
+  };
+  return createExtract(fileLocation, chooseArea).then((created) => {
+    return storage.fileExists(otherFilename).then((hasOther) => {
+      if (!hasOther) return created;
+      return createExtract(otherFilename, () => Promise.resolve(created.area))
+        .then(() => created);
+    });
+  });
+};
+
+// everything that needs to be done after a course or route image is uploaded
+// payload: { fileLocation, routeColour, overlaySettings, extractArea, trackImageSettings }
+// (routeColour is the runner's pen colour setting, the others those stored for the map)
+const processMap = ({
+  fileLocation,
+  routeColour,
+  overlaySettings,
+  extractArea,
+  trackImageSettings,
+}, reportProgress) => {
+  reportProgress(0, 'Creating thumbnail');
+  return createThumbnail(fileLocation).then((thumbnail) => {
+    reportProgress(20, 'Creating tiles');
+    // tiles can't be written over those of an image that has been replaced or restored
+    return deleteTilePyramid(fileLocation).then(() => {
+      return createTilePyramid(fileLocation);
+    }).then(({ descriptor }) => {
+      reportProgress(40, 'Creating overlay');
+      return createOverlayFile(fileLocation, routeColour, overlaySettings).then((overlay) => {
+        reportProgress(65, 'Reading QuickRoute data');
+        return getQRGeo(fileLocation).then((qRGeo) => {
+          reportProgress(75, 'Drawing GPS track');
+          const { colourBy } = trackImageSettings || {};
+          const createTrack = (qRGeo.isGeocoded)
+            ? createTrackImageFile(fileLocation, colourBy)
+            : Promise.resolve(null);
+          return createTrack.then((track) => {
+            // the extract is made last so that it can show the route
+            reportProgress(85, 'Creating extract');
+            return createExtractFiles(fileLocation, { extractArea, geo: qRGeo.geo })
+              .then(({ extract, area }) => ({
+                thumbnail,
+                extract,
+                extractArea: area,
+                tiles: descriptor,
+                overlay,
+                overlaySettings: getOverlaySettings(overlaySettings),
+                trackImage: (track) ? track.trackImage : null,
+                trackImageSettings: (track) ? track.trackImageSettings : null,
+                ...qRGeo,
+              }));
+          });
+        });
+      });
+    });
+  });
+};
+
+// create the extracts of a map again, e.g. after the runner has chosen a different area
+// payload: { fileLocation, extractArea } (null extractArea to choose one automatically)
+const createExtracts = ({ fileLocation, extractArea }, reportProgress) => {
+  reportProgress(0, 'Creating extract');
+  return createExtractFiles(fileLocation, { extractArea })
+    .then(({ extract, area }) => ({ extract, extractArea: area }));
+};
+
+// create the overlay again, e.g. with different settings or an improved method
+// payload: { fileLocation, routeColour, overlaySettings } as for processMap
+const createOverlay = ({ fileLocation, routeColour, overlaySettings }, reportProgress) => {
+  reportProgress(0, 'Creating overlay');
+  return createOverlayFile(fileLocation, routeColour, overlaySettings).then(overlay => ({
+    overlay,
+    overlaySettings: getOverlaySettings(overlaySettings),
+  }));
+};
+
+// draw the GPS track on the map again, e.g. coloured by heart rate instead of pace
+// payload: { fileLocation, trackImageSettings: { colourBy } }
+const createTrackImage = ({ fileLocation, trackImageSettings }, reportProgress) => {
+  reportProgress(0, 'Drawing GPS track');
+  const { colourBy } = trackImageSettings || {};
+  return createTrackImageFile(fileLocation, colourBy).then((track) => {
+    if (!track) throw new Error('The map has no QuickRoute track to draw.');
+    return track;
+  });
+};
+
+module.exports = {
+  createExtracts,
+  createOverlay,
+  createTrackImage,
+  processMap,
+};
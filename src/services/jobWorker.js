@@ -0,0 +1,20 @@
+// Entry point for the child processes started by the job queue: receives { type, payload },
+// runs that task and reports back to the main process with { progress, progressMessage },
+// then { done: true, result } (result may be undefined) or { error }
+// (a process rather than a worker thread, as the version of sharp used can only be loaded
+// once in each process and the main process loads it too)
+const jobTasks = require('./jobTasks');
+
+// resolves once the message has been passed to the main process
+const sendMessage = message => new Promise(resolve => process.send(message, resolve));
+
+process.once('message', ({ type, payload }) => {
+  const reportProgress = (progress, progressMessage = '') => {
+    process.send({ progress, progressMessage });
+  };
+  Promise.resolve().then(() => {
+    if (!jobTasks[type]) throw new Error(`Unknown job type ${type}.`);
+    return jobTasks[type](payload, reportProgress);
+  }).then(result => sendMessage({ done: true, result }), err => sendMessage({ error: err.message }))
+    .then(() => process.exit(0));
+});
@@ -0,0 +1,61 @@
+// every course or route image uploaded is kept so that it can be restored later
+// for images/maps/eventid/name.jpg the versions are copied to images/versions/eventid/
+// as name-timestamp.jpg, outside images/maps so that they are not served as map images
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+
+const storage = require('./storage');
+
+const getVersionLocation = (fileLocation, timestamp) => {
+  const [, , eventid, filename] = fileLocation.split('/');
+  return path.join('images', 'versions', eventid, `${filename.slice(0, -4)}-${timestamp}.jpg`);
+};
+
+// where a version should be restored to (i.e. reverses getVersionLocation)
+const getCurrentLocation = (versionLocation) => {
+  const [, , eventid, filename] = versionLocation.split('/');
+  return path.join('images', 'maps', eventid, filename.replace(/-\d+\.jpg$/, '.jpg'));
+};
+
+// whether a version record's file is one of the specified runner's versions at the event
+// (records can't be edited through the API, but are never trusted to name other files)
+const isVersionLocation = (versionLocation, eventid, userid) => {
+  if (typeof versionLocation !== 'string') return false;
+  const [images, versions, versionEventid, filename, ...rest] = versionLocation.split('/');
+  return images === 'images' && versions === 'versions' && versionEventid === eventid
+    && rest.length === 0 && filename.startsWith(`${userid}-`) && !filename.includes('..');
+};
+
+// copy the current image to a new version, resolving to the version record for the map
+// (see versions in oevent model), details is { maptype, version, uploadedBy?, uploadedAt? }
+const createMapVersion = (fileLocation, details) => {
+  const uploadedAt = details.uploadedAt || new Date();
+  const versionLocation = getVersionLocation(fileLocation, uploadedAt.getTime());
+  return storage.readFile(fileLocation).then((image) => {
+    return Promise.all([
+      storage.writeFile(versionLocation, image),
+      crypto.createHash('sha256').update(image).digest('hex'),
+      sharp(image).metadata(),
+    ]);
+  }).then(([file, hash, { width, height }]) => ({
+    ...details,
+    uploadedAt,
+    file,
+    hash,
+    width,
+    height,
+  }));
+};
+
+// replace the current image with the specified version record's copy
+const restoreMapVersion = (versionRecord) => {
+  return storage.copyFile(versionRecord.file, getCurrentLocation(versionRecord.file));
+};
+
+module.exports = {
+  createMapVersion,
+  getCurrentLocation,
+  isVersionLocation,
+  restoreMapVersion,
+};
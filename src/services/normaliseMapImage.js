@@ -0,0 +1,84 @@
+// optional clean-up of an uploaded map before it is stored (see Images.normaliseMapImage):
+// turn photos upright using their EXIF orientation, straighten a sheet that was scanned at
+// a slight angle and crop away the scanner lid or table around it
+// the image is decoded once and kept as raw pixels until the end to avoid repeated JPEG losses
+const sharp = require('sharp');
+const {
+  estimateBackground,
+  detectSkew,
+  detectBorder,
+} = require('./detectScanBorder');
+
+const ANALYSIS_SIZE = 1000; // pixels, images are reduced to fit within this for analysis
+const JPEG_QUALITY = 90;
+
+const toRaw = pipeline => pipeline.raw().toBuffer({ resolveWithObject: true });
+const rawInput = ({ width, height, channels }) => ({ raw: { width, height, channels } });
+
+// reduced greyscale copy as used by detectScanBorder, with the scale to convert back
+const getAnalysisImage = ({ data, info }) => {
+  return toRaw(sharp(data, rawInput(info))
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .greyscale())
+    .then(({ data: reduced, info: { width, height, channels } }) => {
+      const grey = new Uint8Array(width * height);
+      for (let i = 0; i < grey.length; i += 1) grey[i] = reduced[i * channels];
+      return { image: { width, height, data: grey }, scale: info.width / width };
+    });
+};
+
+// area found in the reduced image, in the full size image of width x height pixels
+const scaleCrop = (border, scale, { width, height }) => {
+  const left = Math.floor(border.left * scale);
+  const top = Math.floor(border.top * scale);
+  return {
+    left,
+    top,
+    width: Math.min(Math.ceil(border.width * scale), width - left),
+    height: Math.min(Math.ceil(border.height * scale), height - top),
+  };
+};
+
+// resolves to { image, normalisation } where image is the normalised JPEG (Buffer), or null if
+// nothing needed to be changed, and normalisation is { orientation, rotation, crop, width,
+// height }: the EXIF orientation applied (1 is upright already), degrees rotated clockwise
+// to straighten it, the area kept { left, top, width, height } (null if not cropped) and the
+// size of the result in pixels
+const normaliseMapImage = (fileLocation) => {
+  return sharp(fileLocation).metadata().then(({ orientation = 1 }) => {
+    return toRaw(sharp(fileLocation).rotate()).then((oriented) => {
+      return getAnalysisImage(oriented).then(({ image }) => {
+        const background = estimateBackground(image);
+        const skew = detectSkew(image, background);
+        if (skew === 0) return { straightened: oriented, background, rotation: 0 };
+        // fill the corners with the background so that they are cropped with it
+        const { value } = background;
+        return toRaw(sharp(oriented.data, rawInput(oriented.info))
+          .rotate(-skew, { background: { r: value, g: value, b: value } }))
+          .then(straightened => ({ straightened, background, rotation: -skew }));
+      });
+    }).then(({ straightened, background, rotation }) => {
+      return getAnalysisImage(straightened).then(({ image, scale }) => {
+        const border = detectBorder(image, background);
+        const { width, height } = straightened.info;
+        const crop = (border) ? scaleCrop(border, scale, straightened.info) : null;
+        const normalisation = {
+          orientation,
+          rotation: Math.round(rotation * 100) / 100,
+          crop,
+          width: (crop) ? crop.width : width,
+          height: (crop) ? crop.height : height,
+        };
+        if (orientation === 1 && rotation === 0 && !crop) return { image: null, normalisation };
+        const normalised = sharp(straightened.data, rawInput(straightened.info));
+        if (crop) normalised.extract(crop);
+        return normalised.jpeg({ quality: JPEG_QUALITY }).toBuffer()
+          .then(normalisedImage => ({ image: normalisedImage, normalisation }));
+      });
+    });
+  });
+};
+
+module.exports = {
+  normaliseMapImage,
+};
@@ -0,0 +1,109 @@
+// extract course definitions from an IOF XML 3.0 CourseData file, as exported by course
+// setting software such as Purple Pen and OCAD
+// output is { courses: [{ name, length, climb, controls: [{ code, type, legLength,
+// mapPosition: { x, y }, position: { lat, long } }] }] } where lengths and climb are in m,
+// map positions in mm, and positions and leg lengths are left out where not known
+// leg lengths missing from the file are measured between map positions at the map's scale
+const { calculateDistance } = require('./parseQR');
+const {
+  first,
+  getText,
+  parseXML,
+  toNumber,
+} = require('./parseResultsFile');
+
+const CONTROL_TYPES = ['Start', 'Control', 'Finish', 'CrossingPoint', 'EndOfMarkedRoute'];
+
+const getPosition = (element) => {
+  const { lat, lng } = (element && element.$) || {};
+  const position = { lat: toNumber(lat), long: toNumber(lng) };
+  return (position.lat === null || position.long === null) ? undefined : position;
+};
+
+// map positions in other units (e.g. px) can't be compared with the map's scale
+const getMapPosition = (element) => {
+  const { x, y, unit = 'mm' } = (element && element.$) || {};
+  const mapPosition = { x: toNumber(x), y: toNumber(y) };
+  if (unit !== 'mm' || mapPosition.x === null || mapPosition.y === null) return undefined;
+  return mapPosition;
+};
+
+// length in m of the leg between two controls, from map positions or else coordinates
+const measureLeg = (from, to, scale) => {
+  if (scale && from.mapPosition && to.mapPosition) {
+    const mm = Math.hypot(to.mapPosition.x - from.mapPosition.x,
+      to.mapPosition.y - from.mapPosition.y);
+    return Math.round(mm * scale / 1000);
+  }
+  if (from.position && to.position) {
+    const distance = calculateDistance([from.position.lat, from.position.long],
+      [to.position.lat, to.position.long]);
+    return (distance === undefined) ? undefined : Math.round(distance);
+  }
+  return undefined;
+};
+
+const parseCourses = (raceCourseData) => {
+  const scale = toNumber(getText(first((first(raceCourseData.Map) || {}).Scale)));
+  const controls = {};
+  (raceCourseData.Control || []).forEach((control) => {
+    const code = getText(first(control.Id));
+    if (!code) return;
+    controls[code] = {
+      type: (control.$ && control.$.type) || undefined,
+      mapPosition: getMapPosition(first(control.MapPosition)),
+      position: getPosition(first(control.Position)),
+    };
+  });
+  return (raceCourseData.Course || []).map((course) => {
+    const courseControls = (course.CourseControl || []).map((courseControl, index) => {
+      // alternative controls (forking) are listed together, so take the first
+      const code = getText(first(courseControl.Control));
+      const control = controls[code] || {};
+      const listedType = (courseControl.$ && courseControl.$.type) || control.type;
+      return {
+        code,
+        type: (CONTROL_TYPES.includes(listedType)) ? listedType : 'Control',
+        legLength: (index > 0) ? toNumber(getText(first(courseControl.LegLength))) : null,
+        mapPosition: control.mapPosition,
+        position: control.position,
+      };
+    });
+    const withLegLengths = courseControls.map(({ legLength, ...control }, index) => {
+      const measured = (index > 0 && legLength === null)
+        ? measureLeg(courseControls[index - 1], control, scale)
+        : legLength;
+      return (measured === null || measured === undefined)
+        ? control
+        : { ...control, legLength: measured };
+    });
+    const totalLength = withLegLengths
+      .reduce((total, { legLength }) => total + (legLength || 0), 0);
+    const length = toNumber(getText(first(course.Length)));
+    return {
+      name: getText(first(course.Name)),
+      length: (length === null && totalLength > 0) ? totalLength : length,
+      climb: toNumber(getText(first(course.Climb))),
+      controls: withLegLengths,
+    };
+  }).filter(course => course.name);
+};
+
+// returns a Promise resolving to { courses }
+const parseCourseData = (buffer) => {
+  return parseXML(buffer.toString('utf8')).then((xml) => {
+    if (!xml || !xml.CourseData) throw new Error('Not an IOF XML CourseData file.');
+    const { $: attributes = {}, RaceCourseData: raceCourseData = [] } = xml.CourseData;
+    if (!(attributes.iofVersion || '').startsWith('3')) {
+      throw new Error('Only IOF XML version 3.0 course data is supported.');
+    }
+    // files for multi-race events have course data for each race, only one is supported
+    const courses = (raceCourseData.length > 0) ? parseCourses(raceCourseData[0]) : [];
+    if (courses.length === 0) throw new Error('No courses found in file.');
+    return { courses };
+  });
+};
+
+module.exports = {
+  parseCourseData,
+};
@@ -376,16 +376,42 @@ const getQRData = (buffer) => {
             const session = {};
             qR5Section.qR5Section.qR6Sections.forEach((qR6Section) => {
               switch (qR6Section.qR6Tag) {
-                case 7:
+                case 7: {
+                  // attributes flags: 1 position, 2 time, 4 heart rate, 8 altitude
+                  const { attributes } = qR6Section.qR6Section;
+                  /* eslint-disable no-bitwise */
+                  const hasTime = (attributes & 2) === 2;
+                  const hasHeartRate = (attributes & 4) === 4;
+                  const hasAltitude = (attributes & 8) === 8;
+                  /* eslint-enable no-bitwise */
                   session.route = qR6Section.qR6Section.segments.map((segment) => {
+                    let lastTime = null;
                     return {
                       waypointCount: segment.waypoints.length,
                       waypoints: segment.waypoints.map((waypoint) => {
                         return [waypoint.lat, waypoint.long];
                       }),
+                      // [time (ms since epoch), heart rate, altitude] matching waypoints
+                      waypointDetails: segment.waypoints.map((waypoint) => {
+                        let time = null;
+                        if (hasTime && waypoint.time) {
+                          if (waypoint.timeType === 0) {
+                            time = waypoint.time.timestamp.getTime();
+                          } else if (lastTime !== null) { // delta from previous waypoint
+                            time = lastTime + waypoint.time.timeDeltaSeconds * 1000;
+                          }
+                          lastTime = time;
+                        }
+                        return [
+                          time,
+                          (hasHeartRate) ? waypoint.heartRate : null,
+                          (hasAltitude) ? waypoint.altitude : null,
+                        ];
+                      }),
                     };
                   });
                   break;
+                }
                 case 8:
                   session.handles = qR6Section.qR6Section.handles;
                   break;
@@ -455,6 +481,15 @@ const calculateDistance = (a, b) => { // (a, b are lat, long coordinates)
   return d;
 };
 
+// total distance along a track made up of [lat, long] points (metres)
+const calculateTrackDistance = (track) => {
+  let distance = 0;
+  for (let i = 0; i < track.length - 1; i += 1) {
+    distance += calculateDistance(track[i], track[i + 1]) || 0;
+  }
+  return distance;
+};
+
 // projects point (lat, long) relative to origin (lat, long) transformed by matrix
 const projectPoint = (origin, point, matrix) => {
   if (!origin[0] || !origin[1] || !point[0] || !point[1]) return undefined;
@@ -483,5 +518,6 @@ module.exports = {
   quickRouteParser,
   getQRData,
   calculateDistance,
+  calculateTrackDistance,
   projectPoint,
 };
@@ -0,0 +1,294 @@
+// extract results with split times from an uploaded results file: an IOF XML 3.0 ResultList
+// (as exported by MeOS, OE and most other event software) or a CSV export from OE or MeOS
+// (OE format, with Control1, Punch1, ... columns) or SportIdent's SI-Reader (Record 1 CN,
+// Record 1 time, ... columns, as times of day)
+// output is { format, classes: [{ name, length, climb, controls, results: [{ name,
+// regNumber, club, status, time, place, splitTimes: [{ controlCode, cumulativeTime }] }] }] }
+// where length is in km, climb in m, times are in seconds, status is 'OK' or an IOF
+// result status (e.g. 'MissingPunch'), and cumulativeTime is null for a missing punch
+// results are in order of place, followed by those without one
+const xml2js = require('xml2js');
+
+// IOF statuses of runners who didn't take part, so aren't included in the results
+const NOT_STARTED = ['DidNotStart', 'DidNotEnter', 'Inactive', 'Cancelled'];
+// OE classifier column values
+const OE_STATUSES = {
+  0: 'OK',
+  1: 'DidNotStart',
+  2: 'DidNotFinish',
+  3: 'MissingPunch',
+  4: 'Disqualified',
+  5: 'OverTime',
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return (Number.isNaN(number)) ? null : number;
+};
+
+// seconds from a time written as [h:]mm:ss[.s] (or mm:ss with minutes over 59), else null
+const parseTime = (text) => {
+  if (!text) return null;
+  const parts = text.trim().split(':');
+  if (parts.length < 2 || parts.length > 3) return null;
+  const numbers = parts.map(part => ((/^\d+(\.\d+)?$/.test(part)) ? parseFloat(part) : NaN));
+  if (numbers.some(number => Number.isNaN(number))) return null;
+  return numbers.reduce((total, number) => total * 60 + number, 0);
+};
+
+// text content of an xml2js element, which is an object if it has attributes
+const getText = (element) => {
+  if (element === undefined || element === null) return '';
+  if (typeof element === 'object') return (element._ || '').trim();
+  return String(element).trim();
+};
+
+// first element of an xml2js array, or undefined
+const first = array => ((array && array.length > 0) ? array[0] : undefined);
+
+// fill in places from times where the file doesn't have them (equal times share a place),
+// then put the results in order of place
+const completeResults = (results) => {
+  const isPlaced = result => result.status === 'OK' && result.time !== null;
+  const needPlaces = results.some(result => isPlaced(result) && !result.place);
+  const completed = results.map((result) => {
+    if (!needPlaces) return result;
+    const place = (isPlaced(result))
+      ? 1 + results.filter(other => isPlaced(other) && other.time < result.time).length
+      : null;
+    return { ...result, place };
+  });
+  return completed.sort((a, b) => {
+    if (a.place && b.place) return a.place - b.place;
+    if (a.place || b.place) return (a.place) ? -1 : 1;
+    return 0;
+  });
+};
+
+// classes from a list of results each with className, length, climb and controls
+const groupByClass = (results) => {
+  const classes = [];
+  results.forEach(({
+    className,
+    length,
+    climb,
+    controls,
+    ...result
+  }) => {
+    let foundClass = classes.find(eachClass => eachClass.name === className);
+    if (!foundClass) {
+      foundClass = {
+        name: className,
+        length,
+        climb,
+        controls,
+        results: [],
+      };
+      classes.push(foundClass);
+    }
+    foundClass.results.push(result);
+  });
+  return classes.map(eachClass => ({ ...eachClass, results: completeResults(eachClass.results) }));
+};
+
+const parseXML = (text) => {
+  return new Promise((resolve, reject) => {
+    xml2js.parseString(text, {
+      tagNameProcessors: [xml2js.processors.stripPrefix], // ignore namespaces
+    }, (err, result) => {
+      if (err) reject(err);
+      else resolve(result);
+    });
+  });
+};
+
+const parseIOFXML = (text) => {
+  return parseXML(text).then((xml) => {
+    if (!xml || !xml.ResultList) throw new Error('Not an IOF XML ResultList.');
+    const { $: attributes = {}, ClassResult: classResults = [] } = xml.ResultList;
+    if (!(attributes.iofVersion || '').startsWith('3')) {
+      throw new Error('Only IOF XML version 3.0 results are supported.');
+    }
+    const classes = classResults.map((classResult) => {
+      const course = first(classResult.Course) || {};
+      const length = toNumber(getText(first(course.Length)));
+      const results = (classResult.PersonResult || []).map((personResult) => {
+        const person = first(personResult.Person) || {};
+        const personName = first(person.Name) || {};
+        const organisation = first(personResult.Organisation) || {};
+        const result = first(personResult.Result) || {};
+        const status = getText(first(result.Status)) || 'OK';
+        return {
+          name: [getText(first(personName.Given)), getText(first(personName.Family))]
+            .filter(part => part).join(' '),
+          regNumber: getText(first(person.Id)),
+          club: getText(first(organisation.Name)) || getText(first(organisation.ShortName)),
+          status,
+          time: toNumber(getText(first(result.Time))),
+          place: toNumber(getText(first(result.Position))),
+          splitTimes: (result.SplitTime || []).map(splitTime => ({
+            controlCode: getText(first(splitTime.ControlCode)),
+            cumulativeTime: toNumber(getText(first(splitTime.Time))),
+          })),
+        };
+      }).filter(result => !NOT_STARTED.includes(result.status));
+      return {
+        name: getText(first((first(classResult.Class) || {}).Name)),
+        length: (length === null) ? null : length / 1000,
+        climb: toNumber(getText(first(course.Climb))),
+        controls: toNumber(getText(first(course.NumberOfControls))),
+        results: completeResults(results),
+      };
+    });
+    return { format: 'IOF XML 3.0', classes };
+  });
+};
+
+// split a line of CSV into fields, allowing for quoted fields
+const splitCSVLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let isQuoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const character = line[i];
+    if (isQuoted) {
+      if (character === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (character === '"') {
+        isQuoted = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"') {
+      isQuoted = true;
+    } else if (character === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += character;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+// the index of the first of the named columns (lower case) that the CSV has, or -1
+const findColumn = (headers, names) => {
+  const found = names.find(name => headers.includes(name));
+  return (found) ? headers.indexOf(found) : -1;
+};
+
+// columns of control codes and punch times, as [[codeIndex, timeIndex], ...] in order
+const findPunchColumns = (headers, codePattern, timePattern) => {
+  const columns = [];
+  headers.forEach((header, index) => {
+    const codeMatch = header.match(codePattern);
+    if (!codeMatch) return;
+    const timeIndex = headers.findIndex((other) => {
+      const timeMatch = other.match(timePattern);
+      return timeMatch && timeMatch[1] === codeMatch[1];
+    });
+    if (timeIndex !== -1) columns.push([parseInt(codeMatch[1], 10), index, timeIndex]);
+  });
+  return columns
+    .sort((a, b) => a[0] - b[0])
+    .map(([, codeIndex, timeIndex]) => [codeIndex, timeIndex]);
+};
+
+const parseCSV = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length < 2) throw new Error('No results found in CSV file.');
+  const delimiter = [';', ',', '\t'].reduce((best, candidate) => {
+    return (lines[0].split(candidate).length > lines[0].split(best).length) ? candidate : best;
+  });
+  const headers = splitCSVLine(lines[0], delimiter).map(header => header.toLowerCase());
+  const columns = {
+    name: findColumn(headers, ['name']),
+    firstName: findColumn(headers, ['first name', 'firstname']),
+    surname: findColumn(headers, ['surname', 'last name', 'lastname']),
+    regNumber: findColumn(headers, ['database id', 'regno', 'reg. no.', 'reg no']),
+    club: findColumn(headers, ['club', 'city', 'cl.name']),
+    className: findColumn(headers, ['short', 'class', 'long']),
+    time: findColumn(headers, ['time']),
+    place: findColumn(headers, ['place', 'pl']),
+    classifier: findColumn(headers, ['classifier']),
+    start: findColumn(headers, ['start', 'start time', 'start punch']),
+    finish: findColumn(headers, ['finish', 'finish time', 'finish punch']),
+    length: findColumn(headers, ['km']),
+    climb: findColumn(headers, ['m']),
+    controls: findColumn(headers, ['course controls']),
+  };
+  if (columns.className === -1
+    || (columns.name === -1 && columns.firstName === -1 && columns.surname === -1)) {
+    throw new Error('CSV file needs columns for the runners\' names and classes.');
+  }
+  // OE and MeOS punches are times since the start, SI-Reader records are times of day
+  const oePunches = findPunchColumns(headers, /^control\s?(\d+)$/, /^punch\s?(\d+)$/);
+  const siPunches = findPunchColumns(headers, /^record (\d+) cn$/, /^record (\d+) time$/);
+  const isTimeOfDay = oePunches.length === 0 && siPunches.length > 0;
+  const punchColumns = (isTimeOfDay) ? siPunches : oePunches;
+  const results = lines.slice(1).map((line) => {
+    const fields = splitCSVLine(line, delimiter);
+    const get = index => ((index === -1) ? '' : (fields[index] || ''));
+    const startTime = parseTime(get(columns.start));
+    const finishTime = parseTime(get(columns.finish));
+    // times of day are after the start, allowing for passing midnight
+    const sinceStart = (time) => {
+      if (time === null || startTime === null) return null;
+      return (time >= startTime) ? time - startTime : time + 24 * 3600 - startTime;
+    };
+    let time = parseTime(get(columns.time));
+    if (time === null && isTimeOfDay) time = sinceStart(finishTime);
+    const classifier = get(columns.classifier);
+    let status = (classifier === '') ? 'OK' : (OE_STATUSES[classifier] || 'DidNotFinish');
+    if (time === null && status === 'OK') status = 'DidNotFinish';
+    const name = get(columns.name)
+      || [get(columns.firstName), get(columns.surname)].filter(part => part).join(' ');
+    return {
+      className: get(columns.className),
+      length: toNumber(get(columns.length)),
+      climb: toNumber(get(columns.climb)),
+      controls: toNumber(get(columns.controls)),
+      name,
+      regNumber: get(columns.regNumber),
+      club: get(columns.club),
+      status,
+      time,
+      place: toNumber(get(columns.place)),
+      splitTimes: punchColumns
+        .filter(([codeIndex]) => get(codeIndex) !== '')
+        .map(([codeIndex, timeIndex]) => {
+          const punchTime = parseTime(get(timeIndex));
+          return {
+            controlCode: get(codeIndex),
+            cumulativeTime: (isTimeOfDay) ? sinceStart(punchTime) : punchTime,
+          };
+        }),
+    };
+  }).filter(result => result.name && result.className && !NOT_STARTED.includes(result.status));
+  const format = (isTimeOfDay) ? 'SI-Reader CSV' : 'OE CSV';
+  return { format, classes: groupByClass(results) };
+};
+
+// returns a Promise resolving to { format, classes }
+const parseResultsFile = (buffer, filename) => {
+  // exports from Windows software are often not UTF-8
+  const utf8 = buffer.toString('utf8');
+  const text = (utf8.includes('\uFFFD')) ? buffer.toString('latin1') : utf8;
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'xml') return parseIOFXML(text);
+  if (extension === 'csv' || extension === 'txt') {
+    return new Promise(resolve => resolve(parseCSV(text)));
+  }
+  return Promise.reject(new Error('Results must be an IOF XML or CSV file.'));
+};
+
+module.exports = {
+  first,
+  getText,
+  parseResultsFile,
+  parseTime,
+  parseXML,
+  toNumber,
+};
@@ -0,0 +1,141 @@
+// extract a GPS track and laps from an uploaded GPX, TCX or FIT file
+// output is consistent with getQRData: track is an array of [lat, long],
+// trackDetails is a matching array of [time (ms since epoch), heartRate, altitude]
+// and laps is an array of { time, type } where type is start, intermediate or end
+const xml2js = require('xml2js');
+const FitParser = require('fit-file-parser').default;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return (Number.isNaN(number)) ? null : number;
+};
+
+// first element of an xml2js array, or undefined
+const first = array => ((array && array.length > 0) ? array[0] : undefined);
+
+// lap start times plus end of track
+const createLaps = (lapStartTimes, trackDetails) => {
+  const laps = lapStartTimes
+    .filter(time => time)
+    .map((time, index) => ({ time: new Date(time), type: (index === 0) ? 'start' : 'intermediate' }));
+  const lastTimed = trackDetails.filter(details => details[0]).pop();
+  if (laps.length > 0 && lastTimed) {
+    laps.push({ time: new Date(lastTimed[0]), type: 'end' });
+  }
+  return laps;
+};
+
+const parseXML = (buffer) => {
+  return new Promise((resolve, reject) => {
+    xml2js.parseString(buffer.toString(), {
+      tagNameProcessors: [xml2js.processors.stripPrefix], // ignore namespaces
+    }, (err, result) => {
+      if (err) reject(err);
+      else resolve(result);
+    });
+  });
+};
+
+const parseGPX = (buffer) => {
+  return parseXML(buffer).then((result) => {
+    if (!result.gpx) throw new Error('Not a valid GPX file.');
+    const track = [];
+    const trackDetails = [];
+    (result.gpx.trk || []).forEach((trk) => {
+      (trk.trkseg || []).forEach((trkseg) => {
+        (trkseg.trkpt || []).forEach((trkpt) => {
+          const lat = toNumber(trkpt.$.lat);
+          const long = toNumber(trkpt.$.lon);
+          if (lat === null || long === null) return;
+          const time = first(trkpt.time);
+          const extension = first(first(trkpt.extensions)
+            && first(trkpt.extensions).TrackPointExtension);
+          track.push([lat, long]);
+          trackDetails.push([
+            (time) ? new Date(time).getTime() : null,
+            (extension) ? toNumber(first(extension.hr)) : null,
+            toNumber(first(trkpt.ele)),
+          ]);
+        });
+      });
+    });
+    return { track, trackDetails, laps: [] }; // GPX does not record laps
+  });
+};
+
+const parseTCX = (buffer) => {
+  return parseXML(buffer).then((result) => {
+    const database = result.TrainingCenterDatabase;
+    if (!database || !first(database.Activities)) throw new Error('Not a valid TCX file.');
+    const activity = first(first(database.Activities).Activity);
+    if (!activity) throw new Error('No activity found in TCX file.');
+    const track = [];
+    const trackDetails = [];
+    const lapStartTimes = [];
+    (activity.Lap || []).forEach((lap) => {
+      lapStartTimes.push(new Date(lap.$.StartTime).getTime());
+      (lap.Track || []).forEach((lapTrack) => {
+        (lapTrack.Trackpoint || []).forEach((trackpoint) => {
+          const position = first(trackpoint.Position);
+          if (!position) return; // e.g. heart rate only
+          const lat = toNumber(first(position.LatitudeDegrees));
+          const long = toNumber(first(position.LongitudeDegrees));
+          if (lat === null || long === null) return;
+          const time = first(trackpoint.Time);
+          const heartRate = first(trackpoint.HeartRateBpm);
+          track.push([lat, long]);
+          trackDetails.push([
+            (time) ? new Date(time).getTime() : null,
+            (heartRate) ? toNumber(first(heartRate.Value)) : null,
+            toNumber(first(trackpoint.AltitudeMeters)),
+          ]);
+        });
+      });
+    });
+    return { track, trackDetails, laps: createLaps(lapStartTimes, trackDetails) };
+  });
+};
+
+const parseFIT = (buffer) => {
+  return new Promise((resolve, reject) => {
+    const fitParser = new FitParser({ force: true, lengthUnit: 'm', mode: 'list' });
+    fitParser.parse(buffer, (err, data) => {
+      if (err) return reject(new Error(`Not a valid FIT file: ${err}`));
+      const track = [];
+      const trackDetails = [];
+      (data.records || []).forEach((record) => {
+        const lat = record.position_lat;
+        const long = record.position_long;
+        if ((!lat && lat !== 0) || (!long && long !== 0)) return;
+        const altitude = (record.enhanced_altitude || record.enhanced_altitude === 0)
+          ? record.enhanced_altitude
+          : record.altitude;
+        track.push([lat, long]);
+        trackDetails.push([
+          (record.timestamp) ? new Date(record.timestamp).getTime() : null,
+          record.heart_rate || null,
+          (altitude || altitude === 0) ? altitude : null,
+        ]);
+      });
+      const lapStartTimes = (data.laps || []).map((lap) => {
+        return (lap.start_time) ? new Date(lap.start_time).getTime() : null;
+      });
+      return resolve({ track, trackDetails, laps: createLaps(lapStartTimes, trackDetails) });
+    });
+  });
+};
+
+// returns a Promise resolving to { track, trackDetails, laps }
+const parseTrackFile = (buffer, filename = '') => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'fit' || buffer.toString('ascii', 8, 12) === '.FIT') {
+    return parseFIT(buffer);
+  }
+  if (extension === 'tcx') return parseTCX(buffer);
+  if (extension === 'gpx') return parseGPX(buffer);
+  return Promise.reject(new Error('Track file needs to be GPX, TCX or FIT.'));
+};
+
+module.exports = {
+  parseTrackFile,
+};
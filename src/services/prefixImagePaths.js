@@ -1,20 +1,30 @@
 require('dotenv').config(); // import environment variables from .env file
+const { signImagePath } = require('./signedImageUrls');
+const { rankLegs } = require('./splitTimes');
 
 // images will not be accessible if this environment variable is not defined
 const prefix = process.env.IMAGE_URI || '';
 
+// map images are only served with a signed URL or bearer token (see getMapImage)
 const prefixImagePath = (imagePath) => {
   if (!imagePath || imagePath === '') return '';
+  if (imagePath.startsWith('images/maps/')) return `${prefix}/${signImagePath(imagePath)}`;
   return `${prefix}/${imagePath}`;
 };
 
 // prefix all image paths in an event record prior to responding
+// (share link tokens and map versions are also removed, only their own routes return them)
+// the runners should already be those the requestor can see, as leg ranks are recalculated
+// among them so that they don't reveal the times of hidden runners
 const prefixEventImagePaths = (eventRecord) => {
+  const rankedSplitTimes = rankLegs(eventRecord.runners);
   const prefixedEventRecord = {
     ...eventRecord,
-    runners: eventRecord.runners.map((runner) => {
+    runners: eventRecord.runners.map((runner, index) => {
+      const { shareLinks, ...runnerDetails } = runner;
       return {
-        ...runner,
+        ...runnerDetails,
+        splitTimes: rankedSplitTimes[index],
         user: (runner.user.profileImage)
           ? {
             ...runner.user,
@@ -31,11 +41,13 @@ const prefixEventImagePaths = (eventRecord) => {
           };
         }),
         maps: runner.maps.map((eachMap) => {
+          const { versions, ...mapDetails } = eachMap; // see GET .../versions
           return {
-            ...eachMap,
+            ...mapDetails,
             course: prefixImagePath(eachMap.course),
             route: prefixImagePath(eachMap.route),
             overlay: prefixImagePath(eachMap.overlay),
+            trackImage: prefixImagePath(eachMap.trackImage),
           };
         }),
       };
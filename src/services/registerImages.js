@@ -0,0 +1,239 @@
+// align (register) two scans of the same map so that they can be compared pixel by pixel,
+// allowing for the small differences in position, rotation, scale and cropping that
+// always occur when the same sheet is scanned twice
+// images are { width, height, data } with RGBA data, as returned by jpeg-js
+const { solveLinearSystem } = require('./solveLinearSystem');
+
+const MAX_REGISTRATION_SIZE = 1024; // pixels, larger images are reduced before aligning
+const MIN_PYRAMID_SIZE = 64; // pixels, smallest level (used for the initial search)
+const MAX_SHIFT = 0.2; // proportion of image size searched for the initial offset
+const MAX_ITERATIONS = 30; // per pyramid level
+const SAMPLE_POINTS = 40000; // approximate number of pixels used per iteration
+const OUTLIER_LIMIT = 2; // normalised intensity, larger differences (e.g. the route) count less
+const MAX_RESIDUAL = 0.8; // normalised RMS difference above which alignment has failed
+const MIN_OVERLAP = 0.5; // proportion of the fixed image that must be covered
+
+const toGreyscale = ({ width, height, data }) => {
+  const grey = new Float32Array(width * height);
+  for (let i = 0; i < grey.length; i += 1) {
+    grey[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return { width, height, data: grey };
+};
+
+// reduce to half size by averaging each 2x2 block
+const halve = ({ width, height, data }) => {
+  const newWidth = Math.floor(width / 2);
+  const newHeight = Math.floor(height / 2);
+  const halved = new Float32Array(newWidth * newHeight);
+  for (let y = 0; y < newHeight; y += 1) {
+    for (let x = 0; x < newWidth; x += 1) {
+      const i = 2 * y * width + 2 * x;
+      halved[y * newWidth + x] = (data[i] + data[i + 1]
+        + data[i + width] + data[i + width + 1]) / 4;
+    }
+  }
+  return { width: newWidth, height: newHeight, data: halved };
+};
+
+// scale to zero mean and unit standard deviation so that brightness and contrast don't matter
+const normalise = ({ width, height, data }) => {
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < data.length; i += 1) {
+    sum += data[i];
+    sumSquares += data[i] * data[i];
+  }
+  const mean = sum / data.length;
+  const deviation = Math.sqrt(Math.max(sumSquares / data.length - mean * mean, 1e-6));
+  return { width, height, data: data.map(value => (value - mean) / deviation) };
+};
+
+// bilinear interpolation, NaN if outside the image
+const sample = ({ width, height, data }, x, y) => {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  if (x0 < 0 || y0 < 0 || x0 >= width - 1 || y0 >= height - 1) return NaN;
+  const fx = x - x0;
+  const fy = y - y0;
+  const i = y0 * width + x0;
+  return (data[i] * (1 - fx) + data[i + 1] * fx) * (1 - fy)
+    + (data[i + width] * (1 - fx) + data[i + width + 1] * fx) * fy;
+};
+
+// transform is [a, b, c, d, e, f] mapping fixed (x, y) to moving (a*x + b*y + c, d*x + e*y + f)
+// convert a transform between pyramid levels, allowing for each halved pixel being
+// centred between the two pixels it was made from
+const toFinerLevel = ([a, b, c, d, e, f]) => [
+  a, b, 2 * c + 0.5 * (1 - a - b),
+  d, e, 2 * f + 0.5 * (1 - d - e),
+];
+
+// robust RMS difference between the fixed image and the transformed moving image,
+// with the proportion of the fixed image that the moving image covers
+const compare = (fixed, moving, [a, b, c, d, e, f], step) => {
+  const limitSquared = OUTLIER_LIMIT * OUTLIER_LIMIT;
+  let total = 0;
+  let count = 0;
+  let sumSquares = 0;
+  for (let y = 0; y < fixed.height; y += step) {
+    for (let x = 0; x < fixed.width; x += step) {
+      total += 1;
+      const value = sample(moving, a * x + b * y + c, d * x + e * y + f);
+      if (!Number.isNaN(value)) {
+        const difference = value - fixed.data[y * fixed.width + x];
+        sumSquares += Math.min(difference * difference, limitSquared);
+        count += 1;
+      }
+    }
+  }
+  return {
+    residual: (count > 0) ? Math.sqrt(sumSquares / count) : Infinity,
+    overlap: count / total,
+  };
+};
+
+// exhaustive search for the best offset at the smallest pyramid level, trying the same scale
+// and scales suggested by the image dimensions (e.g. scanned at a different resolution)
+const findInitialTransform = (fixed, moving) => {
+  const scales = [1, moving.width / fixed.width, moving.height / fixed.height]
+    .filter((scale, index, all) => {
+      return all.findIndex(other => Math.abs(other - scale) < 0.02) === index;
+    });
+  const maxShiftX = Math.round(fixed.width * MAX_SHIFT);
+  const maxShiftY = Math.round(fixed.height * MAX_SHIFT);
+  let best = null;
+  scales.forEach((scale) => {
+    const centreX = (moving.width - scale * fixed.width) / 2;
+    const centreY = (moving.height - scale * fixed.height) / 2;
+    for (let dy = -maxShiftY; dy <= maxShiftY; dy += 1) {
+      for (let dx = -maxShiftX; dx <= maxShiftX; dx += 1) {
+        const transform = [scale, 0, centreX + dx, 0, scale, centreY + dy];
+        const { residual, overlap } = compare(fixed, moving, transform, 2);
+        if (overlap >= MIN_OVERLAP && (!best || residual < best.residual)) {
+          best = { transform, residual };
+        }
+      }
+    }
+  });
+  return (best) ? best.transform : null;
+};
+
+// Gauss-Newton (Lucas-Kanade) refinement of an affine transform, down-weighting
+// large differences so that the route drawn on one scan doesn't pull it out of line
+const refineTransform = (fixed, moving, initial) => {
+  let transform = initial.slice();
+  const step = Math.max(1, Math.floor(Math.sqrt(fixed.width * fixed.height / SAMPLE_POINTS)));
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration += 1) {
+    const [a, b, c, d, e, f] = transform;
+    const hessian = [0, 1, 2, 3, 4, 5].map(() => [0, 0, 0, 0, 0, 0, 0]); // augmented
+    for (let y = 1; y < fixed.height - 1; y += step) {
+      for (let x = 1; x < fixed.width - 1; x += step) {
+        const u = a * x + b * y + c;
+        const v = d * x + e * y + f;
+        const value = sample(moving, u, v);
+        const gradientX = (sample(moving, u + 1, v) - sample(moving, u - 1, v)) / 2;
+        const gradientY = (sample(moving, u, v + 1) - sample(moving, u, v - 1)) / 2;
+        if (!Number.isNaN(value) && !Number.isNaN(gradientX) && !Number.isNaN(gradientY)) {
+          const difference = value - fixed.data[y * fixed.width + x];
+          const weight = (Math.abs(difference) <= OUTLIER_LIMIT)
+            ? 1
+            : OUTLIER_LIMIT / Math.abs(difference);
+          const jacobian = [
+            gradientX * x, gradientX * y, gradientX,
+            gradientY * x, gradientY * y, gradientY,
+          ];
+          for (let i = 0; i < 6; i += 1) {
+            for (let j = i; j < 6; j += 1) {
+              hessian[i][j] += weight * jacobian[i] * jacobian[j];
+            }
+            hessian[i][6] += weight * jacobian[i] * difference;
+          }
+        }
+      }
+    }
+    for (let i = 1; i < 6; i += 1) {
+      for (let j = 0; j < i; j += 1) {
+        hessian[i][j] = hessian[j][i];
+      }
+    }
+    const update = solveLinearSystem(hessian);
+    if (!update) break;
+    transform = transform.map((value, i) => value - update[i]);
+    // stop once no pixel in the image moves by more than a small fraction of a pixel
+    const maxMovement = Math.abs(update[2]) + Math.abs(update[5])
+      + (Math.abs(update[0]) + Math.abs(update[1]) + Math.abs(update[3]) + Math.abs(update[4]))
+      * Math.max(fixed.width, fixed.height);
+    if (maxMovement < 0.05) break;
+  }
+  return transform;
+};
+
+// find the transform that maps each pixel of the fixed image to the corresponding position
+// in the moving image, as [a, b, c, d, e, f] (see above)
+// returns { transform, residual, overlap } or null if the images can't be aligned
+const registerImages = (fixedImage, movingImage) => {
+  let fixed = toGreyscale(fixedImage);
+  let moving = toGreyscale(movingImage);
+  let reductions = 0;
+  while (Math.max(fixed.width, fixed.height) > MAX_REGISTRATION_SIZE) {
+    fixed = halve(fixed);
+    moving = halve(moving);
+    reductions += 1;
+  }
+  const pyramid = [{ fixed: normalise(fixed), moving: normalise(moving) }];
+  while (Math.min(fixed.width, fixed.height, moving.width, moving.height) / 2 >= MIN_PYRAMID_SIZE) {
+    fixed = halve(fixed);
+    moving = halve(moving);
+    pyramid.unshift({ fixed: normalise(fixed), moving: normalise(moving) });
+  }
+  let transform = findInitialTransform(pyramid[0].fixed, pyramid[0].moving);
+  if (!transform) return null;
+  pyramid.forEach((level, index) => {
+    if (index > 0) transform = toFinerLevel(transform);
+    transform = refineTransform(level.fixed, level.moving, transform);
+  });
+  const finest = pyramid[pyramid.length - 1];
+  const { residual, overlap } = compare(finest.fixed, finest.moving, transform,
+    Math.max(1, Math.floor(Math.sqrt(finest.fixed.width * finest.fixed.height / SAMPLE_POINTS))));
+  if (overlap < MIN_OVERLAP || residual > MAX_RESIDUAL) return null;
+  for (let i = 0; i < reductions; i += 1) {
+    transform = toFinerLevel(transform);
+  }
+  return { transform, residual, overlap };
+};
+
+// resample the moving image so that it matches the fixed image (width x height) pixel for
+// pixel, returning RGBA data in which pixels not covered by the moving image are transparent
+const alignImage = (movingImage, [a, b, c, d, e, f], width, height) => {
+  const { data } = movingImage;
+  const aligned = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const u = a * x + b * y + c;
+      const v = d * x + e * y + f;
+      const u0 = Math.floor(u);
+      const v0 = Math.floor(v);
+      if (u0 >= 0 && v0 >= 0 && u0 < movingImage.width - 1 && v0 < movingImage.height - 1) {
+        const fu = u - u0;
+        const fv = v - v0;
+        const i = (v0 * movingImage.width + u0) * 4;
+        const below = i + movingImage.width * 4;
+        const position = (y * width + x) * 4;
+        for (let channel = 0; channel < 3; channel += 1) {
+          aligned[position + channel] = Math.round(
+            (data[i + channel] * (1 - fu) + data[i + 4 + channel] * fu) * (1 - fv)
+            + (data[below + channel] * (1 - fu) + data[below + 4 + channel] * fu) * fv,
+          );
+        }
+        aligned[position + 3] = 255;
+      }
+    }
+  }
+  return aligned;
+};
+
+module.exports = {
+  registerImages,
+  alignImage,
+};
@@ -0,0 +1,31 @@
+// common check of whether a runner's maps at an event can be seen by the requestor
+// (same rules as applied when filtering runners in getEvent)
+
+const canSeeRunner = (requestor, runner) => {
+  const requestorRole = requestor.role;
+  const requestorId = (requestorRole === 'anonymous')
+    ? null
+    : requestor._id.toString();
+  const requestorClubs = (requestorRole === 'anonymous')
+    ? []
+    : requestor.memberOf.map(club => club._id.toString());
+  let canSee = false;
+  if (requestorRole === 'admin' && runner.user.active) canSee = true;
+  if (runner.visibility === 'public') canSee = true;
+  if ((requestorRole === 'standard') || (requestorRole === 'guest')) {
+    if (runner.visibility === 'all') canSee = true;
+    if (requestorId === runner.user._id.toString()) canSee = true;
+    if (runner.visibility === 'club') {
+      // memberOf may or may not have been populated
+      const commonClubs = runner.user.memberOf.filter((club) => {
+        return requestorClubs.includes((club._id || club).toString());
+      });
+      if (commonClubs.length > 0) canSee = true;
+    }
+  }
+  return canSee;
+};
+
+module.exports = {
+  canSeeRunner,
+};
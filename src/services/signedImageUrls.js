@@ -0,0 +1,48 @@
+// short-lived signed URLs for map images, so that they can be loaded directly by a browser
+// (which can't add a bearer token to an <img> request) without making them public
+// a signature covers one image (course, route or overlay) and the files made from it, so that
+// thumbnail, extract, track image and tile URLs can still be derived from the image's URL,
+// but not those of the runner's other images (e.g. other maps in a share link, or the trash)
+const crypto = require('crypto');
+
+// seconds, URLs are valid for between one and two lifetimes and are the same throughout
+// each period so that browsers can cache the images
+const SIGNED_URL_LIFETIME = parseInt(process.env.SIGNED_URL_LIFETIME, 10) || 3600;
+
+// the image that a file in the event's directory was made from, e.g. userid-title-course for
+// userid-title-course-thumb.jpg or userid-title-course-tiles_files/12/3_4.jpeg
+const getImageName = (filePath) => {
+  const [filename] = filePath.split('/');
+  return filename.replace(/\.[^.]*$/, '').replace(/-(thumb|extract|track|tiles|tiles_files)$/, '');
+};
+
+const createSignature = (eventid, filePath, expires) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET)
+    .update(`maps/${eventid}/${getImageName(filePath)}/${expires}`)
+    .digest('hex');
+};
+
+// images/maps/eventid/userid-title-maptype.jpg
+// -> images/signed/expires/signature/maps/eventid/userid-title-maptype.jpg
+const signImagePath = (imagePath) => {
+  const [, , eventid, ...filePath] = imagePath.split('/');
+  const now = Math.floor(Date.now() / 1000);
+  const expires = (Math.floor(now / SIGNED_URL_LIFETIME) + 2) * SIGNED_URL_LIFETIME;
+  const signature = createSignature(eventid, filePath.join('/'), expires);
+  return imagePath.replace(/^images\//, `images/signed/${expires}/${signature}/`);
+};
+
+// true if the signature is correct for the image this file (the path below the event's
+// directory) was made from and has not expired
+const verifyImageSignature = (eventid, filePath, expires, signature) => {
+  const expiryTime = parseInt(expires, 10);
+  if (Number.isNaN(expiryTime) || expiryTime < Date.now() / 1000) return false;
+  const expected = Buffer.from(createSignature(eventid, filePath, expiryTime));
+  const provided = Buffer.from(signature || '');
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+module.exports = {
+  signImagePath,
+  verifyImageSignature,
+};
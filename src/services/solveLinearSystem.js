@@ -0,0 +1,28 @@
+// solve a system of linear equations given as an augmented matrix [A | b] (array of rows)
+// using Gaussian elimination with partial pivoting
+// returns the solution as an array, or null if the system has no unique solution
+const solveLinearSystem = (augmentedMatrix) => {
+  const matrix = augmentedMatrix.map(row => row.slice());
+  const size = matrix.length;
+  for (let col = 0; col < size; col += 1) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r += 1) {
+      if (Math.abs(matrix[r][col]) > Math.abs(matrix[pivot][col])) pivot = r;
+    }
+    if (Math.abs(matrix[pivot][col]) < 1e-12) return null; // singular
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    for (let r = 0; r < size; r += 1) {
+      if (r !== col) {
+        const factor = matrix[r][col] / matrix[col][col];
+        for (let c = col; c <= size; c += 1) {
+          matrix[r][c] -= factor * matrix[col][c];
+        }
+      }
+    }
+  }
+  return matrix.map((row, i) => row[size] / row[i]);
+};
+
+module.exports = {
+  solveLinearSystem,
+};
@@ -0,0 +1,145 @@
+// split times of a runner at each control, as stored in runner.splitTimes: an array in course
+// order of { controlCode, legTime, cumulativeTime, legRank } ending at the finish, with
+// times in seconds and legRank among the runners on the same course (courseTitle) at the
+// event whose split times can be compared (see areComparable)
+// controlCode is as printed on the map, 'F' for the finish, or '' if not known
+
+const FINISH = 'F';
+
+// split times from lap times recorded with a GPS track ({ time, type } as stored in geo),
+// taking the first lap time as the start and an end lap as the finish
+// returns [] if there are not at least a start and one more lap
+const getSplitTimesFromLaps = (laps = []) => {
+  const lapTimes = laps
+    .map(lap => ({ time: new Date(lap.time).getTime(), type: lap.type }))
+    .filter(lap => !Number.isNaN(lap.time))
+    .sort((a, b) => a.time - b.time);
+  if (lapTimes.length < 2) return [];
+  const start = lapTimes[0].time;
+  return lapTimes.slice(1).map((lap, index) => ({
+    controlCode: (lap.type === 'end') ? FINISH : '',
+    legTime: Math.round((lap.time - lapTimes[index].time) / 1000),
+    cumulativeTime: Math.round((lap.time - start) / 1000),
+  }));
+};
+
+// check and complete split times provided by a user, each with a cumulativeTime or a
+// legTime (the other is calculated) and optional controlCode, ignoring any legRank
+// returns the split times without legRank, or null if they are not valid (e.g. times
+// that go backwards)
+const normaliseSplitTimes = (splitTimes) => {
+  if (!Array.isArray(splitTimes)) return null;
+  const isTime = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  let previous = 0;
+  const normalised = [];
+  const isValid = splitTimes.every((split) => {
+    if (!split || typeof split !== 'object') return false;
+    const { controlCode = '', legTime, cumulativeTime } = split;
+    if (typeof controlCode !== 'string' && typeof controlCode !== 'number') return false;
+    const cumulative = (isTime(cumulativeTime)) ? cumulativeTime : previous + legTime;
+    if (!isTime(cumulative) || cumulative < previous) return false;
+    normalised.push({
+      controlCode: String(controlCode).trim(),
+      legTime: Math.round(cumulative - previous),
+      cumulativeTime: Math.round(cumulative),
+    });
+    previous = cumulative;
+    return true;
+  });
+  return (isValid) ? normalised : null;
+};
+
+// split times can be compared leg by leg if they have the same number of legs and the same
+// control codes, where known (so runners who missed a lap press are not compared)
+const areComparable = (a, b) => {
+  if (!Array.isArray(a) || !Array.isArray(b)) return false;
+  if (a.length === 0 || a.length !== b.length) return false;
+  return a.every((split, index) => {
+    const otherCode = b[index].controlCode;
+    return !split.controlCode || !otherCode || split.controlCode === otherCode;
+  });
+};
+
+// the runners that a runner can be compared with: those on the same course with comparable
+// split times (including the runner)
+const getComparableRunners = (runner, runners) => {
+  if (!runner.courseTitle) return [];
+  return runners.filter(other => other.courseTitle === runner.courseTitle
+    && areComparable(runner.splitTimes, other.splitTimes));
+};
+
+// split times of each runner (in the same order) with legRank calculated, where equal
+// times share a rank; runners without a course have no ranks
+const rankLegs = (runners) => {
+  return runners.map((runner) => {
+    const splitTimes = (Array.isArray(runner.splitTimes)) ? runner.splitTimes : [];
+    const comparable = getComparableRunners(runner, runners);
+    return splitTimes.map((split, index) => {
+      const { controlCode, legTime, cumulativeTime } = split;
+      const legRank = (comparable.length > 0)
+        ? 1 + comparable.filter(other => other.splitTimes[index].legTime < legTime).length
+        : null;
+      return {
+        controlCode,
+        legTime,
+        cumulativeTime,
+        legRank,
+      };
+    });
+  });
+};
+
+const getMedian = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return (sorted.length % 2 === 1) ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// compare each leg of a runner with the runners provided (e.g. those the requestor can see),
+// returning { courseTitle, compared, time, timeLost, legs: [{ leg, controlCode, legTime,
+// cumulativeTime, rank, bestTime, best: { _id, displayName }, timeBehind, medianTime }] }
+// where compared is the number of comparable runners (including this one) and timeLost is
+// the total of timeBehind, the time that would have been saved by matching the best on
+// every leg
+// given the legs of the runner's course ([{ controlCode, legLength }], see services/courses)
+// with the same controls, each leg also has legLength (m) and pace (s/km) where known
+const compareSplitTimes = (runner, runners, courseLegs = []) => {
+  const comparable = getComparableRunners(runner, runners);
+  const hasCourseLegs = areComparable(runner.splitTimes, courseLegs);
+  const legs = runner.splitTimes.map((split, index) => {
+    const legTimes = comparable.map(other => other.splitTimes[index].legTime);
+    const bestTime = Math.min(...legTimes);
+    const bestRunner = comparable[legTimes.indexOf(bestTime)];
+    const legLength = (hasCourseLegs) ? courseLegs[index].legLength : null;
+    const lengthDetails = (legLength) ? {
+      legLength,
+      pace: Math.round(split.legTime / (legLength / 1000)),
+    } : {};
+    return {
+      leg: index + 1,
+      controlCode: split.controlCode,
+      legTime: split.legTime,
+      cumulativeTime: split.cumulativeTime,
+      rank: 1 + legTimes.filter(legTime => legTime < split.legTime).length,
+      bestTime,
+      best: { _id: bestRunner.user._id, displayName: bestRunner.user.displayName },
+      timeBehind: split.legTime - bestTime,
+      medianTime: getMedian(legTimes),
+      ...lengthDetails,
+    };
+  });
+  return {
+    courseTitle: runner.courseTitle,
+    compared: comparable.length,
+    time: (legs.length > 0) ? legs[legs.length - 1].cumulativeTime : null,
+    timeLost: legs.reduce((total, leg) => total + leg.timeBehind, 0),
+    legs,
+  };
+};
+
+module.exports = {
+  compareSplitTimes,
+  getSplitTimesFromLaps,
+  normaliseSplitTimes,
+  rankLegs,
+};
@@ -0,0 +1,144 @@
+// split a runner's GPS track into legs at the controls of their course (see
+// services/parseCourseData), finding when they punched each control from where the track
+// passes closest to it, as stored in runner.trackLegs:
+// { mapTitle, course, legs: [{ controlCode, punchTime, legTime, cumulativeTime, distance,
+// straightDistance, efficiency }] }
+// with a leg for each control after the start, in course order (the finish as 'F'), times in
+// seconds, distances in metres, and efficiency the straight-line distance (through any
+// crossing points) divided by the distance run (at most 1, as GPS tracks can cut corners);
+// values that can't be found are null
+const { calculateDistance } = require('./parseQR');
+const { findRunnerCourse } = require('./courses');
+
+const PUNCH_RADIUS = 30; // m, allowing for GPS error
+const FINISH = 'F';
+
+const roundTo = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const distanceTo = (point, position) => {
+  const distance = calculateDistance([point.lat, point.long], [position.lat, position.long]);
+  return (distance === undefined) ? Infinity : distance;
+};
+
+const hasPosition = control => control.position && typeof control.position.lat === 'number'
+  && typeof control.position.long === 'number';
+
+// index of the point closest to the control on the first pass within PUNCH_RADIUS of it
+// from the index given, or null if the track doesn't pass that close
+const findPunch = (points, position, from) => {
+  let closest = null;
+  for (let i = from; i < points.length; i += 1) {
+    const distance = distanceTo(points[i], position);
+    if (distance <= PUNCH_RADIUS) {
+      if (closest === null || distance < closest.distance) closest = { index: i, distance };
+    } else if (closest !== null) {
+      break;
+    }
+  }
+  return (closest) ? closest.index : null;
+};
+
+// points of the track that have times, with the distance run to each
+const getTimedPoints = (track, trackDetails) => {
+  let distance = 0;
+  let previous = null;
+  return track.map((point, index) => {
+    const [time] = (trackDetails && trackDetails[index]) || [];
+    return { lat: point[0], long: point[1], time };
+  }).filter(point => typeof point.time === 'number').map((point) => {
+    if (previous) {
+      distance += calculateDistance([previous.lat, previous.long], [point.lat, point.long]) || 0;
+    }
+    previous = point;
+    return { ...point, distance };
+  });
+};
+
+// legs of the track against the controls of the course, or null if there are no timed
+// points or no punched controls with coordinates
+const splitTrack = (course, track, trackDetails) => {
+  const points = getTimedPoints(track || [], trackDetails);
+  const controls = course.controls || [];
+  const isPunched = control => control.type === 'Control' || control.type === 'Finish';
+  if (points.length < 2 || !controls.some(control => isPunched(control) && hasPosition(control))) {
+    return null;
+  }
+  // runners often start recording before the start, so find where they left it
+  const start = controls[0];
+  const startIndex = (start && start.type === 'Start' && hasPosition(start))
+    ? findPunch(points, start.position, 0) || 0
+    : 0;
+  const startTime = points[startIndex].time;
+  let searchFrom = startIndex;
+  let previousIndex = startIndex;
+  let straightDistance = 0;
+  let previousPosition = (start && hasPosition(start)) ? start.position : null;
+  const legs = [];
+  controls.slice(1).forEach((control) => {
+    const position = (hasPosition(control)) ? control.position : null;
+    if (straightDistance !== null) {
+      straightDistance = (previousPosition && position)
+        ? straightDistance + distanceTo(previousPosition, position)
+        : null;
+    }
+    previousPosition = position;
+    if (!isPunched(control)) return;
+    const index = (position) ? findPunch(points, position, searchFrom) : null;
+    const hasLeg = index !== null && previousIndex !== null;
+    const distance = (hasLeg) ? points[index].distance - points[previousIndex].distance : null;
+    const legTime = (hasLeg) ? points[index].time - points[previousIndex].time : null;
+    legs.push({
+      controlCode: (control.type === 'Finish') ? FINISH : control.code,
+      punchTime: (index !== null) ? new Date(points[index].time) : null,
+      legTime: (hasLeg) ? Math.round(legTime / 1000) : null,
+      cumulativeTime: (index !== null) ? Math.round((points[index].time - startTime) / 1000) : null,
+      distance: (hasLeg) ? Math.round(distance) : null,
+      straightDistance: (straightDistance !== null) ? Math.round(straightDistance) : null,
+      efficiency: (hasLeg && straightDistance !== null && distance > 0)
+        ? roundTo(Math.min(straightDistance / distance, 1), 2)
+        : null,
+    });
+    if (index !== null) searchFrom = index;
+    previousIndex = index;
+    straightDistance = 0;
+  });
+  return { legs };
+};
+
+// trackLegs for a runner from the first of their maps with a timed GPS track, or null if
+// they aren't linked to one of the courses or have no track that can be split
+const getRunnerTrackLegs = (runner, courses) => {
+  const course = findRunnerCourse(courses, runner);
+  if (!course) return null;
+  return (runner.maps || []).reduce((found, map) => {
+    if (found || !map.geo || !map.geo.track) return found;
+    const split = splitTrack(course, map.geo.track, map.geo.trackDetails);
+    return (split) ? { mapTitle: map.title, course: course._id, legs: split.legs } : null;
+  }, null);
+};
+
+// totals over the legs that were found: { found, time, distance, straightDistance,
+// efficiency } where time is to the last control found
+const summariseTrackLegs = (legs) => {
+  const measured = legs.filter(leg => leg.distance !== null && leg.straightDistance !== null);
+  const distance = measured.reduce((total, leg) => total + leg.distance, 0);
+  const straightDistance = measured.reduce((total, leg) => total + leg.straightDistance, 0);
+  const lastFound = legs.filter(leg => leg.cumulativeTime !== null).pop();
+  return {
+    found: legs.filter(leg => leg.punchTime !== null).length,
+    time: (lastFound) ? lastFound.cumulativeTime : null,
+    distance,
+    straightDistance,
+    efficiency: (distance > 0) ? roundTo(Math.min(straightDistance / distance, 1), 2) : null,
+  };
+};
+
+module.exports = {
+  PUNCH_RADIUS,
+  getRunnerTrackLegs,
+  splitTrack,
+  summariseTrackLegs,
+};
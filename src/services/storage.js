@@ -0,0 +1,85 @@
+// Where image files are kept: on the local disk (default) or in an S3-compatible object store
+// so that more than one server can share them, set by STORAGE_DRIVER (local or s3)
+// Files are referred to by keys, the relative paths recorded in the database
+// (e.g. images/maps/eventid/name.jpg). Each driver provides, all returning Promises:
+//   readFile(key) => Buffer, writeFile(key, data), putFile(key, localPath) (moves it in),
+//   copyFile(fromKey, toKey), moveFile(fromKey, toKey), fileExists(key) => Boolean,
+//   deleteFile(key), deletePrefix(prefix) (everything below it as if it were a directory),
+//   getFileStream(key) => { stream, size, lastModified }
+// A missing file is rejected with code ENOENT, as by fs, but deleting one is not an error
+// Images still have to be processed on the local disk in places (e.g. tile pyramids),
+// using a temporary directory for the purpose
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { removeDirectory: removeLocalDirectory } = require('./storageLocal');
+
+const PUT_CONCURRENCY = 8; // files uploaded at once by putDirectory
+
+const drivers = {
+  local: () => require('./storageLocal'), // eslint-disable-line global-require
+  s3: () => require('./storageS3'), // eslint-disable-line global-require
+};
+const driverName = process.env.STORAGE_DRIVER || 'local';
+if (!drivers[driverName]) throw new Error(`Unknown STORAGE_DRIVER ${driverName}.`);
+const driver = drivers[driverName]();
+
+// every file below a local directory, as paths relative to it
+const listLocalFiles = (directory, relativePath = '') => {
+  return new Promise((resolve, reject) => {
+    fs.readdir(path.join(directory, relativePath), { withFileTypes: true }, (readErr, entries) => {
+      if (readErr) return reject(readErr);
+      return Promise.all(entries.map((entry) => {
+        const entryPath = path.join(relativePath, entry.name);
+        return (entry.isDirectory()) ? listLocalFiles(directory, entryPath) : [entryPath];
+      })).then(lists => resolve([].concat(...lists))).catch(reject);
+    });
+  });
+};
+
+// move every file below a local directory into storage below prefix
+const putDirectory = (prefix, localDirectory) => {
+  return listLocalFiles(localDirectory).then((files) => {
+    const putNext = () => {
+      const file = files.shift();
+      if (!file) return Promise.resolve();
+      const key = [prefix, ...file.split(path.sep)].join('/');
+      return driver.putFile(key, path.join(localDirectory, file)).then(putNext);
+    };
+    const workers = Array.from({ length: Math.min(PUT_CONCURRENCY, files.length) }, putNext);
+    return Promise.all(workers);
+  });
+};
+
+// run task(directory) => Promise with a new local temporary directory, removed afterwards
+const withTemporaryDirectory = (task) => {
+  return new Promise((resolve, reject) => {
+    fs.mkdtemp(path.join(os.tmpdir(), 'mapoholic-'), (mkdtempErr, directory) => {
+      if (mkdtempErr) reject(mkdtempErr);
+      else resolve(directory);
+    });
+  }).then((directory) => {
+    const removeDirectory = () => removeLocalDirectory(directory).catch(() => null);
+    return task(directory).then((result) => {
+      return removeDirectory().then(() => result);
+    }, (taskErr) => {
+      return removeDirectory().then(() => { throw taskErr; });
+    });
+  });
+};
+
+module.exports = {
+  readFile: driver.readFile,
+  writeFile: driver.writeFile,
+  putFile: driver.putFile,
+  copyFile: driver.copyFile,
+  moveFile: driver.moveFile,
+  fileExists: driver.fileExists,
+  deleteFile: driver.deleteFile,
+  deletePrefix: driver.deletePrefix,
+  getFileStream: driver.getFileStream,
+  driverName,
+  putDirectory,
+  withTemporaryDirectory,
+};
@@ -0,0 +1,171 @@
+// Storage driver keeping files on the local disk (see storage.js for the interface)
+// keys are relative paths such as images/maps/eventid/name.jpg, below STORAGE_LOCAL_ROOT
+// (default is the working directory, i.e. where images have always been kept)
+const fs = require('fs');
+const path = require('path');
+
+const root = process.env.STORAGE_LOCAL_ROOT || process.cwd();
+
+// keys come from the database, so are never allowed to name anything outside root
+// (throws, so is only called where that becomes a rejection, as for a missing file)
+const toPath = (key) => {
+  const filePath = path.resolve(root, ...key.split('/'));
+  const relativePath = path.relative(path.resolve(root), filePath);
+  if (key.split('/').includes('..') || relativePath === ''
+    || relativePath.split(path.sep)[0] === '..' || path.isAbsolute(relativePath)) {
+    const invalidKeyErr = new Error(`${key} is not a valid storage key`);
+    invalidKeyErr.code = 'ENOENT';
+    throw invalidKeyErr;
+  }
+  return filePath;
+};
+
+// resolves to the path of the key's file once the directory for it exists
+const makeParentDirectory = (key) => {
+  return new Promise((resolve, reject) => {
+    const filePath = toPath(key);
+    fs.mkdir(path.dirname(filePath), { recursive: true }, (mkdirErr) => {
+      if (mkdirErr) reject(mkdirErr);
+      else resolve(filePath);
+    });
+  });
+};
+
+const readFile = (key) => {
+  return new Promise((resolve, reject) => {
+    fs.readFile(toPath(key), (readErr, buffer) => {
+      if (readErr) reject(readErr);
+      else resolve(buffer);
+    });
+  });
+};
+
+const writeFile = (key, data) => {
+  return makeParentDirectory(key).then((filePath) => {
+    return new Promise((resolve, reject) => {
+      fs.writeFile(filePath, data, (writeErr) => {
+        if (writeErr) reject(writeErr);
+        else resolve(key);
+      });
+    });
+  });
+};
+
+// move a file from elsewhere on the local disk (e.g. an upload) into storage
+const putFile = (key, localPath) => {
+  return makeParentDirectory(key).then((filePath) => {
+    return new Promise((resolve, reject) => {
+      fs.rename(localPath, filePath, (renameErr) => {
+        if (!renameErr) return resolve(key);
+        if (renameErr.code !== 'EXDEV') return reject(renameErr);
+        // can't rename across devices (e.g. from a temporary directory), copy instead
+        return fs.copyFile(localPath, filePath, (copyErr) => {
+          if (copyErr) return reject(copyErr);
+          return fs.unlink(localPath, () => resolve(key));
+        });
+      });
+    });
+  });
+};
+
+const copyFile = (fromKey, toKey) => {
+  return makeParentDirectory(toKey).then((filePath) => {
+    return new Promise((resolve, reject) => {
+      fs.copyFile(toPath(fromKey), filePath, (copyErr) => {
+        if (copyErr) reject(copyErr);
+        else resolve(toKey);
+      });
+    });
+  });
+};
+
+const moveFile = (fromKey, toKey) => {
+  return makeParentDirectory(toKey).then((filePath) => {
+    return new Promise((resolve, reject) => {
+      fs.rename(toPath(fromKey), filePath, (renameErr) => {
+        if (renameErr) reject(renameErr);
+        else resolve(toKey);
+      });
+    });
+  });
+};
+
+const fileExists = (key) => {
+  return new Promise((resolve) => {
+    fs.access(toPath(key), accessErr => resolve(!accessErr));
+  }).catch(() => false);
+};
+
+// resolves whether or not the file existed
+const deleteFile = (key) => {
+  return new Promise((resolve, reject) => {
+    fs.unlink(toPath(key), (unlinkErr) => {
+      if (unlinkErr && unlinkErr.code !== 'ENOENT') reject(unlinkErr);
+      else resolve();
+    });
+  });
+};
+
+// delete a local directory and everything in it, resolving if it didn't exist
+// (also used for temporary directories whichever driver is in use)
+const removeDirectory = (directory) => {
+  return new Promise((resolve, reject) => {
+    fs.readdir(directory, { withFileTypes: true }, (readErr, entries) => {
+      if (readErr) return (readErr.code === 'ENOENT') ? resolve() : reject(readErr);
+      const removeEntries = entries.map((entry) => {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) return removeDirectory(entryPath);
+        return new Promise((resolveUnlink, rejectUnlink) => {
+          fs.unlink(entryPath, (unlinkErr) => {
+            if (unlinkErr) rejectUnlink(unlinkErr);
+            else resolveUnlink();
+          });
+        });
+      });
+      return Promise.all(removeEntries).then(() => {
+        fs.rmdir(directory, (rmdirErr) => {
+          if (rmdirErr) reject(rmdirErr);
+          else resolve();
+        });
+      }).catch(reject);
+    });
+  });
+};
+
+// delete everything below prefix (a directory), resolving whether or not it existed
+const deletePrefix = (prefix) => {
+  return new Promise(resolve => resolve(toPath(prefix))).then(removeDirectory);
+};
+
+// resolves to { stream, size, lastModified } or rejects with code ENOENT if missing
+const getFileStream = (key) => {
+  return new Promise((resolve, reject) => {
+    const filePath = toPath(key);
+    fs.stat(filePath, (statErr, stats) => {
+      if (statErr) return reject(statErr);
+      if (!stats.isFile()) {
+        const notFileErr = new Error(`${key} is not a file`);
+        notFileErr.code = 'ENOENT';
+        return reject(notFileErr);
+      }
+      return resolve({
+        stream: fs.createReadStream(filePath),
+        size: stats.size,
+        lastModified: stats.mtime,
+      });
+    });
+  });
+};
+
+module.exports = {
+  readFile,
+  writeFile,
+  putFile,
+  copyFile,
+  moveFile,
+  fileExists,
+  deleteFile,
+  deletePrefix,
+  getFileStream,
+  removeDirectory,
+};
@@ -0,0 +1,147 @@
+// Storage driver keeping files in an S3-compatible object store such as AWS S3 or MinIO
+// (see storage.js for the interface), keys are used as they are for object keys in S3_BUCKET
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+
+const DELETE_BATCH_SIZE = 1000; // maximum allowed by deleteObjects
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.dzi': 'application/xml',
+};
+
+const bucket = process.env.S3_BUCKET;
+const s3Options = {
+  region: process.env.S3_REGION || 'us-east-1',
+  signatureVersion: 'v4',
+};
+if (process.env.S3_ENDPOINT) { // e.g. http://localhost:9000 for a local MinIO server
+  s3Options.endpoint = process.env.S3_ENDPOINT;
+  s3Options.s3ForcePathStyle = true; // bucket in path, not as a subdomain
+}
+if (process.env.S3_ACCESS_KEY_ID) { // otherwise the usual AWS credential sources are used
+  s3Options.accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  s3Options.secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+}
+const s3 = new AWS.S3(s3Options);
+
+const getContentType = key => CONTENT_TYPES[path.extname(key)] || 'application/octet-stream';
+
+// report missing objects the same way as the local driver so callers needn't care
+const markNotFound = (err) => {
+  if (err.statusCode === 404 || err.code === 'NoSuchKey' || err.code === 'NotFound') {
+    Object.assign(err, { code: 'ENOENT' });
+  }
+  throw err;
+};
+
+const readFile = (key) => {
+  return s3.getObject({ Bucket: bucket, Key: key }).promise()
+    .then(data => data.Body)
+    .catch(markNotFound);
+};
+
+const writeFile = (key, data) => {
+  return s3.putObject({
+    Bucket: bucket,
+    Key: key,
+    Body: data,
+    ContentType: getContentType(key),
+  }).promise().then(() => key);
+};
+
+// upload a file from the local disk (e.g. an upload), which is then removed
+const putFile = (key, localPath) => {
+  return s3.upload({
+    Bucket: bucket,
+    Key: key,
+    Body: fs.createReadStream(localPath),
+    ContentType: getContentType(key),
+  }).promise().then(() => {
+    return new Promise((resolve) => {
+      fs.unlink(localPath, () => resolve(key));
+    });
+  });
+};
+
+const copyFile = (fromKey, toKey) => {
+  const source = [bucket, ...fromKey.split('/')].map(encodeURIComponent).join('/');
+  return s3.copyObject({
+    Bucket: bucket,
+    Key: toKey,
+    CopySource: source,
+    ContentType: getContentType(toKey),
+    MetadataDirective: 'REPLACE',
+  }).promise().then(() => toKey).catch(markNotFound);
+};
+
+// there is no rename in S3
+const moveFile = (fromKey, toKey) => {
+  return copyFile(fromKey, toKey).then(() => {
+    return s3.deleteObject({ Bucket: bucket, Key: fromKey }).promise();
+  }).then(() => toKey);
+};
+
+const fileExists = (key) => {
+  return s3.headObject({ Bucket: bucket, Key: key }).promise()
+    .then(() => true)
+    .catch(markNotFound)
+    .catch((err) => {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    });
+};
+
+// resolves whether or not the object existed
+const deleteFile = (key) => {
+  return s3.deleteObject({ Bucket: bucket, Key: key }).promise().then(() => undefined);
+};
+
+// delete everything below prefix (as if it were a directory) a page of keys at a time
+const deletePrefix = (prefix) => {
+  const deletePage = (continuationToken) => {
+    return s3.listObjectsV2({
+      Bucket: bucket,
+      Prefix: prefix.concat('/'),
+      MaxKeys: DELETE_BATCH_SIZE,
+      ContinuationToken: continuationToken,
+    }).promise().then((page) => {
+      const deleteObjects = (page.Contents.length > 0)
+        ? s3.deleteObjects({
+          Bucket: bucket,
+          Delete: { Objects: page.Contents.map(({ Key }) => ({ Key })), Quiet: true },
+        }).promise()
+        : Promise.resolve();
+      return deleteObjects.then(() => {
+        if (page.IsTruncated) return deletePage(page.NextContinuationToken);
+        return undefined;
+      });
+    });
+  };
+  return deletePage();
+};
+
+// resolves to { stream, size, lastModified } or rejects with code ENOENT if missing
+const getFileStream = (key) => {
+  return s3.headObject({ Bucket: bucket, Key: key }).promise().then((head) => {
+    return {
+      stream: s3.getObject({ Bucket: bucket, Key: key }).createReadStream(),
+      size: head.ContentLength,
+      lastModified: head.LastModified,
+    };
+  }).catch(markNotFound);
+};
+
+module.exports = {
+  readFile,
+  writeFile,
+  putFile,
+  copyFile,
+  moveFile,
+  fileExists,
+  deleteFile,
+  deletePrefix,
+  getFileStream,
+};
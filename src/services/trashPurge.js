@@ -0,0 +1,138 @@
+// Scheduled removal of items that have been in the trash for longer than the retention
+// period (see services/trashServices.js), including their image files
+const path = require('path');
+
+const logger = require('./logger');
+const storage = require('./storage');
+const { deleteTilePyramid } = require('./createTilePyramid');
+const { dbGetEventById, dbGetEvents, dbPurgeEvent } = require('./eventServices');
+const { dbPurgeUser } = require('./userServices');
+const { dbPurgeClub } = require('./clubServices');
+const { dbGetExpiredTrashItems, dbDeleteTrashItem } = require('./trashServices');
+
+const PURGE_INTERVAL = 60 * 60 * 1000; // milliseconds
+
+let isPurging = false;
+
+// every file belonging to a map: course and route with their thumbnails, extracts and
+// tiles, the overlay, the GPS track image and all versions kept
+const getMapFiles = (map) => {
+  const files = [];
+  ['course', 'route'].forEach((maptype) => {
+    const fileLocation = map[maptype];
+    if (fileLocation) {
+      files.push(fileLocation);
+      files.push(fileLocation.slice(0, -4).concat('-thumb').concat(fileLocation.slice(-4)));
+      files.push(fileLocation.slice(0, -4).concat('-extract').concat(fileLocation.slice(-4)));
+    }
+  });
+  if (map.overlay) files.push(map.overlay);
+  if (map.trackImage) files.push(map.trackImage);
+  (map.versions || []).forEach(version => files.push(version.file));
+  return files;
+};
+
+// delete files (and the tiles of images) unless they are still used by current records,
+// e.g. if the runner has been added to the event again since
+const deleteFiles = (files, filesInUse = []) => {
+  const filesToDelete = files.filter(file => file && !filesInUse.includes(file));
+  return Promise.all(filesToDelete.map((file) => {
+    const deleteTiles = (file.startsWith('images/maps/') && !/-(thumb|extract|track)\.jpg$/.test(file))
+      ? deleteTilePyramid(file)
+      : Promise.resolve();
+    return Promise.all([storage.deleteFile(file), deleteTiles]);
+  }));
+};
+
+const getRunnerMapFiles = (runner) => {
+  return (runner) ? runner.maps.reduce((acc, map) => acc.concat(getMapFiles(map)), []) : [];
+};
+
+const findRunner = (foundEvent, userid) => {
+  return (foundEvent)
+    ? foundEvent.runners.find(runner => runner.user._id.toString() === userid.toString())
+    : null;
+};
+
+// functions (trashItem) => Promise to purge each type of item
+const purgeItem = {
+  // the image was renamed when deleted, previous versions are only purged if the map
+  // has gone altogether (otherwise they can still be restored through its versions)
+  map: ({ event, eventRunner, data }) => {
+    const { title, trashedFile, map } = data;
+    return dbGetEventById(event).then((foundEvent) => {
+      const currentRunner = findRunner(foundEvent, eventRunner);
+      const filesInUse = getRunnerMapFiles(currentRunner);
+      const currentMap = (currentRunner)
+        ? currentRunner.maps.find(eachMap => eachMap.title === title)
+        : null;
+      const versionFiles = (currentMap || !map.versions)
+        ? []
+        : map.versions.map(version => version.file);
+      return deleteFiles([trashedFile, ...versionFiles], filesInUse);
+    });
+  },
+  runner: ({ event, eventRunner, data }) => {
+    return dbGetEventById(event).then((foundEvent) => {
+      const filesInUse = getRunnerMapFiles(findRunner(foundEvent, eventRunner));
+      return deleteFiles(getRunnerMapFiles(data.runner), filesInUse);
+    });
+  },
+  event: ({ event }) => {
+    return dbPurgeEvent(event).then((purgedEvent) => {
+      if (!purgedEvent) return null; // not deleted (any more), so leave the images alone
+      return Promise.all([
+        storage.deletePrefix(path.join('images', 'maps', event.toString())),
+        storage.deletePrefix(path.join('images', 'versions', event.toString())),
+      ]);
+    });
+  },
+  user: ({ user }) => {
+    return dbGetEvents({ 'runners.user': user }).then((foundEvents) => {
+      const files = foundEvents.reduce((acc, foundEvent) => {
+        return acc.concat(getRunnerMapFiles(findRunner(foundEvent, user)));
+      }, []);
+      return dbPurgeUser(user).then((purgedUser) => {
+        if (!purgedUser) return null; // not deleted (any more), so leave the images alone
+        const profileImage = (purgedUser.profileImage)
+          ? [path.join('images', 'avatars', purgedUser.profileImage.split('/').pop())]
+          : [];
+        return deleteFiles([...files, ...profileImage]);
+      });
+    });
+  },
+  club: ({ club }) => dbPurgeClub(club),
+};
+
+// purge each expired item in turn, leaving any that fail to be tried again next time
+const purgeExpiredTrash = () => {
+  if (isPurging) return Promise.resolve();
+  isPurging = true;
+  return dbGetExpiredTrashItems().then((expiredItems) => {
+    return expiredItems.reduce((previous, item) => {
+      return previous.then(() => {
+        return purgeItem[item.itemType](item)
+          .then(() => dbDeleteTrashItem(item._id))
+          .then(() => logger('success')(`Purged ${item.itemType} from trash (${item.description}).`))
+          .catch((purgeErr) => {
+            logger('error')(`Error purging ${item.itemType} ${item._id}: ${purgeErr.message}`);
+          });
+      });
+    }, Promise.resolve());
+  }).catch((err) => {
+    logger('error')('Error purging trash:', err.message);
+  }).then(() => {
+    isPurging = false;
+  });
+};
+
+// purge now and then periodically (the timer doesn't keep the process alive on its own)
+const startTrashPurge = () => {
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, PURGE_INTERVAL).unref();
+};
+
+module.exports = {
+  purgeExpiredTrash,
+  startTrashPurge,
+};
@@ -0,0 +1,53 @@
+// Functions concerned with deleted items that can still be restored (trash model)
+
+const Trash = require('../models/trash');
+const logger = require('../services/logger');
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// record a deleted item, logging rather than failing if it can't be recorded since
+// the deletion itself has already been done
+const dbRecordTrash = (item) => {
+  const deletedAt = new Date();
+  const expires = new Date(deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const newTrashItem = new Trash({ ...item, deletedAt, expires });
+  return newTrashItem.save()
+    .then((createdTrashItem) => {
+      logger('success')(`${createdTrashItem.itemType} added to trash (${createdTrashItem.description}).`);
+      return createdTrashItem;
+    })
+    .catch((err) => {
+      logger('error')('Error adding to trash:', err.message);
+    });
+};
+
+// get matching items, most recently deleted first
+const dbGetTrashItems = (searchCriteria) => {
+  return Trash.find(searchCriteria)
+    .lean()
+    .populate('owner', '_id displayName')
+    .populate('deletedBy', '_id displayName')
+    .sort({ deletedAt: -1 })
+    .select('-data -__v');
+};
+
+const dbGetTrashItemById = (id) => {
+  return Trash.findById(id).lean();
+};
+
+const dbGetExpiredTrashItems = () => {
+  return Trash.find({ expires: { $lte: new Date() } }).lean();
+};
+
+// remove from the trash (once restored or purged)
+const dbDeleteTrashItem = (id) => {
+  return Trash.findByIdAndDelete(id).lean();
+};
+
+module.exports = {
+  dbRecordTrash,
+  dbGetTrashItems,
+  dbGetTrashItemById,
+  dbGetExpiredTrashItems,
+  dbDeleteTrashItem,
+};
@@ -78,10 +78,48 @@ const dbDeleteUser = (id) => {
   });
 };
 
+// undo dbDeleteUser (runner records remain private)
+const dbRestoreUser = (id, { email, displayName }) => {
+  return User.findOneAndUpdate(
+    { _id: id, active: false },
+    { $set: { active: true, email, displayName } },
+    { new: true },
+  )
+    .lean()
+    .populate('memberOf', 'shortName')
+    .select('-password -__v');
+};
+
+// remove a deleted user's runner records and personal details for good
+// the record itself is kept (anonymised) as it is still referred to as the author of
+// comments, owner of events and clubs, and in the activity log
+// resolves to the user record as it was before being anonymised, or null if not deleted
+const dbPurgeUser = (id) => {
+  return User.findOneAndUpdate({ _id: id, active: false }, {
+    $set: {
+      email: `purged${id}@deleted.invalid`,
+      displayName: `deleted user ${id}`,
+      fullName: '',
+      regNumber: '',
+      orisId: '',
+      location: '',
+      about: '',
+      memberOf: [],
+      profileImage: '',
+    },
+  }).lean().then((userBeforePurge) => {
+    if (!userBeforePurge) return null;
+    return Event.updateMany({ 'runners.user': mongoose.Types.ObjectId(id) },
+      { $pull: { runners: { user: mongoose.Types.ObjectId(id) } } }).then(() => userBeforePurge);
+  });
+};
+
 module.exports = {
   dbCreateUser,
   dbGetUserById,
   dbGetUsers,
   dbUpdateUser,
   dbDeleteUser,
+  dbRestoreUser,
+  dbPurgeUser,
 };
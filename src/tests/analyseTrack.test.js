@@ -0,0 +1,98 @@
+const expect = require('expect');
+
+const { analyseTrack } = require('../services/analyseTrack');
+
+const START = Date.UTC(2019, 8, 14, 9, 30);
+const METRE = 1 / 111195; // degrees of latitude in a metre (as in calculateDistance)
+
+// a track heading north, one point every 10 metres, taking secondsPer10m(i) for each
+// with heart rates and altitudes from the functions provided
+const createTrack = (count, {
+  secondsPer10m = () => 5,
+  heartRate = () => null,
+  altitude = () => null,
+} = {}) => {
+  const track = [];
+  const trackDetails = [];
+  let time = START;
+  for (let i = 0; i < count; i += 1) {
+    track.push([50 + i * 10 * METRE, 14]);
+    trackDetails.push([time, heartRate(i), altitude(i)]);
+    time += secondsPer10m(i) * 1000;
+  }
+  return { track, trackDetails };
+};
+
+describe('analysing GPS tracks', () => {
+  it('should split the track into kilometres', () => {
+    // 2.5 km, first km at 5 min/km, then 6 min/km
+    const { track, trackDetails } = createTrack(251, {
+      secondsPer10m: i => ((i < 100) ? 3 : 3.6),
+    });
+    const analysis = analyseTrack({ track, trackDetails });
+    expect(analysis.distance).toBe(2.5);
+    expect(analysis.duration).toBe(300 + 540);
+    expect(analysis.kmSplits.map(({ km, distance, pace }) => [km, distance, pace])).toEqual([
+      [1, 1, 300],
+      [2, 1, 360],
+      [3, 0.5, 360],
+    ]);
+    expect(analysis.kmSplits[2].time).toBe(180);
+    expect(analysis.heartRate).toBe(null);
+    expect(analysis.altitude).toBe(null);
+  });
+
+  it('should find the time in each heart rate zone', () => {
+    const { track, trackDetails } = createTrack(101, {
+      heartRate: i => ((i < 50) ? 130 : 170),
+    });
+    const analysis = analyseTrack({ track, trackDetails }, 200);
+    expect(analysis.heartRate.average).toBe(150);
+    expect(analysis.heartRate.max).toBe(170);
+    expect(analysis.heartRate.zones.map(({ zone, from, time }) => [zone, from, time])).toEqual([
+      [1, 0, 0],
+      [2, 120, 250], // 130 bpm for 50 intervals of 5 seconds
+      [3, 140, 0],
+      [4, 160, 250],
+      [5, 180, 0],
+    ]);
+    // without a maximum the highest recorded is used
+    expect(analyseTrack({ track, trackDetails }).heartRate.maxHeartRate).toBe(170);
+  });
+
+  it('should add up ascent while ignoring small changes', () => {
+    // climb 20 m, wobble by 1 m, then descend 10 m
+    const altitudes = [100, 105, 110, 115, 120, 119, 120, 119, 115, 110];
+    const { track, trackDetails } = createTrack(altitudes.length, {
+      altitude: i => altitudes[i],
+    });
+    expect(analyseTrack({ track, trackDetails }).altitude).toEqual({
+      ascent: 20,
+      descent: 10,
+      min: 100,
+      max: 120,
+    });
+  });
+
+  it('should split the track between laps', () => {
+    const { track, trackDetails } = createTrack(201); // 2 km in 1000 seconds
+    const laps = [
+      { time: new Date(START), type: 'start' },
+      { time: new Date(START + 400000), type: 'intermediate' },
+      { time: new Date(START + 1000000), type: 'end' },
+    ];
+    const analysis = analyseTrack({ track, trackDetails, laps });
+    expect(analysis.laps.map(lap => [lap.lap, lap.time, lap.distance, lap.pace])).toEqual([
+      [1, 400, 0.8, 500],
+      [2, 600, 1.2, 500],
+    ]);
+  });
+
+  it('should give distance only for a track without times', () => {
+    const analysis = analyseTrack({ track: createTrack(101).track });
+    expect(analysis.distance).toBe(1);
+    expect(analysis.duration).toBe(null);
+    expect(analysis.kmSplits).toEqual([]);
+    expect(analyseTrack({ track: [] })).toBe(null);
+  });
+});
@@ -0,0 +1,82 @@
+const expect = require('expect');
+
+const { calibrateMap, toLocal, fromLocal } = require('../services/calibrateMap');
+
+// synthetic map: 1 pixel = 2m, rotated 10 degrees, north-west corner at origin
+const origin = [50.08, 14.42];
+const rotation = 10 * Math.PI / 180;
+const pixelToLatLong = ([px, py]) => {
+  const x = 2 * (px * Math.cos(rotation) + py * Math.sin(rotation));
+  const y = 2 * (px * Math.sin(rotation) - py * Math.cos(rotation));
+  return fromLocal(origin, [x, y]);
+};
+const controlPoints = [[100, 200], [1800, 300], [900, 1300], [1500, 1100]].map(([x, y]) => {
+  const [lat, long] = pixelToLatLong([x, y]);
+  return {
+    x,
+    y,
+    lat,
+    long,
+  };
+});
+
+describe('calibrateMap', () => {
+  it('should convert to and from the local projection', () => {
+    const point = [50.09, 14.43];
+    const [lat, long] = fromLocal(origin, toLocal(origin, point));
+    expect(lat).toBeCloseTo(point[0], 10);
+    expect(long).toBeCloseTo(point[1], 10);
+  });
+  ['affine', 'helmert'].forEach((method) => {
+    it(`should fit the ${method} transform with small residual error`, () => {
+      const result = calibrateMap({
+        points: controlPoints,
+        method,
+        width: 2000,
+        height: 1500,
+      });
+      expect(result.calibration.method).toBe(method);
+      expect(result.calibration.residualError).toBeLessThan(0.5);
+      const expectedSE = pixelToLatLong([2000, 1500]);
+      expect(result.mapCorners.se.lat).toBeCloseTo(expectedSE[0], 5);
+      expect(result.mapCorners.se.long).toBeCloseTo(expectedSE[1], 5);
+      expect(result.imageCorners).toEqual(result.mapCorners);
+      expect(result.locationSizePixels).toEqual({
+        x: 0,
+        y: 0,
+        width: 2000,
+        height: 1500,
+      });
+    });
+  });
+  it('should report the residual error of inconsistent points', () => {
+    const movedPoints = controlPoints.map((point, index) => {
+      return (index === 0) ? { ...point, lat: point.lat + 0.0005 } : point;
+    });
+    const result = calibrateMap({ points: movedPoints, width: 2000, height: 1500 });
+    expect(result.calibration.residualError).toBeGreaterThan(1);
+    expect(result.calibration.points[0].residual).toBeGreaterThan(1);
+  });
+  it('should reject fewer than three points', () => {
+    expect(() => calibrateMap({ points: controlPoints.slice(0, 2), width: 10, height: 10 }))
+      .toThrow('At least three calibration points are needed.');
+  });
+  it('should reject points on a straight line', () => {
+    const linePoints = [0, 1, 2].map(i => ({
+      x: i * 100,
+      y: i * 100,
+      lat: 50 + i * 0.001,
+      long: 14 + i * 0.001,
+    }));
+    expect(() => calibrateMap({ points: linePoints, width: 10, height: 10 }))
+      .toThrow('Calibration points must not lie on a straight line.');
+  });
+  it('should reject an unknown method', () => {
+    expect(() => calibrateMap({
+      points: controlPoints,
+      method: 'magic',
+      width: 10,
+      height: 10,
+    })).toThrow('Calibration method must be affine or helmert.');
+  });
+});
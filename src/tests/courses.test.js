@@ -0,0 +1,131 @@
+const expect = require('expect');
+
+const { parseCourseData } = require('../services/parseCourseData');
+const { getCourseLegs, getRunnerCourseFields } = require('../services/courses');
+const { compareSplitTimes } = require('../services/splitTimes');
+const { createCourseData } = require('../services/createIOFXML');
+
+// as exported by Purple Pen: leg lengths are given for the first course, but not the second
+const courseDataXML = `<?xml version="1.0" encoding="utf-8"?>
+<CourseData xmlns="http://www.orienteering.org/datastandard/3.0" iofVersion="3.0" creator="Purple Pen">
+  <Event><Name>Test</Name></Event>
+  <RaceCourseData>
+    <Map><Scale>10000</Scale></Map>
+    <Control type="Start"><Id>STA1</Id><Position lng="14.1" lat="50.1"/><MapPosition x="0" y="0" unit="mm"/></Control>
+    <Control><Id>31</Id><Position lng="14.102" lat="50.101"/><MapPosition x="30" y="40" unit="mm"/></Control>
+    <Control><Id>32</Id><MapPosition x="30" y="100" unit="mm"/></Control>
+    <Control type="CrossingPoint"><Id>X1</Id><MapPosition x="60" y="140" unit="mm"/></Control>
+    <Control type="Finish"><Id>FIN1</Id><MapPosition x="60" y="150" unit="mm"/></Control>
+    <Course>
+      <Name>Long</Name>
+      <Length>1500</Length>
+      <Climb>60</Climb>
+      <CourseControl type="Start"><Control>STA1</Control></CourseControl>
+      <CourseControl type="Control"><Control>31</Control><LegLength>520</LegLength></CourseControl>
+      <CourseControl type="Control"><Control>32</Control><LegLength>600</LegLength></CourseControl>
+      <CourseControl type="CrossingPoint"><Control>X1</Control><LegLength>500</LegLength></CourseControl>
+      <CourseControl type="Finish"><Control>FIN1</Control><LegLength>100</LegLength></CourseControl>
+    </Course>
+    <Course>
+      <Name>Short</Name>
+      <CourseControl type="Start"><Control>STA1</Control></CourseControl>
+      <CourseControl type="Control"><Control>31</Control></CourseControl>
+      <CourseControl type="Finish"><Control>FIN1</Control></CourseControl>
+    </Course>
+  </RaceCourseData>
+</CourseData>`;
+
+describe('course definitions', () => {
+  it('should read courses from IOF XML CourseData', () => {
+    return parseCourseData(Buffer.from(courseDataXML)).then(({ courses }) => {
+      expect(courses.map(({ name, length, climb }) => [name, length, climb])).toEqual([
+        ['Long', 1500, 60],
+        ['Short', 1640, null], // from leg lengths measured on the map
+      ]);
+      const [long, short] = courses;
+      expect(long.controls.map(({ code, type, legLength }) => [code, type, legLength])).toEqual([
+        ['STA1', 'Start', undefined],
+        ['31', 'Control', 520],
+        ['32', 'Control', 600],
+        ['X1', 'CrossingPoint', 500],
+        ['FIN1', 'Finish', 100],
+      ]);
+      expect(long.controls[1].position).toEqual({ lat: 50.101, long: 14.102 });
+      expect(long.controls[1].mapPosition).toEqual({ x: 30, y: 40 });
+      expect(long.controls[2].position).toBe(undefined);
+      expect(short.controls.map(control => control.legLength)).toEqual([undefined, 500, 1140]);
+    });
+  });
+
+  it('should reject files that are not CourseData', () => {
+    const resultList = '<ResultList iofVersion="3.0"></ResultList>';
+    return parseCourseData(Buffer.from(resultList)).then(() => {
+      throw new Error('should have been rejected');
+    }, (err) => {
+      expect(err.message).toBe('Not an IOF XML CourseData file.');
+    });
+  });
+
+  it('should link runners to courses and fill in their course details', () => {
+    return parseCourseData(Buffer.from(courseDataXML)).then(({ courses }) => {
+      const withIds = courses.map((course, index) => ({ ...course, _id: `course${index}` }));
+      expect(getRunnerCourseFields(withIds, { courseTitle: ' long ' })).toEqual({
+        course: 'course0',
+        courseTitle: 'Long',
+        courseLength: '1.5',
+        courseClimb: '60',
+        courseControls: '2',
+      });
+      expect(getRunnerCourseFields(withIds, { course: 'course1', courseTitle: 'Long' }).courseTitle)
+        .toBe('Short');
+      expect(getRunnerCourseFields(withIds, { courseTitle: 'Other' })).toEqual({ course: null });
+      expect(getRunnerCourseFields(withIds, { course: null })).toEqual({ course: null });
+      expect(getRunnerCourseFields(withIds, { courseLength: '5' })).toEqual({});
+      expect(getRunnerCourseFields(withIds, { course: 'missing' })).toBe(null);
+    });
+  });
+
+  it('should add leg lengths to split analysis', () => {
+    return parseCourseData(Buffer.from(courseDataXML)).then(({ courses }) => {
+      const courseLegs = getCourseLegs(courses[0]);
+      expect(courseLegs).toEqual([
+        { controlCode: '31', legLength: 520 },
+        { controlCode: '32', legLength: 600 },
+        { controlCode: 'F', legLength: 600 }, // through the crossing point
+      ]);
+      const runner = {
+        user: { _id: 'a', displayName: 'Runner a' },
+        courseTitle: 'Long',
+        splitTimes: [
+          { controlCode: '31', legTime: 260, cumulativeTime: 260 },
+          { controlCode: '32', legTime: 330, cumulativeTime: 590 },
+          { controlCode: 'F', legTime: 270, cumulativeTime: 860 },
+        ],
+      };
+      const { legs } = compareSplitTimes(runner, [runner], courseLegs);
+      expect(legs.map(({ legLength, pace }) => [legLength, pace])).toEqual([
+        [520, 500],
+        [600, 550],
+        [600, 450],
+      ]);
+      const missedControl = { ...runner, splitTimes: runner.splitTimes.slice(1) };
+      expect(compareSplitTimes(missedControl, [missedControl], courseLegs).legs[0].legLength)
+        .toBe(undefined);
+    });
+  });
+
+  it('should export imported courses as CourseData', () => {
+    return parseCourseData(Buffer.from(courseDataXML)).then(({ courses }) => {
+      const xml = createCourseData({ name: 'Test', date: '2019-09-14', courses }, []);
+      return parseCourseData(Buffer.from(xml));
+    }).then(({ courses }) => {
+      expect(courses.map(course => course.name)).toEqual(['Long', 'Short']);
+      expect(courses[0].controls[3]).toEqual({
+        code: 'X1',
+        type: 'CrossingPoint',
+        legLength: 500,
+        mapPosition: { x: 60, y: 140 },
+      });
+    });
+  });
+});
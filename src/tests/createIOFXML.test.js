@@ -0,0 +1,136 @@
+const expect = require('expect');
+const xml2js = require('xml2js');
+
+const { createCourseData, createResultList } = require('../services/createIOFXML');
+const { parseResultsFile } = require('../services/parseResultsFile');
+
+const event = {
+  name: 'Test & Training',
+  date: '2019-09-14',
+  organisedBy: [{ _id: 'club', shortName: 'OKT' }],
+};
+
+// entry in fullResults as stored for ORIS events and imported results
+const createResult = (place, name, regNumber, time, loss) => ({
+  place,
+  name,
+  regNumber,
+  club: (regNumber) ? 'OK Test' : '',
+  time,
+  loss,
+});
+
+const fullResults = [
+  createResult('1', 'Petr Svoboda', 'ABC8502', '45:00', ''),
+  createResult('2', 'Jan Novák', 'ABC8001', '45:50', '0:50'),
+  createResult('', 'Karel Dvořák', '', 'MP', ''),
+];
+
+const runners = [
+  {
+    user: {
+      _id: 'a',
+      displayName: 'Jan',
+      fullName: 'Jan Novák',
+      regNumber: 'ABC8001',
+    },
+    courseTitle: 'H21',
+    courseLength: '5.4',
+    courseClimb: '180',
+    courseControls: '2',
+    fullResults,
+    splitTimes: [
+      { controlCode: '31', legTime: 600, cumulativeTime: 600 },
+      { controlCode: '32', legTime: 1900, cumulativeTime: 2500 },
+      { controlCode: 'F', legTime: 250, cumulativeTime: 2750 },
+    ],
+  },
+  {
+    user: {
+      _id: 'b',
+      displayName: 'Eva',
+      fullName: 'Eva Nová',
+      memberOf: [{ shortName: 'OKT' }],
+    },
+    courseTitle: 'D21',
+    courseLength: '4,2',
+    time: '50:10',
+    place: '1',
+    splitTimes: [
+      { controlCode: '', legTime: 900, cumulativeTime: 900 },
+      { controlCode: 'F', legTime: 2110, cumulativeTime: 3010 },
+    ],
+  },
+  {
+    user: { _id: 'c', displayName: 'No course' },
+  },
+];
+
+const createTime = new Date(Date.UTC(2019, 8, 15));
+
+describe('exporting IOF XML', () => {
+  it('should export results that can be imported again', () => {
+    const xml = createResultList(event, runners, createTime);
+    expect(xml).toContain('<Name>Test &amp; Training</Name>');
+    expect(xml).toContain('createTime="2019-09-15T00:00:00.000Z"');
+    return parseResultsFile(Buffer.from(xml), 'results.xml').then(({ classes }) => {
+      expect(classes.map(({ name, length, climb }) => [name, length, climb])).toEqual([
+        ['H21', 5.4, 180],
+        ['D21', 4.2, null],
+      ]);
+      const [h21, d21] = classes;
+      expect(h21.results.map(result => [result.name, result.time, result.place, result.status]))
+        .toEqual([
+          ['Petr Svoboda', 2700, 1, 'OK'],
+          ['Jan Novák', 2750, 2, 'OK'],
+          ['Karel Dvořák', null, null, 'MissingPunch'],
+        ]);
+      expect(h21.results[1].splitTimes).toEqual([
+        { controlCode: '31', cumulativeTime: 600 },
+        { controlCode: '32', cumulativeTime: 2500 },
+      ]);
+      expect(h21.results[0].splitTimes).toEqual([]);
+      // runners without fullResults are exported from their own result, splits without
+      // control codes are left out
+      expect(d21.results).toEqual([{
+        name: 'Eva Nová',
+        regNumber: '',
+        club: 'OKT',
+        status: 'OK',
+        time: 3010,
+        place: 1,
+        splitTimes: [],
+      }]);
+    });
+  });
+
+  it('should read family names first for ORIS events', () => {
+    const orisRunners = [{
+      ...runners[0],
+      fullResults: [{ ...fullResults[1], name: 'Novák Jan' }],
+    }];
+    const xml = createResultList({ ...event, orisId: '1234' }, orisRunners, createTime);
+    expect(xml).toContain('<Name><Family>Novák</Family><Given>Jan</Given></Name>');
+  });
+
+  it('should export courses with their controls', () => {
+    const xml = createCourseData(event, runners, createTime);
+    return new Promise((resolve, reject) => {
+      xml2js.parseString(xml, (err, result) => ((err) ? reject(err) : resolve(result)));
+    }).then(({ CourseData: courseData }) => {
+      expect(courseData.$.iofVersion).toBe('3.0');
+      const [raceCourseData] = courseData.RaceCourseData;
+      expect(raceCourseData.Control.map(control => control.Id[0])).toEqual(['S1', '31', '32', 'F1']);
+      const [h21, d21] = raceCourseData.Course;
+      expect([h21.Name[0], h21.Length[0], h21.Climb[0]]).toEqual(['H21', '5400', '180']);
+      expect(h21.CourseControl.map(control => [control.$.type, control.Control[0]])).toEqual([
+        ['Start', 'S1'],
+        ['Control', '31'],
+        ['Control', '32'],
+        ['Finish', 'F1'],
+      ]);
+      expect([d21.Name[0], d21.Length[0], d21.CourseControl]).toEqual(['D21', '4200', undefined]);
+      expect(raceCourseData.ClassCourseAssignment.length).toBe(2);
+    });
+  });
+});
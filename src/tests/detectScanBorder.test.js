@@ -0,0 +1,89 @@
+const expect = require('expect');
+
+const {
+  estimateBackground,
+  detectSkew,
+  detectBorder,
+} = require('../services/detectScanBorder');
+
+const WIDTH = 400;
+const HEIGHT = 300;
+
+// synthetic greyscale scan of a sheet (paperWidth x paperHeight, centred and rotated by angle
+// degrees clockwise) with some dark features on it, lying on a background of the given grey
+// (with a speck of dust), as a scanner would see it with soft edges
+const renderScan = ({
+  angle = 0,
+  paperWidth = 320,
+  paperHeight = 220,
+  background = 50,
+}) => {
+  const data = new Uint8Array(WIDTH * HEIGHT);
+  const theta = angle * Math.PI / 180;
+  const features = [[-100, -50, 20], [60, 30, 35], [120, -80, 10], [-40, 70, 25]];
+  for (let y = 0; y < HEIGHT; y += 1) {
+    for (let x = 0; x < WIDTH; x += 1) {
+      // undo the rotation to find the point on the sheet
+      const dx = x - WIDTH / 2;
+      const dy = y - HEIGHT / 2;
+      const paperX = dx * Math.cos(theta) + dy * Math.sin(theta);
+      const paperY = -dx * Math.sin(theta) + dy * Math.cos(theta);
+      const inside = Math.min(paperWidth / 2 - Math.abs(paperX),
+        paperHeight / 2 - Math.abs(paperY));
+      const coverage = Math.max(0, Math.min(1, inside + 0.5));
+      let paper = 235;
+      features.forEach(([featureX, featureY, radius]) => {
+        if (Math.hypot(paperX - featureX, paperY - featureY) < radius) paper = 80;
+      });
+      const noise = ((x * 7 + y * 13) % 5) - 2;
+      data[y * WIDTH + x] = coverage * paper + (1 - coverage) * background + noise;
+    }
+  }
+  data[10 * WIDTH + 10] = 255; // dust
+  return { width: WIDTH, height: HEIGHT, data };
+};
+
+describe('detecting the border of a scan', () => {
+  it('should find the colour of the background', () => {
+    const { value } = estimateBackground(renderScan({}));
+    expect(Math.abs(value - 50)).toBeLessThanOrEqual(2);
+  });
+
+  it('should measure a clockwise skew', () => {
+    const scan = renderScan({ angle: 3 });
+    const skew = detectSkew(scan, estimateBackground(scan));
+    expect(Math.abs(skew - 3)).toBeLessThan(0.15);
+  });
+
+  it('should measure an anticlockwise skew', () => {
+    const scan = renderScan({ angle: -1.5 });
+    const skew = detectSkew(scan, estimateBackground(scan));
+    expect(Math.abs(skew + 1.5)).toBeLessThan(0.15);
+  });
+
+  it('should ignore a sheet that is already straight', () => {
+    const scan = renderScan({});
+    expect(detectSkew(scan, estimateBackground(scan))).toBe(0);
+  });
+
+  it('should find the sheet to crop to', () => {
+    const scan = renderScan({});
+    const box = detectBorder(scan, estimateBackground(scan));
+    expect(Math.abs(box.left - 40)).toBeLessThanOrEqual(1);
+    expect(Math.abs(box.top - 40)).toBeLessThanOrEqual(1);
+    expect(Math.abs(box.width - 320)).toBeLessThanOrEqual(2);
+    expect(Math.abs(box.height - 220)).toBeLessThanOrEqual(2);
+  });
+
+  it('should not crop a sheet that fills the image', () => {
+    const scan = renderScan({ paperWidth: 420, paperHeight: 320 });
+    expect(detectBorder(scan, estimateBackground(scan))).toBe(null);
+  });
+
+  it('should leave a sheet alone if it is the same colour as the background', () => {
+    const scan = renderScan({ angle: 3, background: 235 });
+    const background = estimateBackground(scan);
+    expect(detectSkew(scan, background)).toBe(0);
+    expect(detectBorder(scan, background)).toBe(null);
+  });
+});
@@ -0,0 +1,70 @@
+const expect = require('expect');
+
+const { createTrackSVG, getMatrix, getTrackDrawing } = require('../services/drawTrack');
+
+const identity = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+const shifted = [1, 0, 100, 0, 1, 50, 0, 0, 1]; // moved 100 pixels right and 50 down
+
+// a session heading north from the projection origin, one waypoint per 10 metres
+// (about 0.00009 degrees of latitude) every 5 seconds, with heart rates rising by 1 each time
+const createSession = (count, { heartRates = true, handles } = {}) => {
+  const origin = [50.0, 14.0];
+  const waypoints = [];
+  const waypointDetails = [];
+  for (let i = 0; i < count; i += 1) {
+    waypoints.push([origin[0] + i * 0.00009, origin[1]]);
+    waypointDetails.push([1500000000000 + i * 5000, (heartRates) ? 140 + i : null, 100]);
+  }
+  return {
+    projectionOrigin: origin,
+    matrix: { matrices: handles || [[identity, 0, 0]] },
+    route: [{ waypoints, waypointDetails }],
+  };
+};
+
+describe('drawing GPS tracks', () => {
+  it('should interpolate the matrix between handles', () => {
+    const handles = [[shifted, 0, 10], [identity, 0, 0]];
+    expect(getMatrix(handles, 0, 0)).toEqual(identity);
+    expect(getMatrix(handles, 0, 5)).toEqual([1, 0, 50, 0, 1, 25, 0, 0, 1]);
+    expect(getMatrix(handles, 0, 20)).toEqual(shifted);
+    expect(getMatrix(handles, 1, 5)).toEqual([1, 0, 50, 0, 1, 25, 0, 0, 1]);
+  });
+
+  it('should place the track using the matrix and map location', () => {
+    const drawing = getTrackDrawing(createSession(3), { x: 10, y: 20 }, 'pace');
+    const points = [].concat(...drawing.lines.map(line => line.points));
+    expect(Math.abs(points[0][0] - 10)).toBeLessThan(0.01);
+    expect(Math.abs(points[0][1] - 20)).toBeLessThan(0.01);
+    // north is up the image in QuickRoute's projection before its matrix is applied
+    expect(Math.abs(Math.abs(points[points.length - 1][1] - 20) - 20)).toBeLessThan(0.1);
+  });
+
+  it('should colour by heart rate from green to red', () => {
+    const drawing = getTrackDrawing(createSession(40), null, 'heartRate');
+    expect(drawing.colourBy).toBe('heartRate');
+    expect(drawing.lines.length).toBeGreaterThan(1);
+    expect(drawing.lines[0].colour).toBe('rgb(0,255,0)');
+    expect(drawing.lines[drawing.lines.length - 1].colour).toBe('rgb(255,0,0)');
+  });
+
+  it('should fall back to pace without heart rates', () => {
+    const drawing = getTrackDrawing(createSession(40, { heartRates: false }), null, 'heartRate');
+    expect(drawing.colourBy).toBe('pace');
+    // even pace throughout, so one colour joined up in a single line
+    expect(drawing.lines.length).toBe(1);
+    expect(drawing.lines[0].points.length).toBe(40);
+  });
+
+  it('should not draw a session without adjustment handles', () => {
+    expect(getTrackDrawing(createSession(10, { handles: [] }), null, 'pace')).toBe(null);
+  });
+
+  it('should create an SVG the size of the image', () => {
+    const svg = createTrackSVG({
+      lines: [{ colour: 'rgb(255,0,0)', points: [[0, 0], [10.25, 20]] }],
+    }, 800, 600);
+    expect(svg).toContain('width="800" height="600"');
+    expect(svg).toContain('<polyline stroke="rgb(255,0,0)" points="0.0,0.0 10.3,20.0"/>');
+  });
+});
@@ -0,0 +1,93 @@
+const expect = require('expect');
+
+const {
+  findDensestArea,
+  getChosenExtractArea,
+  getOverlayGrid,
+  getTrackGrid,
+  projectTrack,
+} = require('../services/findRouteExtract');
+
+// transparent overlay with route pixels drawn in rectangles [x0, y0, x1, y1]
+const createOverlay = (width, height, lines) => {
+  const data = new Uint8Array(width * height * 4);
+  lines.forEach(([x0, y0, x1, y1]) => {
+    for (let y = y0; y <= y1; y += 1) {
+      for (let x = x0; x <= x1; x += 1) data[(y * width + x) * 4 + 3] = 255;
+    }
+  });
+  return { width, height, data };
+};
+
+// image of 2000 x 1000 pixels covering 0.02 degrees of longitude and 0.005 of latitude
+const imageCorners = {
+  nw: { lat: 50.005, long: 14.0 },
+  ne: { lat: 50.005, long: 14.02 },
+  sw: { lat: 50.0, long: 14.0 },
+  se: { lat: 50.0, long: 14.02 },
+};
+
+describe('finding the route extract', () => {
+  it('should centre the extract on the densest part of the overlay', () => {
+    const overlay = createOverlay(2000, 1500, [
+      [1200, 1100, 1700, 1104], // long horizontal leg
+      [300, 200, 304, 900], // vertical leg, less in an extract
+    ]);
+    const area = findDensestArea(getOverlayGrid(overlay), 600, 100);
+    expect(area.width).toBe(600);
+    expect(area.height).toBe(100);
+    expect(area.left).toBeLessThanOrEqual(1200);
+    expect(area.left + area.width).toBeGreaterThanOrEqual(1700);
+    expect(area.top).toBeLessThanOrEqual(1100);
+    expect(area.top + area.height).toBeGreaterThanOrEqual(1105);
+  });
+
+  it('should keep the extract within the image', () => {
+    const overlay = createOverlay(800, 600, [[0, 590, 100, 599]]);
+    const area = findDensestArea(getOverlayGrid(overlay), 600, 100);
+    expect(area).toEqual({
+      left: 0,
+      top: 500,
+      width: 600,
+      height: 100,
+    });
+  });
+
+  it('should find nothing if there is no route', () => {
+    const overlay = createOverlay(800, 600, []);
+    expect(findDensestArea(getOverlayGrid(overlay), 600, 100)).toBe(null);
+  });
+
+  it('should project a track onto the image', () => {
+    const pixels = projectTrack([[50.005, 14.0], [50.0025, 14.01], [50.0, 14.02]],
+      imageCorners, 2000, 1000);
+    const expected = [[0, 0], [1000, 500], [2000, 1000]];
+    pixels.forEach(([x, y], i) => {
+      expect(Math.abs(x - expected[i][0])).toBeLessThan(1);
+      expect(Math.abs(y - expected[i][1])).toBeLessThan(1);
+    });
+  });
+
+  it('should centre the extract on the track', () => {
+    // along the bottom of the map, then a short way up
+    const track = [[50.0005, 14.002], [50.0005, 14.008], [50.003, 14.008]];
+    const area = findDensestArea(getTrackGrid(track, imageCorners, 2000, 1000), 600, 100);
+    expect(area.top).toBeLessThanOrEqual(900);
+    expect(area.top + area.height).toBeGreaterThanOrEqual(900);
+    expect(area.left).toBeLessThanOrEqual(200);
+    expect(area.left + area.width).toBeGreaterThanOrEqual(800);
+  });
+
+  it('should only accept a complete chosen area', () => {
+    const extractArea = {
+      left: 10,
+      top: 20,
+      width: 600,
+      height: 100,
+    };
+    expect(getChosenExtractArea({ extractArea })).toEqual(extractArea);
+    expect(getChosenExtractArea({ extractArea: { left: 10, top: 20 } })).toBe(null);
+    expect(getChosenExtractArea({ extractArea: { ...extractArea, width: 0 } })).toBe(null);
+    expect(getChosenExtractArea({})).toBe(null);
+  });
+});
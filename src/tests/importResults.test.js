@@ -0,0 +1,168 @@
+const expect = require('expect');
+
+const { parseResultsFile } = require('../services/parseResultsFile');
+const { getRunnerUpdates } = require('../services/importResults');
+
+const iofXML = `<?xml version="1.0" encoding="UTF-8"?>
+<ResultList xmlns="http://www.orienteering.org/datastandard/3.0" iofVersion="3.0">
+  <Event><Name>Test</Name></Event>
+  <ClassResult>
+    <Class><Name>H21</Name></Class>
+    <Course><Length>5400</Length><Climb>180</Climb><NumberOfControls>2</NumberOfControls></Course>
+    <PersonResult>
+      <Person><Id type="CZE">ABC8001</Id><Name><Family>Novák</Family><Given>Jan</Given></Name></Person>
+      <Organisation><Name>OK Test</Name></Organisation>
+      <Result>
+        <Time>2750</Time><Position>2</Position><Status>OK</Status>
+        <SplitTime><ControlCode>31</ControlCode><Time>600</Time></SplitTime>
+        <SplitTime><ControlCode>32</ControlCode><Time>2500</Time></SplitTime>
+      </Result>
+    </PersonResult>
+    <PersonResult>
+      <Person><Id type="CZE">ABC8502</Id><Name><Family>Svoboda</Family><Given>Petr</Given></Name></Person>
+      <Organisation><Name>OK Test</Name></Organisation>
+      <Result>
+        <Time>2700</Time><Position>1</Position><Status>OK</Status>
+        <SplitTime><ControlCode>31</ControlCode><Time>650</Time></SplitTime>
+        <SplitTime><ControlCode>32</ControlCode><Time>2400</Time></SplitTime>
+      </Result>
+    </PersonResult>
+    <PersonResult>
+      <Person><Name><Family>Dvořák</Family><Given>Karel</Given></Name></Person>
+      <Result>
+        <Time>3100</Time><Status>MissingPunch</Status>
+        <SplitTime status="Missing"><ControlCode>31</ControlCode></SplitTime>
+      </Result>
+    </PersonResult>
+    <PersonResult>
+      <Person><Name><Family>Malý</Family><Given>Tomáš</Given></Name></Person>
+      <Result><Status>DidNotStart</Status></Result>
+    </PersonResult>
+  </ClassResult>
+</ResultList>`;
+
+const oeCSV = [
+  'Stno;Chipno;Database Id;Surname;First name;Start;Finish;Time;Classifier;City;Short;km;m;Course controls;Place;Control1;Punch1;Control2;Punch2',
+  '1;101;ABC8001;Novák;Jan;10:00:00;10:45:50;45:50;0;OK Test;H21;5.4;180;2;2;31;10:00;32;41:40',
+  '2;102;ABC8502;Svoboda;Petr;10:02:00;10:47:00;45:00;0;OK Test;H21;5.4;180;2;1;31;10:50;32;40:00',
+  '3;103;;Dvořák;Karel;10:04:00;;;2;;H21;5.4;180;2;;31;12:00;;',
+].join('\r\n');
+
+const siReaderCSV = [
+  'No;SIID;Start time;Finish time;First name;Last name;Club;Class;No. of records;Record 1 CN;Record 1 time;Record 2 CN;Record 2 time',
+  '1;101;10:00:00;10:45:50;Jan;Novák;OK Test;D10;2;31;10:10:00;32;10:41:40',
+  '2;102;23:50:00;00:30:00;Petr;Svoboda;OK Test;D10;2;31;23:59:00;32;00:20:00',
+].join('\n');
+
+const createRunner = (user, courseTitle, splitTimesSource) => ({
+  user: { _id: user.regNumber || user.fullName, displayName: user.fullName, ...user },
+  courseTitle,
+  splitTimesSource,
+});
+
+describe('importing results', () => {
+  it('should read IOF XML results', () => {
+    return parseResultsFile(Buffer.from(iofXML), 'results.xml').then(({ format, classes }) => {
+      expect(format).toBe('IOF XML 3.0');
+      expect(classes.length).toBe(1);
+      const [{ results, ...course }] = classes;
+      expect([course.name, course.length, course.climb]).toEqual(['H21', 5.4, 180]);
+      expect(results.map(result => [result.name, result.place, result.status])).toEqual([
+        ['Petr Svoboda', 1, 'OK'],
+        ['Jan Novák', 2, 'OK'],
+        ['Karel Dvořák', null, 'MissingPunch'],
+      ]);
+      expect(results[1].regNumber).toBe('ABC8001');
+      expect(results[2].splitTimes).toEqual([{ controlCode: '31', cumulativeTime: null }]);
+    });
+  });
+
+  it('should read OE CSV results', () => {
+    return parseResultsFile(Buffer.from(oeCSV), 'results.csv').then(({ format, classes }) => {
+      expect(format).toBe('OE CSV');
+      const [{ results }] = classes;
+      expect(results.map(result => [result.name, result.time, result.place])).toEqual([
+        ['Petr Svoboda', 2700, 1],
+        ['Jan Novák', 2750, 2],
+        ['Karel Dvořák', null, null],
+      ]);
+      expect(results[1].splitTimes).toEqual([
+        { controlCode: '31', cumulativeTime: 600 },
+        { controlCode: '32', cumulativeTime: 2500 },
+      ]);
+      expect(results[2].status).toBe('DidNotFinish');
+    });
+  });
+
+  it('should read SI-Reader CSV with times of day', () => {
+    return parseResultsFile(Buffer.from(siReaderCSV), 'readout.csv').then(({ classes }) => {
+      const [{ name, results }] = classes;
+      expect(name).toBe('D10');
+      // the winner started before midnight and finished after it
+      expect(results.map(result => [result.name, result.time, result.place])).toEqual([
+        ['Petr Svoboda', 2400, 1],
+        ['Jan Novák', 2750, 2],
+      ]);
+      expect(results[0].splitTimes).toEqual([
+        { controlCode: '31', cumulativeTime: 540 },
+        { controlCode: '32', cumulativeTime: 1800 },
+      ]);
+    });
+  });
+
+  it('should match runners by registration number or name', () => {
+    return parseResultsFile(Buffer.from(iofXML), 'results.xml').then(({ classes }) => {
+      const runners = [
+        createRunner({ regNumber: 'abc8001', fullName: 'Someone Else' }),
+        createRunner({ fullName: 'Svoboda Petr' }, 'H21', 'manual'),
+        createRunner({ fullName: 'Karel Dvorak' }),
+        createRunner({ fullName: 'Eva Nová' }, 'H21'),
+        createRunner({ fullName: 'Jana Malá' }, 'D21'),
+      ];
+      const updates = getRunnerUpdates(classes, runners);
+      expect(updates.map(({ runner, matchedBy }) => [runner.user.fullName, matchedBy])).toEqual([
+        ['Someone Else', 'regNumber'],
+        ['Svoboda Petr', 'name'],
+        ['Karel Dvorak', 'name'],
+        ['Eva Nová', null],
+      ]);
+      const [novak, svoboda, dvorak, nova] = updates.map(update => update.fields);
+      expect([novak.courseTitle, novak.time, novak.place, novak.timeBehind, novak.fieldSize])
+        .toEqual(['H21', '45:50', '2', '0:50', '3']);
+      expect(novak.courseLength).toBe('5.4');
+      expect(novak.splitTimes).toEqual([
+        { controlCode: '31', legTime: 600, cumulativeTime: 600 },
+        { controlCode: '32', legTime: 1900, cumulativeTime: 2500 },
+        { controlCode: 'F', legTime: 250, cumulativeTime: 2750 },
+      ]);
+      expect(novak.splitTimesSource).toBe('import');
+      expect(svoboda.splitTimes).toBe(undefined); // entered their own
+      expect(dvorak.time).toBe('MP');
+      expect(dvorak.splitTimes).toBe(undefined);
+      expect(Object.keys(nova)).toEqual(['fullResults']);
+      expect(nova.fullResults.length).toBe(3);
+    });
+  });
+
+  it('should only record the results of the requestor unless they are an admin', () => {
+    return parseResultsFile(Buffer.from(iofXML), 'results.xml').then(({ classes }) => {
+      const runners = [
+        createRunner({ fullName: 'Svoboda Petr' }, 'H21'),
+        createRunner({ regNumber: 'abc8001', fullName: 'Jan Novák' }, 'H21'),
+        createRunner({ fullName: 'Karel Dvorak' }), // in the results, but not on a course yet
+      ];
+      const isRequestor = runner => runner.user._id === 'Svoboda Petr';
+      const updates = getRunnerUpdates(classes, runners, isRequestor);
+      expect(updates.map(({ runner, matchedBy }) => [runner.user.fullName, matchedBy])).toEqual([
+        ['Svoboda Petr', 'name'],
+        ['Jan Novák', null],
+      ]);
+      const [svoboda, novak] = updates.map(update => update.fields);
+      expect([svoboda.time, svoboda.place]).toEqual(['45:00', '1']);
+      expect(svoboda.splitTimes.length).toBe(3);
+      // their own result, course details and split times are left as they are
+      expect(Object.keys(novak)).toEqual(['fullResults']);
+      expect(novak.fullResults.length).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/* eslint-env mocha */
+const { spawnSync } = require('child_process');
+const expect = require('expect');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { runWorker } = require('../services/jobQueue');
+
+// jobs process images with sharp, so are only tested if it can be loaded (checked in
+// another process, as sharp exits the process if it can't be)
+const hasSharp = spawnSync(process.execPath, ['-e', 'require("sharp")'], { cwd: __dirname })
+  .status === 0;
+
+const describeSharp = (hasSharp) ? describe : describe.skip;
+describeSharp('job queue', () => {
+  const directory = `images/test${Date.now()}`;
+  const fileLocation = `${directory}/5d7b56f3da12cb4cae3ecb00-map-course.jpg`;
+  let localRoot = null; // if not already set up for testing (see storage.test.js)
+  let localDirectory;
+
+  // the child processes store files wherever the main process does
+  before(() => {
+    if (!process.env.STORAGE_LOCAL_ROOT) {
+      localRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mapoholic-test-'));
+      process.env.STORAGE_LOCAL_ROOT = localRoot;
+    }
+    localDirectory = path.join(process.env.STORAGE_LOCAL_ROOT, ...directory.split('/'));
+    fs.mkdirSync(localDirectory, { recursive: true });
+    const sharp = require('sharp'); // eslint-disable-line global-require
+    return sharp({
+      create: {
+        width: 1000,
+        height: 800,
+        channels: 3,
+        background: 'white',
+      },
+    }).jpeg().toFile(path.join(process.env.STORAGE_LOCAL_ROOT, fileLocation));
+  });
+  after(() => {
+    fs.readdirSync(localDirectory).forEach(file => fs.unlinkSync(path.join(localDirectory, file)));
+    fs.rmdirSync(localDirectory);
+    if (localRoot) {
+      fs.rmdirSync(path.dirname(localDirectory));
+      fs.rmdirSync(localRoot);
+      delete process.env.STORAGE_LOCAL_ROOT;
+    }
+  });
+
+  it('should run a job in a child process', () => {
+    const job = {
+      _id: 'test',
+      type: 'createExtracts',
+      payload: { fileLocation, extractArea: null },
+    };
+    return runWorker(job).then(({ error, result }) => {
+      expect(error).toBe(undefined);
+      expect(result).toEqual({
+        extract: fileLocation.replace('.jpg', '-extract.jpg'),
+        extractArea: {
+          left: 200,
+          top: 350,
+          width: 600,
+          height: 100,
+        },
+      });
+      expect(fs.existsSync(path.join(process.env.STORAGE_LOCAL_ROOT, result.extract))).toBe(true);
+    });
+  }).timeout(20000);
+
+  it('should report an error for an unknown type of job', () => {
+    return runWorker({ _id: 'test', type: 'unknown', payload: {} }).then(({ error }) => {
+      expect(error).toBe('Unknown job type unknown.');
+    });
+  }).timeout(20000);
+});
@@ -0,0 +1,32 @@
+/* eslint-env mocha */
+const expect = require('expect');
+
+require('../'); // connects to the test database
+const Job = require('../models/job');
+const { dbRequeueStaleJobs } = require('../services/jobServices');
+
+const MINUTE = 60 * 1000; // milliseconds
+
+describe('requeueing interrupted jobs', () => {
+  // jobs of a type there is no task for, in case the job queue claims them
+  beforeEach(() => Job.deleteMany({ type: 'requeueTest' }));
+  after(() => Job.deleteMany({ type: 'requeueTest' }));
+
+  it('should not requeue jobs that may still be running on another server', () => {
+    const now = Date.now();
+    return Job.insertMany([
+      { type: 'requeueTest', status: 'running', startedAt: new Date(now - MINUTE) },
+      { type: 'requeueTest', status: 'running', startedAt: new Date(now - 20 * MINUTE) },
+    ]).then(([stillRunning, abandoned]) => {
+      return dbRequeueStaleJobs(new Date(now - 11 * MINUTE)).then(() => Promise.all([
+        Job.findById(stillRunning._id).lean(),
+        Job.findById(abandoned._id).lean(),
+      ]));
+    }).then(([stillRunning, abandoned]) => {
+      expect(stillRunning.status).toBe('running');
+      expect(stillRunning.startedAt).toEqual(new Date(now - MINUTE));
+      // may have been claimed again by the job queue straight away
+      expect(abandoned.status === 'queued' || abandoned.attempts === 1).toBe(true);
+    });
+  });
+});
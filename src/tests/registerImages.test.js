@@ -0,0 +1,84 @@
+const expect = require('expect');
+
+const { registerImages, alignImage } = require('../services/registerImages');
+
+// synthetic 'map' of coloured discs, drawn with soft edges as a scanner would
+const createDiscs = (count, seed) => {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+  return [...Array(count)].map(() => ({
+    x: random() * 400,
+    y: random() * 300,
+    radius: 5 + random() * 25,
+    colour: [random() * 255, random() * 255, random() * 255],
+  }));
+};
+// render an image in which pixel (x, y) shows the map at toMap(x, y)
+const render = (width, height, discs, toMap) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const [mapX, mapY] = toMap(x, y);
+      let colour = [240, 240, 230];
+      let weight = 0;
+      discs.forEach((disc) => {
+        const edge = disc.radius - Math.hypot(mapX - disc.x, mapY - disc.y);
+        if (edge > -1) {
+          weight = Math.min(1, (edge + 1) / 2);
+          colour = colour.map((value, i) => value * (1 - weight) + disc.colour[i] * weight);
+        }
+      });
+      colour.forEach((value, i) => {
+        data[(y * width + x) * 4 + i] = Math.round(value);
+      });
+      data[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+  return { width, height, data };
+};
+
+// course scan is the map itself; route scan is rotated 2 degrees, 3% larger and offset
+const discs = createDiscs(50, 1);
+const angle = 2 * Math.PI / 180;
+const scale = 1.03;
+const expected = [
+  scale * Math.cos(angle), -scale * Math.sin(angle), 20,
+  scale * Math.sin(angle), scale * Math.cos(angle), -10,
+];
+const routeToMap = (u, v) => {
+  const [a, b, c, d, e, f] = expected;
+  const determinant = a * e - b * d;
+  return [(e * (u - c) - b * (v - f)) / determinant, (a * (v - f) - d * (u - c)) / determinant];
+};
+const course = render(400, 300, discs, (x, y) => [x, y]);
+const route = render(420, 290, discs, routeToMap);
+
+describe('registerImages', () => {
+  it('should find the transform between two scans of the same map', () => {
+    const { transform, overlap } = registerImages(course, route);
+    expect(overlap).toBeGreaterThan(0.8);
+    [0, 1, 3, 4].forEach((i) => {
+      expect(transform[i]).toBeCloseTo(expected[i], 2);
+    });
+    expect(Math.abs(transform[2] - expected[2])).toBeLessThan(0.5);
+    expect(Math.abs(transform[5] - expected[5])).toBeLessThan(0.5);
+  }).timeout(10000);
+  it('should return null if the images are of different maps', () => {
+    const otherRoute = render(420, 290, createDiscs(50, 99), routeToMap);
+    expect(registerImages(course, otherRoute)).toBe(null);
+  }).timeout(10000);
+  it('should align the route scan to match the course scan', () => {
+    const { transform } = registerImages(course, route);
+    const aligned = alignImage(route, transform, course.width, course.height);
+    expect(aligned.length).toBe(course.data.length);
+    const centre = (150 * course.width + 200) * 4;
+    expect(aligned[centre + 3]).toBe(255);
+    [0, 1, 2].forEach((i) => {
+      expect(Math.abs(aligned[centre + i] - course.data[centre + i])).toBeLessThan(10);
+    });
+    expect(aligned[3]).toBe(0); // top left corner is not covered by the route scan
+  }).timeout(10000);
+});
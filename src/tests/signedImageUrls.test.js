@@ -0,0 +1,39 @@
+const expect = require('expect');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+const { signImagePath, verifyImageSignature } = require('../services/signedImageUrls');
+
+const eventid = '5d7bc03180fba060b7306359';
+const course = '5d7b56f3da12cb4cae3ecb00-map-course';
+
+// the expiry time and signature of a signed URL, and a check of a file against them
+const sign = (filePath) => {
+  const [, , expires, signature] = signImagePath(`images/maps/${eventid}/${filePath}`).split('/');
+  return checkPath => verifyImageSignature(eventid, checkPath, expires, signature);
+};
+
+describe('signed image URLs', () => {
+  it('should allow the files made from the signed image', () => {
+    const isSigned = sign(`${course}.jpg`);
+    expect([
+      `${course}.jpg`,
+      `${course}-thumb.jpg`,
+      `${course}-extract.jpg`,
+      `${course}-track.jpg`,
+      `${course}-tiles.dzi`,
+      `${course}-tiles_files/12/3_4.jpeg`,
+    ].map(isSigned)).toEqual([true, true, true, true, true, true]);
+    expect(sign(`${course}-tiles_files`)(`${course}-tiles_files/1/0_0.jpeg`)).toBe(true);
+  });
+
+  it('should not allow the runner\'s other images', () => {
+    const isSigned = sign(`${course}.jpg`);
+    expect([
+      '5d7b56f3da12cb4cae3ecb00-map-route.jpg',
+      '5d7b56f3da12cb4cae3ecb00-map-overlay.png',
+      '5d7b56f3da12cb4cae3ecb00-day2-course.jpg',
+      `${course}-deleted:19102026@1200.jpg`,
+    ].map(isSigned)).toEqual([false, false, false, false]);
+    expect(verifyImageSignature(eventid, `${course}.jpg`, '1568415600', 'abc')).toBe(false);
+  });
+});
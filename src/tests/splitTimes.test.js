@@ -0,0 +1,113 @@
+const expect = require('expect');
+
+const { prefixEventImagePaths } = require('../services/prefixImagePaths');
+const {
+  compareSplitTimes,
+  getSplitTimesFromLaps,
+  normaliseSplitTimes,
+  rankLegs,
+} = require('../services/splitTimes');
+
+const START = Date.UTC(2019, 8, 14, 9, 30);
+
+// runner on courseTitle with the leg times given (controls 31, 32, finish)
+const createRunner = (id, courseTitle, legTimes) => {
+  let cumulativeTime = 0;
+  const splitTimes = legTimes.map((legTime, index) => {
+    cumulativeTime += legTime;
+    return {
+      controlCode: (index === legTimes.length - 1) ? 'F' : String(31 + index),
+      legTime,
+      cumulativeTime,
+    };
+  });
+  return {
+    user: { _id: id, displayName: `Runner ${id}` },
+    courseTitle,
+    splitTimes,
+  };
+};
+
+describe('split times', () => {
+  it('should create split times from laps', () => {
+    const laps = [
+      { time: new Date(START + 95000), type: 'intermediate' },
+      { time: new Date(START), type: 'start' },
+      { time: new Date(START + 250400), type: 'end' },
+    ];
+    expect(getSplitTimesFromLaps(laps)).toEqual([
+      { controlCode: '', legTime: 95, cumulativeTime: 95 },
+      { controlCode: 'F', legTime: 155, cumulativeTime: 250 },
+    ]);
+    expect(getSplitTimesFromLaps([laps[1]])).toEqual([]);
+  });
+
+  it('should complete split times provided by users', () => {
+    expect(normaliseSplitTimes([
+      { controlCode: 31, cumulativeTime: 60 },
+      { controlCode: '32', legTime: 45 },
+      { controlCode: 'F', cumulativeTime: 130, legRank: 1 },
+    ])).toEqual([
+      { controlCode: '31', legTime: 60, cumulativeTime: 60 },
+      { controlCode: '32', legTime: 45, cumulativeTime: 105 },
+      { controlCode: 'F', legTime: 25, cumulativeTime: 130 },
+    ]);
+    expect(normaliseSplitTimes([{ cumulativeTime: 60 }, { cumulativeTime: 50 }])).toBe(null);
+    expect(normaliseSplitTimes([{ controlCode: '31' }])).toBe(null);
+    expect(normaliseSplitTimes({})).toBe(null);
+  });
+
+  it('should rank legs among comparable runners on the same course', () => {
+    const runners = [
+      createRunner('a', 'Long', [60, 50, 30]),
+      createRunner('b', 'Long', [70, 40, 30]),
+      createRunner('c', 'Long', [55, 45, 35]),
+      createRunner('d', 'Short', [10, 10, 10]), // different course
+      createRunner('e', 'Long', [50, 80]), // missed a control, so not comparable
+    ];
+    const ranked = rankLegs(runners);
+    expect(ranked[0].map(split => split.legRank)).toEqual([2, 3, 1]);
+    expect(ranked[1].map(split => split.legRank)).toEqual([3, 1, 1]);
+    expect(ranked[2].map(split => split.legRank)).toEqual([1, 2, 3]);
+    expect(ranked[3].map(split => split.legRank)).toEqual([1, 1, 1]);
+    expect(ranked[4].map(split => split.legRank)).toEqual([1, 1]);
+  });
+
+  it('should rank legs among the runners returned', () => {
+    const runners = [
+      createRunner('a', 'Long', [60, 50, 30]),
+      createRunner('b', 'Long', [70, 40, 30]),
+    ].map(runner => ({ ...runner, comments: [], maps: [] }));
+    const stored = rankLegs([...runners, createRunner('c', 'Long', [55, 45, 35])]);
+    const storedRunners = runners.map((runner, index) => ({
+      ...runner,
+      splitTimes: stored[index],
+    }));
+    const { runners: returned } = prefixEventImagePaths({ runners: storedRunners });
+    expect(returned[0].splitTimes.map(split => split.legRank)).toEqual([1, 2, 1]);
+    expect(returned[1].splitTimes.map(split => split.legRank)).toEqual([2, 1, 1]);
+  });
+
+  it('should compare legs with the best and median', () => {
+    const runners = [
+      createRunner('a', 'Long', [60, 50, 30]),
+      createRunner('b', 'Long', [70, 40, 30]),
+      createRunner('c', 'Long', [55, 45, 35]),
+    ];
+    const analysis = compareSplitTimes(runners[0], runners);
+    expect(analysis.compared).toBe(3);
+    expect(analysis.time).toBe(140);
+    expect(analysis.timeLost).toBe(15);
+    expect(analysis.legs[0]).toEqual({
+      leg: 1,
+      controlCode: '31',
+      legTime: 60,
+      cumulativeTime: 60,
+      rank: 2,
+      bestTime: 55,
+      best: { _id: 'c', displayName: 'Runner c' },
+      timeBehind: 5,
+      medianTime: 60,
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const expect = require('expect');
+
+const {
+  getRunnerTrackLegs,
+  splitTrack,
+  summariseTrackLegs,
+} = require('../services/splitTrack');
+
+const START = Date.UTC(2019, 8, 14, 9, 30);
+
+// about 111m north and 100m east of the start
+const START_POSITION = { lat: 50, long: 14 };
+const NORTH = { lat: 50.001, long: 14 };
+const NORTH_EAST = { lat: 50.001, long: 14.0014 };
+const EAST = { lat: 50, long: 14.0014 };
+
+const course = {
+  _id: 'course1',
+  name: 'Short',
+  controls: [
+    { code: 'STA1', type: 'Start', position: START_POSITION },
+    { code: '31', type: 'Control', position: NORTH },
+    { code: '32', type: 'Control', position: NORTH_EAST },
+    { code: 'FIN1', type: 'Finish', position: EAST },
+  ],
+};
+
+// a track through the positions given, with a point every 5 seconds in steps of 10 points
+// per stretch, starting 2 minutes before the start
+const createTrack = (positions) => {
+  const track = [];
+  positions.slice(1).forEach((position, index) => {
+    const from = positions[index];
+    for (let step = (index === 0) ? 0 : 1; step <= 10; step += 1) {
+      track.push([
+        from.lat + (position.lat - from.lat) * step / 10,
+        from.long + (position.long - from.long) * step / 10,
+      ]);
+    }
+  });
+  const trackDetails = track.map((point, index) => [START + index * 5000, null, null]);
+  return { track, trackDetails };
+};
+
+// waiting at the start, then a detour to the west between 31 and 32
+const BEFORE_START = { lat: 49.999, long: 14 };
+const DETOUR = { lat: 50.0015, long: 14.0007 };
+
+describe('splitting GPS tracks into legs', () => {
+  it('should find when each control was punched', () => {
+    const { track, trackDetails } = createTrack([
+      BEFORE_START, START_POSITION, NORTH, DETOUR, NORTH_EAST, EAST,
+    ]);
+    const { legs } = splitTrack(course, track, trackDetails);
+    expect(legs.map(leg => leg.controlCode)).toEqual(['31', '32', 'F']);
+    // the start is passed at point 10 and each control 10 or 20 points later
+    expect(legs.map(leg => [leg.legTime, leg.cumulativeTime])).toEqual([
+      [50, 50],
+      [100, 150],
+      [50, 200],
+    ]);
+    expect(legs[0].punchTime).toEqual(new Date(START + 20 * 5000));
+    expect(legs.map(leg => leg.straightDistance)).toEqual([111, 100, 111]);
+    expect(legs[0].distance).toBe(111);
+    expect(legs[0].efficiency).toBe(1);
+    expect(legs[1].distance).toBeGreaterThan(140);
+    expect(legs[1].efficiency).toBeLessThan(0.75);
+  });
+
+  it('should leave out legs to and from controls the track does not pass', () => {
+    const { track, trackDetails } = createTrack([START_POSITION, NORTH, EAST]);
+    const { legs } = splitTrack(course, track, trackDetails);
+    expect(legs.map(leg => [leg.controlCode, leg.legTime, leg.cumulativeTime])).toEqual([
+      ['31', 50, 50],
+      ['32', null, null],
+      ['F', null, 100],
+    ]);
+    expect(legs[2].straightDistance).toBe(111);
+    expect(summariseTrackLegs(legs)).toEqual({
+      found: 2,
+      time: 100,
+      distance: 111,
+      straightDistance: 111,
+      efficiency: 1,
+    });
+  });
+
+  it('should split the first timed track of a runner linked to a course', () => {
+    const { track, trackDetails } = createTrack([START_POSITION, NORTH, NORTH_EAST, EAST]);
+    const runner = {
+      course: 'course1',
+      maps: [
+        { title: 'part 1', geo: { track, trackDetails: [] } }, // no times
+        { title: 'part 2', geo: { track, trackDetails } },
+      ],
+    };
+    const trackLegs = getRunnerTrackLegs(runner, [course]);
+    expect([trackLegs.mapTitle, trackLegs.course, trackLegs.legs.length])
+      .toEqual(['part 2', 'course1', 3]);
+    expect(getRunnerTrackLegs({ ...runner, course: null }, [course])).toBe(null);
+    const withoutPositions = {
+      ...course,
+      controls: course.controls.map(({ position, ...control }) => control),
+    };
+    expect(getRunnerTrackLegs(runner, [withoutPositions])).toBe(null);
+  });
+});
@@ -0,0 +1,161 @@
+/* eslint-env mocha */
+const expect = require('expect');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// the local driver is tested in a temporary directory, the S3 driver only if an
+// S3-compatible server has been configured for testing, e.g. a local MinIO instance:
+// S3_ENDPOINT=http://localhost:9000 S3_BUCKET=mapoholic-test
+// S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin
+const localRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mapoholic-test-'));
+process.env.STORAGE_LOCAL_ROOT = localRoot;
+const storageLocal = require('../services/storageLocal');
+
+const prefix = `images/test${Date.now()}`;
+
+// a file on the local disk to be moved into storage
+const createLocalFile = (contents) => {
+  const localPath = path.join(os.tmpdir(), `mapoholic-upload-${Date.now()}.txt`);
+  fs.writeFileSync(localPath, contents);
+  return localPath;
+};
+
+const readStream = (stream) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+};
+
+const testDriver = (getDriver) => {
+  let driver;
+  before(() => {
+    driver = getDriver();
+  });
+  after(() => driver.deletePrefix(prefix));
+
+  it('should write a file and read it back', () => {
+    return driver.writeFile(`${prefix}/maps/a.jpg`, Buffer.from('course'))
+      .then(() => driver.readFile(`${prefix}/maps/a.jpg`))
+      .then((contents) => {
+        expect(contents.toString()).toBe('course');
+      });
+  });
+
+  it('should reject reading a missing file with code ENOENT', () => {
+    return driver.readFile(`${prefix}/maps/missing.jpg`).then(() => {
+      throw new Error('should not have read a missing file');
+    }, (err) => {
+      expect(err.code).toBe('ENOENT');
+    });
+  });
+
+  it('should report whether a file exists', () => {
+    return Promise.all([
+      driver.fileExists(`${prefix}/maps/a.jpg`),
+      driver.fileExists(`${prefix}/maps/missing.jpg`),
+    ]).then(([exists, missing]) => {
+      expect(exists).toBe(true);
+      expect(missing).toBe(false);
+    });
+  });
+
+  it('should move a local file into storage', () => {
+    const localPath = createLocalFile('route');
+    return driver.putFile(`${prefix}/maps/b.jpg`, localPath)
+      .then(() => driver.readFile(`${prefix}/maps/b.jpg`))
+      .then((contents) => {
+        expect(contents.toString()).toBe('route');
+        expect(fs.existsSync(localPath)).toBe(false);
+      });
+  });
+
+  it('should copy and move files', () => {
+    return driver.copyFile(`${prefix}/maps/a.jpg`, `${prefix}/versions/a-1.jpg`)
+      .then(() => driver.moveFile(`${prefix}/maps/b.jpg`, `${prefix}/maps/b-deleted.jpg`))
+      .then(() => Promise.all([
+        driver.readFile(`${prefix}/versions/a-1.jpg`),
+        driver.fileExists(`${prefix}/maps/a.jpg`),
+        driver.fileExists(`${prefix}/maps/b.jpg`),
+        driver.readFile(`${prefix}/maps/b-deleted.jpg`),
+      ]))
+      .then(([copied, originalExists, movedExists, moved]) => {
+        expect(copied.toString()).toBe('course');
+        expect(originalExists).toBe(true);
+        expect(movedExists).toBe(false);
+        expect(moved.toString()).toBe('route');
+      });
+  });
+
+  it('should stream a file with its size', () => {
+    return driver.getFileStream(`${prefix}/maps/a.jpg`).then(({ stream, size }) => {
+      expect(size).toBe(6);
+      return readStream(stream);
+    }).then((contents) => {
+      expect(contents.toString()).toBe('course');
+    });
+  });
+
+  it('should delete a file, whether or not it exists', () => {
+    return driver.deleteFile(`${prefix}/maps/b-deleted.jpg`)
+      .then(() => driver.deleteFile(`${prefix}/maps/b-deleted.jpg`))
+      .then(() => driver.fileExists(`${prefix}/maps/b-deleted.jpg`))
+      .then((exists) => {
+        expect(exists).toBe(false);
+      });
+  });
+
+  it('should delete everything below a prefix', () => {
+    const tiles = `${prefix}/maps/a-tiles_files`;
+    return Promise.all([
+      driver.writeFile(`${tiles}/0/0_0.jpg`, Buffer.from('tile')),
+      driver.writeFile(`${tiles}/1/0_0.jpg`, Buffer.from('tile')),
+    ]).then(() => driver.deletePrefix(tiles))
+      .then(() => Promise.all([
+        driver.fileExists(`${tiles}/0/0_0.jpg`),
+        driver.fileExists(`${tiles}/1/0_0.jpg`),
+        driver.fileExists(`${prefix}/maps/a.jpg`),
+      ]))
+      .then(([tile0, tile1, image]) => {
+        expect(tile0).toBe(false);
+        expect(tile1).toBe(false);
+        expect(image).toBe(true);
+      });
+  });
+};
+
+describe('storage drivers', () => {
+  describe('local', () => {
+    testDriver(() => storageLocal);
+    after(() => storageLocal.removeDirectory(localRoot));
+
+    it('should not read or write files outside its root', () => {
+      const outside = path.join(path.dirname(localRoot), `mapoholic-outside-${Date.now()}.txt`);
+      fs.writeFileSync(outside, 'secret');
+      const outsideKey = `images/../../${path.basename(outside)}`;
+      return Promise.all([
+        storageLocal.readFile(outsideKey).catch(err => err),
+        storageLocal.getFileStream(outsideKey).catch(err => err),
+        storageLocal.writeFile(`../${path.basename(outside)}`, Buffer.from('x')).catch(err => err),
+        storageLocal.fileExists(outsideKey),
+        storageLocal.deletePrefix('').catch(err => err),
+      ]).then(([readErr, streamErr, writeErr, exists, deleteErr]) => {
+        [readErr, streamErr, writeErr, deleteErr].forEach((err) => {
+          expect(err.code).toBe('ENOENT');
+        });
+        expect(exists).toBe(false);
+        expect(fs.readFileSync(outside).toString()).toBe('secret');
+        expect(fs.existsSync(localRoot)).toBe(true);
+        fs.unlinkSync(outside);
+      });
+    });
+  });
+
+  const describeS3 = (process.env.S3_ENDPOINT && process.env.S3_BUCKET) ? describe : describe.skip;
+  describeS3('S3', () => {
+    testDriver(() => require('../services/storageS3')); // eslint-disable-line global-require
+  });
+});